@@ -0,0 +1,322 @@
+/**
+ * AI Response Schemas
+ * JSON schemas for the extraction, categorization and client name answers, and the validator that
+ * checks every item against them. Common slips (ISO dates, dot decimals, category case) are repaired
+ * locally; items that still fail are sent back to the model once in a targeted re-ask.
+ * Each checked field records its outcome in the item's `validation` map:
+ *   'valid' - passed first time, 'repaired' - fixed locally or by the re-ask
+ */
+
+const FRENCH_DATE = /^(\d{2})\/(\d{2})\/(\d{4})$/;
+const FRENCH_AMOUNT = /^\d{1,3}(?: \d{3})*,\d{2}$/;
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// Array holding the items of each task's answer
+const ITEM_LISTS = {
+    extraction: 'transactions',
+    categorization: 'categorized',
+    clientNames: 'clients'
+};
+
+class AIResponseValidator {
+    /**
+     * @param {Object} options - Validator dependencies
+     * @param {LLMPromptBuilder} options.prompts - Prompt builder (categories, date normalization, re-ask prompt)
+     * @param {Object} options.llm - LLM provider used for the re-ask (no re-ask without it)
+     */
+    constructor(options = {}) {
+        if (!options.prompts) {
+            throw new Error('AIResponseValidator requires prompts');
+        }
+        this.prompts = options.prompts;
+        this.llm = options.llm || null;
+    }
+
+    /**
+     * Categories the model may answer with
+     * @returns {Array} Configured categories and the fallback category
+     */
+    get categories() {
+        const rulesEngine = this.prompts.rulesEngine;
+        return [...rulesEngine.categories, rulesEngine.fallbackCategory];
+    }
+
+    /**
+     * JSON schema of a task's answer
+     * @param {string} task - 'extraction', 'categorization' or 'clientNames'
+     * @returns {Object} JSON schema (draft 7 subset, with "date-fr" and "amount-fr" formats)
+     */
+    schema(task) {
+        const items = {
+            extraction: {
+                type: 'object',
+                required: ['date', 'description', 'amount'],
+                properties: {
+                    date: { type: 'string', format: 'date-fr' },
+                    valeur: { type: 'string', format: 'date-fr' },
+                    description: { type: 'string', minLength: 1 },
+                    amount: { type: 'string', format: 'amount-fr' },
+                    client: { type: 'string' },
+                    type: { type: 'string', enum: ['debit', 'credit'] }
+                }
+            },
+            categorization: {
+                type: 'object',
+                required: ['index', 'category', 'confidence'],
+                properties: {
+                    index: { type: 'integer', minimum: 1 },
+                    category: { type: 'string', enum: this.categories },
+                    confidence: { type: 'string', enum: CONFIDENCE_LEVELS }
+                }
+            },
+            clientNames: {
+                type: 'object',
+                required: ['index', 'client_name'],
+                properties: {
+                    index: { type: 'integer', minimum: 1 },
+                    client_name: { type: 'string', minLength: 1 }
+                }
+            }
+        }[task];
+
+        if (!items) throw new Error(`No response schema for task "${task}"`);
+
+        return {
+            type: 'object',
+            required: [ITEM_LISTS[task]],
+            properties: { [ITEM_LISTS[task]]: { type: 'array', items } }
+        };
+    }
+
+    /**
+     * Check one value against a property schema
+     * @param {*} value - Field value
+     * @param {Object} rule - Property schema
+     * @returns {string|null} Problem description, null when valid
+     */
+    static checkValue(value, rule) {
+        if (rule.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+        if (rule.type === 'string' && typeof value !== 'string') return 'must be a string';
+        if (rule.minimum !== undefined && value < rule.minimum) return `must be at least ${rule.minimum}`;
+        if (rule.minLength !== undefined && value.trim().length < rule.minLength) return 'must not be empty';
+        if (rule.enum && !rule.enum.includes(value)) return `must be one of: ${rule.enum.join(', ')}`;
+        if (rule.format === 'date-fr' && !AIResponseValidator.isFrenchDate(value)) return 'must be a date as DD/MM/YYYY';
+        if (rule.format === 'amount-fr' && !FRENCH_AMOUNT.test(value)) return 'must be a French amount like "2 000,00"';
+        return null;
+    }
+
+    /**
+     * Whether a string is a real calendar date written DD/MM/YYYY
+     * @param {string} value - Date text
+     * @returns {boolean} True when valid
+     */
+    static isFrenchDate(value) {
+        const match = String(value).match(FRENCH_DATE);
+        if (!match) return false;
+        const [, day, month, year] = match.map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    /**
+     * Problems of one answer item
+     * @param {string} task - Task name
+     * @param {Object} item - Answer item
+     * @returns {Object} { field: problem } - empty when the item is valid
+     */
+    validateItem(task, item) {
+        const itemSchema = this.schema(task).properties[ITEM_LISTS[task]].items;
+        const errors = {};
+
+        if (!item || typeof item !== 'object') {
+            return { item: 'must be an object' };
+        }
+
+        Object.entries(itemSchema.properties).forEach(([field, rule]) => {
+            const value = item[field];
+            if (value === undefined || value === null || value === '') {
+                if (itemSchema.required.includes(field)) errors[field] = 'is required';
+                return;
+            }
+            const problem = AIResponseValidator.checkValue(value, rule);
+            if (problem) errors[field] = problem;
+        });
+
+        return errors;
+    }
+
+    /**
+     * Normalize a date to DD/MM/YYYY (D/M/YYYY, DD.MM.YY, DD-MM-YYYY, YYYY-MM-DD, DD/MM with the statement year)
+     * @param {*} value - Date as answered
+     * @param {Object} period - Statement period ({ year, endMonth })
+     * @returns {string|null} Repaired date, null when it cannot be read
+     */
+    repairDate(value, period) {
+        const text = String(value).trim();
+        const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        const parts = iso
+            ? [iso[3], iso[2], iso[1]]
+            : (text.match(/^(\d{1,2})[\/.\-](\d{1,2})(?:[\/.\-](\d{2}|\d{4}))?$/) || []).slice(1);
+        if (parts.length === 0) return null;
+
+        const [day, month, year] = parts;
+        const raw = [day.padStart(2, '0'), month.padStart(2, '0'), year].filter(Boolean).join('/');
+        const repaired = this.prompts.bankProfiles.normalizeDate(raw, period || this.prompts.bankProfiles.detectStatementPeriod(''));
+        return AIResponseValidator.isFrenchDate(repaired) ? repaired : null;
+    }
+
+    /**
+     * Normalize an amount to the French format ("2000.5", "2,000.50", -89.5, "89,50 €" → "2 000,50", "89,50")
+     * The sign is dropped - the debit/credit side is carried by the transaction type
+     * @param {*} value - Amount as answered
+     * @returns {string|null} Repaired amount, null when it cannot be read
+     */
+    static repairAmount(value) {
+        let text = typeof value === 'number' ? value.toFixed(2) : String(value);
+        text = text.replace(/[€\s+\-]/g, '');
+
+        // The last separator followed by 1-2 digits is the decimal mark, any other separator groups thousands
+        const match = text.match(/^([\d.,]*?)(?:[.,](\d{1,2}))?$/);
+        if (!match || !match[1]) return null;
+        const units = match[1].replace(/[.,]/g, '');
+        if (!/^\d+$/.test(units)) return null;
+
+        const grouped = String(parseInt(units, 10)).replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+        return `${grouped},${(match[2] || '0').padEnd(2, '0')}`;
+    }
+
+    /**
+     * Try to fix one invalid field without asking the model again
+     * @param {string} field - Field name
+     * @param {*} value - Invalid value
+     * @param {Object} context - { period }
+     * @returns {*} Repaired value, undefined when no local repair applies
+     */
+    repairField(field, value, context = {}) {
+        if (value === undefined || value === null || value === '') return undefined;
+        const text = String(value).trim();
+        const normalize = s => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+
+        switch (field) {
+            case 'date':
+            case 'valeur':
+                return this.repairDate(value, context.period) || undefined;
+            case 'amount':
+                return AIResponseValidator.repairAmount(value) || undefined;
+            case 'category':
+                return this.categories.find(category => normalize(category) === normalize(text));
+            case 'confidence':
+            case 'type':
+                return text.toLowerCase();
+            case 'index':
+                return /^\d+$/.test(text) ? parseInt(text, 10) : undefined;
+            default:
+                return typeof value === 'string' ? (text || undefined) : (typeof value === 'number' ? text : undefined);
+        }
+    }
+
+    /**
+     * Validate items and repair what can be repaired locally
+     * @param {string} task - Task name
+     * @param {Array} items - Answer items
+     * @param {Object} context - { period }
+     * @returns {Array} [{ item, validation: { field: 'valid'|'repaired' }, errors: { field: problem } }]
+     */
+    check(task, items, context = {}) {
+        const fields = Object.keys(this.schema(task).properties[ITEM_LISTS[task]].items.properties);
+
+        return items.map(original => {
+            const item = original && typeof original === 'object' ? { ...original } : original;
+            const errors = this.validateItem(task, item);
+            const validation = {};
+
+            fields.forEach(field => {
+                if (item && item[field] !== undefined && item[field] !== null && !errors[field]) {
+                    validation[field] = 'valid';
+                }
+            });
+
+            Object.keys(errors).filter(field => field !== 'item').forEach(field => {
+                const repaired = this.repairField(field, item[field], context);
+                if (repaired === undefined) return;
+                if (Object.keys(this.validateItem(task, { ...item, [field]: repaired })).includes(field)) return;
+                item[field] = repaired;
+                validation[field] = 'repaired';
+                delete errors[field];
+            });
+
+            return { item, validation, errors };
+        });
+    }
+
+    /**
+     * Validate an answer's items, re-asking the model once for the items that are still invalid
+     * @param {string} task - 'extraction', 'categorization' or 'clientNames'
+     * @param {Array} items - Parsed answer items
+     * @param {Object} context - { period, sourceText, sources } - what the re-ask shows the model:
+     *   sourceText is the statement text (extraction), sources the input transactions (by 1-based index)
+     * @returns {Promise<Object>} { items: valid items with `validation`, invalid: [{ item, errors }], reasked }
+     */
+    async validate(task, items, context = {}) {
+        const results = this.check(task, items || [], context);
+        let pending = results.filter(result => Object.keys(result.errors).length > 0);
+        let reasked = 0;
+
+        if (pending.length > 0 && this.llm) {
+            reasked = pending.length;
+            console.log(`🔁 ${pending.length} ${task} item(s) failed validation - asking the model to correct them`);
+            try {
+                const content = await this.llm.complete(this.prompts.repair(task, pending, context));
+                this.prompts.parseRepair(content).forEach(answer => {
+                    const result = pending[answer.index - 1];
+                    if (!result) return;
+                    const { index, ...fields } = answer;
+                    this.applyCorrection(task, result, fields, context);
+                });
+            } catch (error) {
+                console.warn(`⚠️ Re-ask for invalid ${task} items failed:`, error.message);
+            }
+            pending = results.filter(result => Object.keys(result.errors).length > 0);
+        }
+
+        if (pending.length > 0) {
+            console.log(`⚠️ ${pending.length} ${task} item(s) still invalid:`, pending.map(result => result.errors));
+        }
+
+        return {
+            items: results
+                .filter(result => Object.keys(result.errors).length === 0)
+                .map(result => ({ ...result.item, validation: result.validation })),
+            invalid: pending.map(({ item, errors }) => ({ item, errors })),
+            reasked
+        };
+    }
+
+    /**
+     * Take the corrected values of a re-asked item's invalid fields
+     * @param {string} task - Task name
+     * @param {Object} result - Entry from check()
+     * @param {Object} fields - Corrected fields from the model
+     * @param {Object} context - { period }
+     */
+    applyCorrection(task, result, fields, context) {
+        Object.keys(result.errors).forEach(field => {
+            if (field === 'item' || fields[field] === undefined) return;
+            let value = fields[field];
+            if (this.validateItem(task, { ...result.item, [field]: value })[field]) {
+                value = this.repairField(field, value, context);
+                if (value === undefined || this.validateItem(task, { ...result.item, [field]: value })[field]) return;
+            }
+            result.item[field] = value;
+            result.validation[field] = 'repaired';
+            delete result.errors[field];
+        });
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIResponseValidator;
+} else {
+    window.AIResponseValidator = AIResponseValidator;
+}
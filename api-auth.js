@@ -0,0 +1,425 @@
+/**
+ * API Auth
+ * Who may call the API and how often:
+ *   - ApiAuth: API keys (X-API-Key) for server-to-server callers and the GoGain JWT the tracker is opened with
+ *     (Authorization: Bearer or ?token=), verified with the GoGain secret or public key. Each caller is a tenant:
+ *     the name of its API key, or the GoGain tenant of the token (same tenant as the GoGain service mappings).
+ *   - TenantRateLimiter: requests per minute per tenant (all calls, and the AI calls that spend LLM tokens)
+ *     and a daily quota of AI calls per tenant, counted in the database so a restart does not reset it.
+ *     An AI call uses the per-minute AI limit and the quota only once its handler runs the LLM (req.useAIQuota),
+ *     not when it is refused first or answered without the LLM.
+ *   - corsOptions(): the origins allowed to call the API from a browser.
+ * createApiAuth() and createRateLimiter() build them from environment variables (see README "Authentication").
+ */
+
+const crypto = require('crypto');
+const GoGainServiceMapper = require('./gogain-service-mapping');
+
+// JWT algorithms accepted for GoGain tokens, with the key they are checked with
+const JWT_ALGORITHMS = {
+    HS256: { kind: 'hmac', hash: 'sha256' },
+    HS384: { kind: 'hmac', hash: 'sha384' },
+    HS512: { kind: 'hmac', hash: 'sha512' },
+    RS256: { kind: 'rsa', hash: 'RSA-SHA256' }
+};
+
+// Clock difference tolerated on exp / nbf, in seconds
+const JWT_CLOCK_TOLERANCE = 30;
+
+// Limits per tenant when the environment does not override them
+const DEFAULT_RATE_LIMITS = {
+    perMinute: 120,
+    aiPerMinute: 10,
+    aiDailyQuota: 200
+};
+
+// Frontend allowed by CORS when neither CORS_ORIGINS nor FRONTEND_URL says otherwise
+const DEFAULT_FRONTEND_URL = 'https://pdf-expense-tracker.vercel.app';
+
+class ApiAuth {
+    /**
+     * @param {Object} options - Accepted credentials
+     * @param {Map} options.apiKeys - API key → tenant
+     * @param {string} options.jwtSecret - Shared secret of HS256 / HS384 / HS512 GoGain tokens
+     * @param {string} options.jwtPublicKey - PEM public key of RS256 GoGain tokens
+     * @param {string} options.goGainBackendUrl - GoGain backend the tokens come from (part of their tenant)
+     * @param {boolean} options.required - Whether calls without credentials are refused
+     */
+    constructor(options = {}) {
+        this.apiKeys = options.apiKeys || new Map();
+        this.jwtSecret = options.jwtSecret || null;
+        this.jwtPublicKey = options.jwtPublicKey || null;
+        this.goGainBackendUrl = options.goGainBackendUrl;
+        this.required = options.required !== false;
+    }
+
+    /**
+     * Error carrying an HTTP status for the API
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message
+     * @returns {Error} Error with .status
+     */
+    static error(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    /**
+     * API keys of API_KEYS: "tenant:key" entries separated by commas (a key alone is its own tenant "key-<hash>")
+     * @param {string} text - API_KEYS value
+     * @returns {Map} key → tenant
+     */
+    static parseApiKeys(text) {
+        const keys = new Map();
+        String(text || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+            const separator = entry.indexOf(':');
+            const key = separator > 0 ? entry.slice(separator + 1).trim() : entry;
+            const tenant = separator > 0 ? entry.slice(0, separator).trim() : `key-${ApiAuth.digest(key).toString('hex').slice(0, 8)}`;
+            if (key) keys.set(key, tenant);
+        });
+        return keys;
+    }
+
+    /**
+     * SHA-256 of a text, so secrets of different lengths can be compared in constant time
+     * @param {string} text - Text
+     * @returns {Buffer} Digest
+     */
+    static digest(text) {
+        return crypto.createHash('sha256').update(String(text)).digest();
+    }
+
+    /**
+     * Whether GoGain tokens can be verified
+     * @returns {boolean} True with a secret or a public key
+     */
+    acceptsTokens() {
+        return Boolean(this.jwtSecret || this.jwtPublicKey);
+    }
+
+    /**
+     * Tenant of an API key
+     * @param {string} key - Key sent by the caller
+     * @returns {string|null} Tenant, null for an unknown key
+     */
+    tenantOfKey(key) {
+        const digest = ApiAuth.digest(key);
+        for (const [known, tenant] of this.apiKeys) {
+            if (crypto.timingSafeEqual(digest, ApiAuth.digest(known))) return tenant;
+        }
+        return null;
+    }
+
+    /**
+     * Check the signature and dates of a GoGain JWT
+     * @param {string} token - JWT
+     * @returns {Object} Claims
+     * @throws {Error} 401 when the token is malformed, signed with another key or expired
+     */
+    verifyToken(token) {
+        if (!this.acceptsTokens()) {
+            throw ApiAuth.error(401, 'GoGain tokens are not accepted by this server (GOGAIN_JWT_SECRET or GOGAIN_JWT_PUBLIC_KEY not set)');
+        }
+        const parts = String(token).split('.');
+        const decode = part => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+        let header;
+        let claims;
+        try {
+            header = decode(parts[0]);
+            claims = decode(parts[1]);
+        } catch (error) {
+            header = null;
+        }
+        if (parts.length !== 3 || !header || !claims || typeof claims !== 'object') {
+            throw ApiAuth.error(401, 'Invalid GoGain token');
+        }
+
+        const algorithm = JWT_ALGORITHMS[header.alg];
+        const key = algorithm && (algorithm.kind === 'hmac' ? this.jwtSecret : this.jwtPublicKey);
+        if (!key) {
+            throw ApiAuth.error(401, `GoGain token algorithm "${header.alg}" is not accepted`);
+        }
+        const signed = `${parts[0]}.${parts[1]}`;
+        let valid;
+        try {
+            valid = algorithm.kind === 'hmac'
+                ? crypto.timingSafeEqual(ApiAuth.digest(crypto.createHmac(algorithm.hash, key).update(signed).digest('base64url')), ApiAuth.digest(parts[2]))
+                : crypto.verify(algorithm.hash, Buffer.from(signed), key, Buffer.from(parts[2], 'base64url'));
+        } catch (error) {
+            console.error('❌ GoGain token could not be verified:', error.message);
+            valid = false;
+        }
+        if (!valid) {
+            throw ApiAuth.error(401, 'Invalid GoGain token signature');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (claims.exp !== undefined && now > claims.exp + JWT_CLOCK_TOLERANCE) {
+            throw ApiAuth.error(401, 'GoGain token expired');
+        }
+        if (claims.nbf !== undefined && now < claims.nbf - JWT_CLOCK_TOLERANCE) {
+            throw ApiAuth.error(401, 'GoGain token not valid yet');
+        }
+        return claims;
+    }
+
+    /**
+     * Caller of a request
+     * @param {Object} req - Express request
+     * @returns {Object} { kind: 'api-key' | 'gogain' | 'anonymous', tenant }
+     * @throws {Error} 401 for wrong credentials, or none when they are required
+     */
+    authenticate(req) {
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+            const tenant = this.tenantOfKey(apiKey);
+            if (!tenant) throw ApiAuth.error(401, 'Invalid API key');
+            return { kind: 'api-key', tenant };
+        }
+
+        const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+        const token = bearer ? bearer[1] : req.query.token;
+        if (token) {
+            this.verifyToken(token);
+            const tenant = GoGainServiceMapper.tenantFromToken(token, this.goGainBackendUrl);
+            if (!tenant) {
+                throw ApiAuth.error(401, 'GoGain token has no account claim (tenantId, companyId, userId, sub...) that is a string or a number to take its tenant from');
+            }
+            return { kind: 'gogain', tenant };
+        }
+
+        if (this.required) {
+            throw ApiAuth.error(401, 'Authentication required: send an API key (X-API-Key) or the GoGain token (Authorization: Bearer, or ?token=)');
+        }
+        // Open server (development): each address is its own tenant for the limits
+        return { kind: 'anonymous', tenant: `ip:${req.ip}` };
+    }
+
+    /**
+     * Express middleware setting req.auth, or answering 401
+     * @param {Array} publicPaths - Paths (under the mount point) that need no credentials
+     * @returns {Function} Middleware
+     */
+    middleware(publicPaths = []) {
+        return (req, res, next) => {
+            if (req.method === 'OPTIONS' || publicPaths.includes(req.path)) return next();
+            try {
+                req.auth = this.authenticate(req);
+                next();
+            } catch (error) {
+                console.warn(`🔒 ${req.method} ${req.originalUrl.split('?')[0]} refused: ${error.message}`);
+                res.set('WWW-Authenticate', 'Bearer realm="pdf-expense-tracker"');
+                res.status(error.status || 401).json({ error: error.message });
+            }
+        };
+    }
+}
+
+class TenantRateLimiter {
+    /**
+     * @param {Object} options - Limits and usage store
+     * @param {Object} options.limits - { perMinute, aiPerMinute, aiDailyQuota } for every tenant (0 turns a limit off)
+     * @param {Object} options.overrides - tenant → limits replacing some of the defaults
+     * @param {TransactionStore} options.store - Counts the daily AI calls (countApiUsage / recordApiUsage)
+     */
+    constructor(options = {}) {
+        if (!options.store) {
+            throw new Error('TenantRateLimiter requires store');
+        }
+        this.limits = { ...DEFAULT_RATE_LIMITS, ...options.limits };
+        this.overrides = options.overrides || {};
+        this.store = options.store;
+        this.windows = new Map(); // "tenant|bucket" → { start, count } of the current minute
+    }
+
+    /**
+     * Limits of a tenant
+     * @param {string} tenant - Tenant
+     * @returns {Object} { perMinute, aiPerMinute, aiDailyQuota }
+     */
+    limitsFor(tenant) {
+        return { ...this.limits, ...this.overrides[tenant] };
+    }
+
+    /**
+     * Count a request in the current minute of a tenant
+     * @param {string} tenant - Tenant
+     * @param {string} bucket - 'perMinute' (every call) or 'aiPerMinute' (AI calls)
+     * @param {boolean} record - False to only check whether the request would be allowed, without counting it
+     * @returns {Object} { allowed, limit, remaining, reset (seconds until the next minute) }
+     */
+    hit(tenant, bucket, record = true) {
+        const limit = this.limitsFor(tenant)[bucket];
+        const now = Date.now();
+        const start = now - (now % 60000);
+        const reset = Math.ceil((start + 60000 - now) / 1000);
+        if (!limit) return { allowed: true, limit: null, remaining: null, reset };
+
+        const key = `${tenant}|${bucket}`;
+        const window = this.windows.get(key);
+        const current = window && window.start === start ? window : { start, count: 0 };
+        if (current.count >= limit) {
+            return { allowed: false, limit, remaining: 0, reset };
+        }
+        if (!record) return { allowed: true, limit, remaining: limit - current.count, reset };
+        current.count += 1;
+        this.windows.set(key, current);
+        // Drop the finished minutes of every tenant now and then
+        if (this.windows.size > 1000) {
+            this.windows.forEach((entry, entryKey) => entry.start < start && this.windows.delete(entryKey));
+        }
+        return { allowed: true, limit, remaining: limit - current.count, reset };
+    }
+
+    /**
+     * Daily quota of AI calls of a tenant (UTC days), without counting a call
+     * @param {string} tenant - Tenant
+     * @returns {Object} { allowed, limit, used, reset (seconds until midnight UTC) }
+     */
+    quotaOf(tenant) {
+        const limit = this.limitsFor(tenant).aiDailyQuota;
+        const now = new Date();
+        const reset = Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime()) / 1000);
+        const used = this.store.countApiUsage(tenant, now.toISOString().slice(0, 10), 'ai');
+        return { allowed: !limit || used < limit, limit: limit || null, used, reset };
+    }
+
+    /**
+     * Count an AI call against the daily quota of a tenant
+     * @param {string} tenant - Tenant
+     * @returns {number} AI calls of the tenant today, this one included
+     */
+    useQuota(tenant) {
+        return this.store.recordApiUsage(tenant, new Date().toISOString().slice(0, 10), 'ai');
+    }
+
+    /**
+     * Express middleware: the per-minute limit of every call, plus the AI limits on the calls ai(req) picks
+     * Answers 429 with Retry-After once a limit is reached. AI calls get req.useAIQuota(), which the handler calls
+     * when it runs the LLM: a request refused by validation, or answered by the rules alone, counts in neither
+     * the per-minute AI limit nor the daily quota (both are only checked on arrival).
+     * @param {Function} ai - (req) → whether the request may run the LLM
+     * @returns {Function} Middleware (after ApiAuth, which sets req.auth)
+     */
+    middleware(ai = () => false) {
+        return (req, res, next) => {
+            if (!req.auth) return next();
+            const { tenant } = req.auth;
+            const refuse = (message, reset) => {
+                console.warn(`⏳ ${tenant}: ${message}`);
+                res.set('Retry-After', String(reset));
+                res.status(429).json({ error: message, retryAfter: reset });
+            };
+
+            const minute = this.hit(tenant, 'perMinute');
+            if (minute.limit) {
+                res.set('RateLimit-Limit', String(minute.limit));
+                res.set('RateLimit-Remaining', String(minute.remaining));
+                res.set('RateLimit-Reset', String(minute.reset));
+            }
+            if (!minute.allowed) {
+                return refuse(`Rate limit of ${minute.limit} requests per minute reached`, minute.reset);
+            }
+            if (!ai(req)) return next();
+
+            const aiMinute = this.hit(tenant, 'aiPerMinute', false);
+            if (!aiMinute.allowed) {
+                return refuse(`Rate limit of ${aiMinute.limit} AI requests per minute reached`, aiMinute.reset);
+            }
+            const quota = this.quotaOf(tenant);
+            const showQuota = (used) => {
+                if (!quota.limit) return;
+                res.set('X-AI-Quota-Limit', String(quota.limit));
+                res.set('X-AI-Quota-Remaining', String(Math.max(0, quota.limit - used)));
+            };
+            showQuota(quota.used);
+            if (!quota.allowed) {
+                return refuse(`Daily quota of ${quota.limit} AI requests used up`, quota.reset);
+            }
+            // One request counts once, however many LLM calls it makes
+            let counted = false;
+            req.useAIQuota = () => {
+                if (counted) return;
+                counted = true;
+                this.hit(tenant, 'aiPerMinute');
+                showQuota(this.useQuota(tenant));
+            };
+            next();
+        };
+    }
+}
+
+/**
+ * CORS settings: only the listed origins get CORS headers (calls without an Origin, like curl, are not concerned)
+ * @param {Object} env - CORS_ORIGINS ("*" for any origin, or a comma-separated list), FRONTEND_URL, NODE_ENV
+ * @returns {Object} Options for the cors middleware
+ */
+function corsOptions(env = {}) {
+    const listed = String(env.CORS_ORIGINS || env.FRONTEND_URL || DEFAULT_FRONTEND_URL)
+        .split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+    const any = listed.includes('*');
+    // Pages served by this server and local frontends during development
+    const local = origin => env.NODE_ENV !== 'production' && /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin);
+
+    return {
+        origin: (origin, callback) => callback(null, any || !origin || listed.includes(origin) || local(origin)),
+        credentials: true,
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+        exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-AI-Quota-Limit', 'X-AI-Quota-Remaining']
+    };
+}
+
+/**
+ * Authentication from environment variables
+ * @param {Object} env - API_KEYS, GOGAIN_JWT_SECRET, GOGAIN_JWT_PUBLIC_KEY, GOGAIN_BACKEND_URL, AUTH_REQUIRED, NODE_ENV
+ * @returns {ApiAuth} Authentication, required when credentials are configured or in production unless AUTH_REQUIRED=false
+ */
+function createApiAuth(env = {}) {
+    const apiKeys = ApiAuth.parseApiKeys(env.API_KEYS);
+    const jwtSecret = env.GOGAIN_JWT_SECRET || null;
+    // PEM keys in a single-line variable have their line breaks escaped
+    const jwtPublicKey = env.GOGAIN_JWT_PUBLIC_KEY ? env.GOGAIN_JWT_PUBLIC_KEY.replace(/\\n/g, '\n') : null;
+    const configured = apiKeys.size > 0 || Boolean(jwtSecret || jwtPublicKey);
+    const required = env.AUTH_REQUIRED !== undefined && env.AUTH_REQUIRED !== ''
+        ? env.AUTH_REQUIRED !== 'false'
+        : configured || env.NODE_ENV === 'production';
+
+    return new ApiAuth({
+        apiKeys,
+        jwtSecret,
+        jwtPublicKey,
+        goGainBackendUrl: env.GOGAIN_BACKEND_URL || 'https://gogain-backend.onrender.com',
+        required
+    });
+}
+
+/**
+ * Rate limits from environment variables
+ * @param {Object} env - RATE_LIMIT_PER_MINUTE, AI_RATE_LIMIT_PER_MINUTE, AI_DAILY_QUOTA, TENANT_LIMITS (JSON: tenant → limits)
+ * @param {TransactionStore} store - Daily AI usage
+ * @returns {TenantRateLimiter} Limiter
+ */
+function createRateLimiter(env = {}, store) {
+    const number = (value, fallback) => (value !== undefined && value !== '' && !isNaN(Number(value)) ? Number(value) : fallback);
+    let overrides = {};
+    if (env.TENANT_LIMITS) {
+        try {
+            overrides = JSON.parse(env.TENANT_LIMITS);
+        } catch (error) {
+            throw new Error(`TENANT_LIMITS is not valid JSON: ${error.message}`);
+        }
+    }
+    return new TenantRateLimiter({
+        limits: {
+            perMinute: number(env.RATE_LIMIT_PER_MINUTE, DEFAULT_RATE_LIMITS.perMinute),
+            aiPerMinute: number(env.AI_RATE_LIMIT_PER_MINUTE, DEFAULT_RATE_LIMITS.aiPerMinute),
+            aiDailyQuota: number(env.AI_DAILY_QUOTA, DEFAULT_RATE_LIMITS.aiDailyQuota)
+        },
+        overrides,
+        store
+    });
+}
+
+module.exports = { ApiAuth, TenantRateLimiter, corsOptions, createApiAuth, createRateLimiter };
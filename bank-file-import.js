@@ -0,0 +1,366 @@
+/**
+ * Bank File Import
+ * Reads the CSV and OFX files banks let you download, as an alternative to PDF scraping.
+ * Produces the same transaction objects as BankStatementExtractor.parseTransactions
+ * ({ date, valeur, nature, debit, credit, type }), so categorization, exports and GoGain work unchanged.
+ *
+ * CSV: the header row is found by its column names (CSV_COLUMN_NAMES covers the Société Générale,
+ * BNP Paribas, Crédit Agricole and Boursorama exports). Files whose columns are not recognized (LCL exports
+ * have no header row) come back with needsMapping and their columns, to be imported again with a column mapping:
+ *   { headerRow (-1 when there is none), date, valeur, nature: [columns], amount (signed) or debit / credit }
+ * OFX: 1.x (SGML) and 2.x (XML) statements; the account (ACCTID) and ledger balance are kept.
+ */
+
+const isImportNodeModule = typeof module !== 'undefined' && module.exports;
+const ImportReconciler = isImportNodeModule ? require('./statement-reconciliation') : window.StatementReconciler;
+
+// Column names (lowercase, no accents, punctuation and currency words removed) → role, in priority order
+const CSV_COLUMN_NAMES = {
+    date: ['date operation', 'date de l operation', 'date d operation', 'dateop', 'date comptable', 'date de comptabilisation', 'date'],
+    valeur: ['date valeur', 'date de valeur', 'dateval', 'valeur'],
+    nature: ['libelle operation', 'libelle de l operation', 'libelle', 'label', 'nature de l operation', 'nature',
+        'description', 'intitule', 'libelle simplifie', 'libelle court'],
+    detail: ['detail de l ecriture', 'libelle complementaire', 'complement', 'detail', 'informations complementaires'],
+    amount: ['montant de l operation', 'montant operation', 'montant', 'amount'],
+    debit: ['debit', 'montant debit'],
+    credit: ['credit', 'montant credit']
+};
+
+// Rows scanned for a header row
+const CSV_HEADER_SCAN_ROWS = 30;
+
+class BankFileImporter {
+    /**
+     * Format of a downloaded bank file
+     * @param {string} fileName - File name
+     * @param {string} text - File content (used when the extension says nothing)
+     * @returns {string|null} 'csv', 'ofx' or null
+     */
+    static detectFormat(fileName, text = '') {
+        if (/\.(ofx|qfx)$/i.test(fileName || '')) return 'ofx';
+        if (/\.(csv|txt)$/i.test(fileName || '')) return 'csv';
+        if (/<OFX>|OFXHEADER/i.test(text.substring(0, 1000))) return 'ofx';
+        return null;
+    }
+
+    /**
+     * Decode file bytes: UTF-8, or Windows-1252 (what most French banks still export) when it is not valid UTF-8
+     * @param {ArrayBuffer|Uint8Array} bytes - File content
+     * @returns {string} Text without byte order mark
+     */
+    static decode(bytes) {
+        let text;
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            text = new TextDecoder('windows-1252').decode(bytes);
+        }
+        return text.replace(/^\uFEFF/, '');
+    }
+
+    /**
+     * Column name reduced for comparison
+     * @param {string} name - Column name
+     * @returns {string} e.g. "Débit euros" → "debit"
+     */
+    static normalizeColumnName(name) {
+        return String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .replace(/\b(?:en )?(?:eur|euros?)\b/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Bank date → DD/MM/YYYY
+     * @param {string} text - DD/MM/YYYY, DD/MM/YY, DD-MM-YYYY, DD.MM.YYYY, YYYY-MM-DD or YYYYMMDD (OFX)
+     * @returns {string|null} Date, null when the text is not a date
+     */
+    static parseDate(text) {
+        const value = String(text || '').trim();
+        let match = value.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2}|\d{4})$/);
+        if (match) {
+            const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+            return `${match[1].padStart(2, '0')}/${match[2].padStart(2, '0')}/${year}`;
+        }
+        match = value.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:$|[T\s])/);
+        return match ? `${match[3]}/${match[2]}/${match[1]}` : null;
+    }
+
+    /**
+     * Bank amount → cents
+     * @param {string} text - "-1 250,00", "1250.00", "+12,5", "1.250,00 €"
+     * @returns {number} Signed cents, NaN when the text is not an amount
+     */
+    static parseAmount(text) {
+        const match = String(text === undefined || text === null ? '' : text).replace(/[€\s+]/g, '').match(/^(-)?([\d.,]*\d)$/);
+        if (!match) return NaN;
+
+        // The last separator followed by one or two digits is the decimal one, the others separate thousands
+        const [, sign, digits] = match;
+        const decimals = digits.match(/[.,](\d{1,2})$/);
+        const units = decimals ? digits.slice(0, -decimals[0].length) : digits;
+        if (!/^(?:\d+|\d{1,3}(?:[.,]\d{3})+)$/.test(units)) return NaN;
+
+        const cents = parseInt(units.replace(/[.,]/g, ''), 10) * 100 + parseInt((decimals ? decimals[1] : '0').padEnd(2, '0'), 10);
+        return sign ? -cents : cents;
+    }
+
+    /**
+     * Cents → French amount as the PDF extractor returns it
+     * @param {number} cents - Amount in cents
+     * @returns {string} "1 250,00" (no sign, no currency)
+     */
+    static formatAmount(cents) {
+        return ImportReconciler.formatCents(Math.abs(cents)).replace(/\s*€$/, '');
+    }
+
+    /**
+     * Split CSV text into rows (quoted fields, doubled quotes, line breaks inside quotes, Excel ="..." cells)
+     * @param {string} text - CSV content
+     * @returns {Object} { delimiter, rows: [[cell]] } without empty rows
+     */
+    static splitCSV(text) {
+        const sample = text.split(/\r?\n/).slice(0, 10).join('\n').replace(/"[^"]*"/g, '');
+        const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+            sample.split(candidate).length > sample.split(best).length ? candidate : best, ';');
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                // Excel text cells are written ="..."
+                if (cell === '=') cell = '';
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+
+        return {
+            delimiter,
+            rows: rows.map(cells => cells.map(value => value.trim())).filter(cells => cells.some(value => value !== ''))
+        };
+    }
+
+    /**
+     * Find the header row and the role of its columns
+     * @param {Array} rows - CSV rows
+     * @returns {Object|null} Mapping, null when no row has a date, a description and an amount column
+     */
+    static detectMapping(rows) {
+        for (let index = 0; index < Math.min(rows.length, CSV_HEADER_SCAN_ROWS); index++) {
+            const names = rows[index].map(BankFileImporter.normalizeColumnName);
+            const find = role => {
+                for (const name of CSV_COLUMN_NAMES[role]) {
+                    const column = names.indexOf(name);
+                    if (column !== -1) return column;
+                }
+                return null;
+            };
+
+            const mapping = {
+                headerRow: index,
+                date: find('date'),
+                valeur: find('valeur'),
+                nature: [find('nature'), find('detail')].filter(column => column !== null),
+                amount: find('amount'),
+                debit: find('debit'),
+                credit: find('credit')
+            };
+            const hasAmount = mapping.amount !== null || mapping.debit !== null || mapping.credit !== null;
+            if (mapping.date !== null && mapping.nature.length > 0 && hasAmount) {
+                if (mapping.valeur === mapping.date) mapping.valeur = null;
+                return mapping;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Columns of a CSV for the mapping step
+     * @param {Array} rows - CSV rows
+     * @returns {Array} [{ index, name, sample }] - names from the first row, sample values from the next rows
+     */
+    static describeColumns(rows) {
+        const width = Math.max(0, ...rows.slice(0, CSV_HEADER_SCAN_ROWS).map(cells => cells.length));
+        const dataRow = rows.find(cells => cells.some(value => BankFileImporter.parseDate(value))) || [];
+        return Array.from({ length: width }, (_, index) => ({
+            index,
+            name: (rows[0] || [])[index] || `Column ${index + 1}`,
+            sample: dataRow[index] || ''
+        }));
+    }
+
+    /**
+     * Transaction object of one CSV row
+     * @param {Array} cells - Row values
+     * @param {Object} mapping - Column mapping
+     * @returns {Object|null} Transaction, null for rows that are not operations (totals, balances, blank amounts)
+     */
+    static csvTransaction(cells, mapping) {
+        const date = BankFileImporter.parseDate(cells[mapping.date]);
+        if (!date) return null;
+
+        let cents;
+        if (mapping.amount !== null && mapping.amount !== undefined && cells[mapping.amount]) {
+            cents = BankFileImporter.parseAmount(cells[mapping.amount]);
+        } else {
+            const debit = BankFileImporter.parseAmount(cells[mapping.debit]);
+            const credit = BankFileImporter.parseAmount(cells[mapping.credit]);
+            cents = !isNaN(debit) && debit !== 0 ? -Math.abs(debit) : Math.abs(credit);
+        }
+        if (isNaN(cents) || cents === 0) return null;
+
+        // Description columns are joined, leaving out one that only repeats another (SG: Libellé within Détail)
+        const parts = (mapping.nature || []).map(column => (cells[column] || '').replace(/\s+/g, ' ').trim()).filter(Boolean);
+        const nature = parts
+            .filter((part, index) => !parts.some((other, otherIndex) => otherIndex !== index && other.includes(part) &&
+                (other !== part || otherIndex < index)))
+            .join(' ');
+        const amount = BankFileImporter.formatAmount(cents);
+        return {
+            date,
+            valeur: BankFileImporter.parseDate(cells[mapping.valeur]) || date,
+            nature,
+            debit: cents < 0 ? amount : null,
+            credit: cents > 0 ? amount : null,
+            type: cents < 0 ? 'debit' : 'credit'
+        };
+    }
+
+    /**
+     * Import a CSV export
+     * @param {string} text - CSV content
+     * @param {Object} options - { mapping (from the mapping step), mode: 'debit' (default), 'credit' or 'both' }
+     * @returns {Object} { format, transactions, account, summary, mapping, needsMapping, columns }
+     */
+    parseCSV(text, options = {}) {
+        const { mode = 'debit' } = options;
+        const { rows } = BankFileImporter.splitCSV(text);
+        const mapping = options.mapping || BankFileImporter.detectMapping(rows);
+        const result = { format: 'csv', account: null, summary: null, columns: BankFileImporter.describeColumns(rows) };
+
+        if (!mapping) {
+            console.warn('⚠️ CSV columns not recognized - column mapping required');
+            return { ...result, transactions: [], mapping: null, needsMapping: true };
+        }
+
+        const transactions = rows.slice(mapping.headerRow + 1)
+            .map(cells => BankFileImporter.csvTransaction(cells, mapping))
+            .filter(Boolean);
+        console.log(`📥 CSV import: ${transactions.length} transactions`);
+        return {
+            ...result,
+            transactions: transactions.filter(t => mode === 'both' || t.type === mode),
+            mapping,
+            needsMapping: false
+        };
+    }
+
+    /**
+     * Value of an OFX element (SGML leaf elements have no closing tag)
+     * @param {string} block - OFX text
+     * @param {string} tag - Element name
+     * @returns {string|null} Value with entities decoded
+     */
+    static ofxValue(block, tag) {
+        const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+        if (!match) return null;
+        return match[1].trim()
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Import an OFX statement
+     * @param {string} text - OFX content
+     * @param {Object} options - { mode: 'debit' (default), 'credit' or 'both' }
+     * @returns {Object} { format, transactions, account, summary (cents, as StatementReconciler.readSummary), needsMapping }
+     */
+    parseOFX(text, options = {}) {
+        const { mode = 'debit' } = options;
+        const value = BankFileImporter.ofxValue;
+        const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+        const transactions = blocks.map(block => {
+            const date = BankFileImporter.parseDate((value(block, 'DTPOSTED') || '').substring(0, 8));
+            const cents = BankFileImporter.parseAmount(value(block, 'TRNAMT'));
+            if (!date || isNaN(cents) || cents === 0) return null;
+
+            const name = value(block, 'NAME') || '';
+            const memo = value(block, 'MEMO') || '';
+            const amount = BankFileImporter.formatAmount(cents);
+            const valueDate = value(block, 'DTAVAIL') || value(block, 'DTUSER');
+            return {
+                date,
+                valeur: BankFileImporter.parseDate((valueDate || '').substring(0, 8)) || date,
+                nature: memo && !name.includes(memo) ? `${name} ${memo}`.trim() : name,
+                debit: cents < 0 ? amount : null,
+                credit: cents > 0 ? amount : null,
+                type: cents < 0 ? 'debit' : 'credit'
+            };
+        }).filter(Boolean);
+
+        const ledger = (text.match(/<LEDGERBAL>[\s\S]*?<\/LEDGERBAL>/i) || [''])[0];
+        const balance = BankFileImporter.parseAmount(value(ledger, 'BALAMT'));
+        console.log(`📥 OFX import: ${transactions.length} transactions`);
+        return {
+            format: 'ofx',
+            transactions: transactions.filter(t => mode === 'both' || t.type === mode),
+            account: value(text, 'ACCTID'),
+            summary: { previousBalance: null, newBalance: isNaN(balance) ? null : balance, totalDebit: null, totalCredit: null },
+            needsMapping: false
+        };
+    }
+
+    /**
+     * Import a downloaded bank file
+     * @param {string} fileName - File name (.csv, .txt, .ofx, .qfx)
+     * @param {string} text - File content (see decode())
+     * @param {Object} options - See parseCSV() / parseOFX()
+     * @returns {Object} Import result
+     */
+    parse(fileName, text, options = {}) {
+        const format = BankFileImporter.detectFormat(fileName, text);
+        if (format === 'ofx') return this.parseOFX(text, options);
+        if (format === 'csv') return this.parseCSV(text, options);
+        throw new Error(`Unsupported bank file "${fileName}" (expected .csv or .ofx)`);
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BankFileImporter;
+} else {
+    window.BankFileImporter = BankFileImporter;
+}
@@ -0,0 +1,646 @@
+/**
+ * Bank Format Profiles for French Bank Statements
+ * Each profile describes how one bank lays out its statements: header detection,
+ * transaction line grammar, balance/total lines, debit/credit keywords, client extraction rules and AI prompt hints.
+ */
+
+// Shared building blocks for transaction line grammars
+const FULL_DATE = '\\d{2}\\/\\d{2}\\/\\d{4}';
+const SHORT_DATE = '\\d{2}\\.\\d{2}(?:\\.\\d{2,4})?';
+const AMOUNT = '(?<amount>\\d{1,3}(?:[\\s.]?\\d{3})*,\\d{2}|\\d+,\\d{2})';
+
+const BUILT_IN_PROFILES = [
+    {
+        id: 'societe-generale',
+        name: 'Société Générale',
+        bankId: '30003', // Code banque, for the OFX export of accounts that are not French IBANs
+        headerPatterns: [/SOCI[ÉE]T[ÉE]\s+G[ÉE]N[ÉE]RALE/i, /sg\.fr/i],
+        sectionMarkers: ['RELEVÉ DES OPÉRATIONS', 'RELEVE DES OPERATIONS'],
+        summaryPatterns: {
+            previousBalance: /SOLDE\s+PR[ÉE]C[ÉE]DENT/i,
+            newBalance: /NOUVEAU\s+SOLDE/i,
+            totals: /TOTAUX\s+DES\s+MOUVEMENTS/i
+        },
+        columns: ['Date', 'Valeur', "Nature de l'opération", 'Débit', 'Crédit'],
+        datePattern: FULL_DATE,
+        linePatterns: [
+            // Date Valeur Description Amount
+            new RegExp(`(?<date>${FULL_DATE})\\s+(?<valeur>${FULL_DATE})\\s+(?<nature>.+?)\\s+(?<amount>\\d{1,3}(?:\\s?\\d{3})*,\\d{2}|\\d+,\\d{2})`),
+            new RegExp(`(?<date>${FULL_DATE})\\s+(?<valeur>${FULL_DATE})\\s+(?<nature>.+?)\\s+(?<amount>\\d[\\d\\s]*,\\d{2})`),
+            // Fallback: single date with description and amount
+            new RegExp(`(?<date>${FULL_DATE})\\s+(?<nature>.+?)\\s+(?<amount>\\d{1,3}(?:\\s?\\d{3})*,\\d{2}|\\d+,\\d{2})`)
+        ],
+        debitKeywords: [
+            'PRELEVEMENT', 'VIREMENT EMIS', 'VIR EMIS', 'VIR INSTANTANE EMIS', 'FRAIS', 'COMMISSION',
+            'COTISATION', 'ABONNEMENT', 'FACTURE', 'PAIEMENT', 'RETRAIT', 'CARTE', 'CB ', 'CHEQUE',
+            'ACHAT', 'LOCATION', 'LOYER', 'ASSURANCE', 'MUTUELLE', 'INTERNET', 'TELEPHONE',
+            'ELECTRICITE', 'GAZ', 'EAU', 'SALAIRE', 'PAIE', 'REMUNERATION', 'VIREMENT SALAIRE',
+            'VIREMENT PAIE', 'MASSE SALARIALE'
+        ],
+        creditKeywords: [
+            'VIREMENT RECU', 'VIR RECU', 'VIR INSTANTANE RECU', 'VIR INST RE', 'REMISE CB',
+            'VERSEMENT RECU', 'DEPOT ESPECE', 'ENCAISSEMENT', 'AVANTAGE COMMERCIAL'
+        ],
+        clientRules: [
+            {
+                pattern: /POUR:\s*([^0-9\n]+)/i,
+                description: 'Text after "POUR:" → Client = [TEXT AFTER POUR:]',
+                example: 'VIR INSTANTANE EMIS NET POUR: Ana STEFANOVIC',
+                exampleClient: 'Ana STEFANOVIC'
+            },
+            {
+                pattern: /\bDE:\s*([^0-9\n]+)/i,
+                description: 'Text after "DE:" → Client = [TEXT AFTER DE:]',
+                example: 'PRELEVEMENT EUROPEEN DE: ORANGE',
+                exampleClient: 'ORANGE'
+            },
+            {
+                pattern: /POUR CPTE DE:\s*([^0-9\n]+)/i,
+                description: 'Text after "POUR CPTE DE:" → Client = [TEXT AFTER POUR CPTE DE:]',
+                example: 'VIREMENT POUR CPTE DE: COMPANY NAME',
+                exampleClient: 'COMPANY NAME'
+            },
+            {
+                pattern: /CARTE\s+X?\d+\s+\d{2}\/\d{2}\s+(.+?)(?:\s+\d+[,.]\d+\s*)?$/i,
+                description: 'Text after "CARTE XXXX XX/XX" → Client = [STORE/MERCHANT NAME]',
+                example: 'CARTE X2148 01/02 SUMUP',
+                exampleClient: 'SUMUP'
+            },
+            {
+                pattern: /JAZZPRO I JAZZPRO/i,
+                value: 'JAZZPRO',
+                description: '"JAZZPRO I JAZZPRO" → Client = "JAZZPRO"',
+                example: 'JAZZPRO I JAZZPRO ABONNEMENT',
+                exampleClient: 'JAZZPRO'
+            },
+            {
+                pattern: /ABONNEMENT MATERIEL/i,
+                value: 'LOYER TPE',
+                description: 'Special case: "ABONNEMENT MATERIEL" → Client = "LOYER TPE"',
+                example: 'ABONNEMENT MATERIEL TPE',
+                exampleClient: 'LOYER TPE'
+            },
+            {
+                pattern: /INT DEBITEURS ET CION DECOUVERT/i,
+                value: 'DEBITEURS ET CION DECOUVERT',
+                description: 'For complex descriptions (like interest/fees), extract the most logical client',
+                example: 'INT DEBITEURS ET CION DECOUVERT AU 31/12/24',
+                exampleClient: 'DEBITEURS ET CION DECOUVERT'
+            }
+        ],
+        prompt: {
+            debitExamples: [
+                '"VIR INSTANTANE EMIS NET POUR: [Name]" → Salary payments (DÉBIT)',
+                '"PRELEVEMENT EUROPEEN DE: [Company]" → Direct debits (DÉBIT)',
+                '"CARTE X2148 [Store]" → Card purchases (DÉBIT)',
+                '"PRELEVEMENT [Service]" → Service payments (DÉBIT)'
+            ],
+            creditExamples: [
+                '"REMISE CB" → Card refunds (CRÉDIT)',
+                '"VIREMENT RECU" → Received transfers (CRÉDIT)',
+                '"AVANTAGE COMMERCIAL COTIS VISA BUSINESS" → Credit/cashback (CRÉDIT)',
+                '"VIR INST RE" → Received transfers (CRÉDIT)'
+            ],
+            lineExamples: [
+                '"24/01/2025 CARTE X2148 23/01 CARREFOUR CITY    11,04" (DÉBIT column)',
+                '"25/01/2025 AVANTAGE COMMERCIAL COTIS VISA BUSINESS    9,94" (CRÉDIT column)',
+                '"27/01/2025 CARTE X2148 24/01 MAGASINS NICOL    97,00" (DÉBIT column)',
+                '"27/01/2025 REMISE CB 24/01 R70304    179,37" (CRÉDIT column)'
+            ],
+            debitColumnGuide: `ENHANCED COLUMN DETECTION - DÉBIT ONLY EXTRACTION:
+
+CRITICAL RULE: Extract ONLY if amount appears in DÉBIT column (4th column position)
+
+TABLE STRUCTURE ANALYSIS:
+Date | Valeur | Nature de l'opération | Débit | Crédit
+
+PRECISE COLUMN DETECTION METHOD:
+1. Each transaction line has this exact pattern:
+   "DD/MM/YYYY DD/MM/YYYY [Description text] [DÉBIT amount or empty] [CRÉDIT amount or empty]"
+
+2. DÉBIT Column Identification:
+   ✅ EXTRACT: Amount appears BEFORE any trailing spaces at line end
+   ✅ EXTRACT: Amount is LEFT-ALIGNED in the amount area
+   ✅ EXTRACT: Line ends with: "...description AMOUNT" (no trailing amount)
+
+3. CRÉDIT Column Identification:
+   ❌ SKIP: Amount appears AFTER significant spacing
+   ❌ SKIP: Amount is RIGHT-ALIGNED at very end of line
+   ❌ SKIP: Line has pattern: "...description        AMOUNT" (right-aligned)
+
+EXACT EXAMPLES FROM YOUR FEBRUARY PDF:
+
+✅ DÉBIT PATTERNS (EXTRACT THESE):
+"03/02/2025 03/02/2025 CARTE X2148 01/02 SUMUP 14,00"
+"04/02/2025 04/02/2025 VIR INSTANTANE EMIS NET POUR: Ana STEFANOVIC 1 360,46"
+"05/02/2025 05/02/2025 PRELEVEMENT EUROPEEN 325960010 3 869,00"
+"10/02/2025 10/02/2025 CARTE X2148 10/02 FRANKPRIX 5065 10,95"
+
+❌ CRÉDIT PATTERNS (SKIP THESE):
+"27/02/2025 27/02/2025 REMISE CB 24/01 R70304 CT36631988501                    179,37"
+"28/02/2025 28/02/2025 VIR INST RE 552893677541                               480,00"
+"07/02/2025 07/02/2025 REMISE CB 06/02 R44894 CT36631988501                   284,34"
+
+SPACING PATTERN ANALYSIS:
+- DÉBIT: Amount follows description with 1-3 spaces
+- CRÉDIT: Amount follows description with 10+ spaces (right-aligned)
+
+SPACING ANALYSIS:
+- DÉBIT amounts: Appear immediately after description with minimal spacing
+- CRÉDIT amounts: Appear after significant whitespace/padding at line end
+
+EXTRACTION VALIDATION:
+For each potential transaction:
+1. Locate the amount in the line
+2. Check spacing pattern before the amount
+3. If minimal spacing = DÉBIT ✅ EXTRACT
+4. If extensive spacing = CRÉDIT ❌ SKIP
+
+FINAL VALIDATION: Every extracted amount must be from DÉBIT column - check spacing pattern not just amount presence`
+        }
+    },
+    {
+        id: 'bnp-paribas',
+        name: 'BNP Paribas',
+        bankId: '30004',
+        headerPatterns: [/BNP\s*PARIBAS/i, /mabanque\.bnpparibas/i],
+        sectionMarkers: ['Nature des opérations', 'NATURE DES OPERATIONS'],
+        summaryPatterns: {
+            // Both balances read "SOLDE CREDITEUR AU ..." - the first one is the opening balance
+            previousBalance: /SOLDE\s+(?:CR[ÉE]DITEUR|D[ÉE]BITEUR)\s+AU/i,
+            newBalance: /SOLDE\s+(?:CR[ÉE]DITEUR|D[ÉE]BITEUR)\s+AU/i,
+            totals: /TOTAL\s+DES\s+OP[ÉE]RATIONS/i
+        },
+        columns: ['Date', 'Nature des opérations', 'Valeur', 'Débit', 'Crédit'],
+        datePattern: SHORT_DATE,
+        linePatterns: [
+            // 02.01 PRLV SEPA ORANGE ... 02.01 45,99
+            new RegExp(`(?<date>${SHORT_DATE})\\s+(?<nature>.+?)\\s+(?<valeur>${SHORT_DATE})\\s+${AMOUNT}`)
+        ],
+        debitKeywords: [
+            'PRLV SEPA', 'PRELEVEMENT', 'FACTURE CARTE', 'VIR SEPA EMIS', 'VIREMENT EMIS', 'VIR CPTE A CPTE EMIS',
+            'RETRAIT DAB', 'COMMISSIONS', 'FRAIS', 'COTISATION', 'ECHEANCE PRET', 'CHEQUE'
+        ],
+        creditKeywords: ['VIR SEPA RECU', 'VIREMENT RECU', 'VIR CPTE A CPTE RECU', 'REMISE CARTE', 'REMISE CHEQUE', 'VERSEMENT ESPECES', 'AVOIR'],
+        clientRules: [
+            {
+                pattern: /\/DE\s+(.+?)(?:\s*\/|$)/i,
+                description: 'Text after "/DE" (received or issued transfers) → Client = [TEXT AFTER /DE]',
+                example: 'VIR SEPA RECU /DE CPAM PARIS /MOTIF REMBT',
+                exampleClient: 'CPAM PARIS'
+            },
+            {
+                pattern: /\/BEN\s+(.+?)(?:\s*\/|$)/i,
+                description: 'Text after "/BEN" (beneficiary of an issued transfer) → Client = [TEXT AFTER /BEN]',
+                example: 'VIR SEPA EMIS /MOTIF SALAIRE JANVIER /BEN MARIE DUPONT /REFDO 123',
+                exampleClient: 'MARIE DUPONT'
+            },
+            {
+                pattern: /PRLV SEPA\s+(.+?)(?:\s+(?:ECH|ID EMETTEUR|MDT)\b.*)?$/i,
+                description: 'Text after "PRLV SEPA" → Client = [CREDITOR NAME]',
+                example: 'PRLV SEPA ORANGE SA ECH/050125 ID EMETTEUR/FR12ZZZ',
+                exampleClient: 'ORANGE SA'
+            },
+            {
+                pattern: /FACTURE CARTE DU \d{6}\s+(.+?)(?:\s+CARTE\s+\S+)?$/i,
+                description: 'Text after "FACTURE CARTE DU DDMMYY" → Client = [STORE/MERCHANT NAME]',
+                example: 'FACTURE CARTE DU 230125 CARREFOUR CITY CARTE 4974XXXXXXXX1234',
+                exampleClient: 'CARREFOUR CITY'
+            }
+        ],
+        prompt: {
+            debitExamples: [
+                '"PRLV SEPA [Company]" → Direct debits (DÉBIT)',
+                '"FACTURE CARTE DU DDMMYY [Store]" → Card purchases (DÉBIT)',
+                '"VIR SEPA EMIS /BEN [Name]" → Issued transfers (DÉBIT)',
+                '"COMMISSIONS" / "FRAIS" → Bank fees (DÉBIT)'
+            ],
+            creditExamples: [
+                '"VIR SEPA RECU /DE [Name]" → Received transfers (CRÉDIT)',
+                '"REMISE CARTE" → Card settlements (CRÉDIT)',
+                '"REMISE CHEQUE" → Cheque deposits (CRÉDIT)'
+            ],
+            lineExamples: [
+                '"06.01 PRLV SEPA ORANGE SA ECH/050125 06.01 45,99" (DÉBIT column)',
+                '"07.01 REMISE CARTE 060125 R44894 07.01 284,34" (CRÉDIT column)'
+            ],
+            dateGuide: 'DATES: BNP Paribas prints operation and value dates as DD.MM, with the value date AFTER the description. Convert them to DD/MM/YYYY using the statement period year.'
+        }
+    },
+    {
+        id: 'credit-agricole',
+        name: 'Crédit Agricole',
+        headerPatterns: [/CR[ÉE]DIT\s+AGRICOLE/i, /credit-agricole\.fr/i, /Caisse R[ée]gionale/i],
+        sectionMarkers: ['Libellé des opérations', 'LIBELLE DES OPERATIONS'],
+        summaryPatterns: {
+            previousBalance: /ANCIEN\s+SOLDE/i,
+            newBalance: /NOUVEAU\s+SOLDE/i,
+            totals: /TOTAL\s+DES\s+OP[ÉE]RATIONS/i
+        },
+        columns: ['Date opé.', 'Date valeur', 'Libellé des opérations', 'Débit', 'Crédit'],
+        datePattern: SHORT_DATE,
+        linePatterns: [
+            // 03.01 03.01 PAIEMENT PAR CARTE X1234 CARREFOUR 02/01 11,24
+            new RegExp(`(?<date>${SHORT_DATE})\\s+(?<valeur>${SHORT_DATE})\\s+(?<nature>.+?)\\s+${AMOUNT}`)
+        ],
+        debitKeywords: [
+            'PRELEVEMENT', 'PAIEMENT PAR CARTE', 'VIREMENT EMIS', 'VIR EMIS', 'RETRAIT', 'COTISATION',
+            'FRAIS', 'COMMISSION', 'ECHEANCE', 'CHEQUE EMIS', 'CHEQUE'
+        ],
+        creditKeywords: ['VIREMENT EN VOTRE FAVEUR', 'VIR RECU', 'REMISE CARTE', 'REMISE DE CHEQUE', 'VERSEMENT', 'REMBOURSEMENT'],
+        clientRules: [
+            {
+                pattern: /PAIEMENT PAR CARTE\s+X?\d+\s+(.+?)(?:\s+\d{2}\/\d{2})?$/i,
+                description: 'Text after "PAIEMENT PAR CARTE XXXX" → Client = [STORE/MERCHANT NAME]',
+                example: 'PAIEMENT PAR CARTE X1234 CARREFOUR CITY 02/01',
+                exampleClient: 'CARREFOUR CITY'
+            },
+            {
+                pattern: /PRELEVEMENT\s+(?:SEPA\s+)?(.+?)(?:\s+(?:REF|RUM|ICS)\b.*)?$/i,
+                description: 'Text after "PRELEVEMENT" → Client = [CREDITOR NAME]',
+                example: 'PRELEVEMENT URSSAF ILE DE FRANCE REF 123456',
+                exampleClient: 'URSSAF ILE DE FRANCE'
+            },
+            {
+                pattern: /VIREMENT EMIS\s+(?:VERS\s+)?(.+?)(?:\s+(?:REF|MOTIF)\b.*)?$/i,
+                description: 'Text after "VIREMENT EMIS VERS" → Client = [BENEFICIARY NAME]',
+                example: 'VIREMENT EMIS VERS MARIE DUPONT MOTIF SALAIRE',
+                exampleClient: 'MARIE DUPONT'
+            }
+        ],
+        prompt: {
+            debitExamples: [
+                '"PAIEMENT PAR CARTE X[1234] [Store]" → Card purchases (DÉBIT)',
+                '"PRELEVEMENT [Company]" → Direct debits (DÉBIT)',
+                '"VIREMENT EMIS VERS [Name]" → Issued transfers (DÉBIT)',
+                '"COTISATION" / "FRAIS" → Bank fees (DÉBIT)'
+            ],
+            creditExamples: [
+                '"VIREMENT EN VOTRE FAVEUR" → Received transfers (CRÉDIT)',
+                '"REMISE CARTE" → Card settlements (CRÉDIT)'
+            ],
+            lineExamples: [
+                '"03.01 03.01 PAIEMENT PAR CARTE X1234 CARREFOUR 02/01 11,24" (DÉBIT column)',
+                '"06.01 06.01 VIREMENT EN VOTRE FAVEUR CPAM 480,00" (CRÉDIT column)'
+            ],
+            dateGuide: 'DATES: Crédit Agricole prints operation and value dates as DD.MM at the start of the line. Convert them to DD/MM/YYYY using the statement period year.'
+        }
+    },
+    {
+        id: 'lcl',
+        name: 'LCL',
+        bankId: '30002',
+        headerPatterns: [/\bLCL\b/, /LE CR[ÉE]DIT LYONNAIS/i, /lcl\.fr/i],
+        sectionMarkers: ['LIBELLE', 'Libellé'],
+        summaryPatterns: {
+            previousBalance: /ANCIEN\s+SOLDE/i,
+            newBalance: /(?:NOUVEAU\s+SOLDE|SOLDE\s+EN\s+EUROS)/i,
+            totals: /TOTAUX/i
+        },
+        columns: ['Date', 'Libellé', 'Valeur', 'Débit', 'Crédit'],
+        datePattern: SHORT_DATE,
+        linePatterns: [
+            // 04.01 CB CARREFOUR 03/01 04.01.25 11,24
+            new RegExp(`(?<date>${SHORT_DATE})\\s+(?<nature>.+?)\\s+(?<valeur>${SHORT_DATE})\\s+${AMOUNT}`)
+        ],
+        debitKeywords: ['PRLV SEPA', 'PRELEVEMENT', 'CB ', 'VIR SEPA EMIS', 'VIREMENT EMIS', 'RETRAIT', 'FRAIS', 'COTISATION', 'COMMISSION', 'CHEQUE'],
+        creditKeywords: ['VIR SEPA RECU', 'VIREMENT RECU', 'REMISE CB', 'REMISE CHEQUES', 'VERSEMENT', 'REMBOURSEMENT'],
+        clientRules: [
+            {
+                pattern: /^CB\s+(.+?)(?:\s+\d{2}\/\d{2})?$/i,
+                description: 'Text after "CB" → Client = [STORE/MERCHANT NAME]',
+                example: 'CB CARREFOUR CITY 03/01',
+                exampleClient: 'CARREFOUR CITY'
+            },
+            {
+                pattern: /PRLV SEPA\s+(.+?)(?:\s+(?:ECH|REF)\b.*)?$/i,
+                description: 'Text after "PRLV SEPA" → Client = [CREDITOR NAME]',
+                example: 'PRLV SEPA FREE TELECOM REF 12345',
+                exampleClient: 'FREE TELECOM'
+            },
+            {
+                pattern: /VIR SEPA EMIS\s+(?:VERS\s+)?(.+?)(?:\s+(?:REF|MOTIF)\b.*)?$/i,
+                description: 'Text after "VIR SEPA EMIS" → Client = [BENEFICIARY NAME]',
+                example: 'VIR SEPA EMIS MARIE DUPONT MOTIF SALAIRE',
+                exampleClient: 'MARIE DUPONT'
+            }
+        ],
+        prompt: {
+            debitExamples: [
+                '"CB [Store] DD/MM" → Card purchases (DÉBIT)',
+                '"PRLV SEPA [Company]" → Direct debits (DÉBIT)',
+                '"VIR SEPA EMIS [Name]" → Issued transfers (DÉBIT)'
+            ],
+            creditExamples: [
+                '"VIR SEPA RECU" → Received transfers (CRÉDIT)',
+                '"REMISE CB" → Card settlements (CRÉDIT)'
+            ],
+            lineExamples: [
+                '"04.01 CB CARREFOUR 03/01 04.01.25 11,24" (DÉBIT column)',
+                '"07.01 REMISE CB 060125 07.01.25 284,34" (CRÉDIT column)'
+            ],
+            dateGuide: 'DATES: LCL prints the operation date as DD.MM at the start of the line and the value date as DD.MM.YY after the description. Convert them to DD/MM/YYYY.'
+        }
+    },
+    {
+        id: 'boursorama',
+        name: 'Boursorama Banque',
+        bankId: '40618',
+        headerPatterns: [/BOURSORAMA/i, /BoursoBank/i, /boursorama-banque\.com/i],
+        sectionMarkers: ['Date opération', 'Date operation'],
+        summaryPatterns: {
+            previousBalance: /SOLDE\s+AU/i,
+            newBalance: /NOUVEAU\s+SOLDE|SOLDE\s+AU/i,
+            totals: /TOTAL\s+DES\s+MOUVEMENTS/i
+        },
+        columns: ['Date opération', 'Libellé', 'Valeur', 'Débit', 'Crédit'],
+        datePattern: FULL_DATE,
+        linePatterns: [
+            // 24/01/2025 CARTE 23/01/25 CARREFOUR CB*1234 24/01/2025 11,24
+            new RegExp(`(?<date>${FULL_DATE})\\s+(?<nature>.+?)\\s+(?<valeur>${FULL_DATE})\\s+${AMOUNT}`)
+        ],
+        debitKeywords: ['CARTE ', 'PRLV SEPA', 'VIR SEPA EMIS', 'VIR INST EMIS', 'VIR ', 'RETRAIT DAB', 'FRAIS', 'COTISATION', 'COMMISSION'],
+        creditKeywords: ['VIR SEPA RECU', 'VIR INST RECU', 'VIREMENT RECU', 'AVOIR', 'REMBOURSEMENT', 'REMISE'],
+        clientRules: [
+            {
+                pattern: /CARTE\s+\d{2}\/\d{2}\/\d{2}\s+(.+?)(?:\s+CB\*\d+.*)?$/i,
+                description: 'Text after "CARTE DD/MM/YY" → Client = [STORE/MERCHANT NAME]',
+                example: 'CARTE 23/01/25 CARREFOUR CITY CB*1234',
+                exampleClient: 'CARREFOUR CITY'
+            },
+            {
+                pattern: /PRLV SEPA\s+(.+?)(?:\s+(?:ECH|REF)\b.*)?$/i,
+                description: 'Text after "PRLV SEPA" → Client = [CREDITOR NAME]',
+                example: 'PRLV SEPA ORANGE SA',
+                exampleClient: 'ORANGE SA'
+            },
+            {
+                pattern: /VIR (?:SEPA|INST) EMIS\s+(.+?)(?:\s+(?:REF|MOTIF)\b.*)?$/i,
+                description: 'Text after "VIR SEPA EMIS" / "VIR INST EMIS" → Client = [BENEFICIARY NAME]',
+                example: 'VIR INST EMIS MARIE DUPONT',
+                exampleClient: 'MARIE DUPONT'
+            }
+        ],
+        prompt: {
+            debitExamples: [
+                '"CARTE DD/MM/YY [Store] CB*1234" → Card purchases (DÉBIT)',
+                '"PRLV SEPA [Company]" → Direct debits (DÉBIT)',
+                '"VIR INST EMIS [Name]" → Issued transfers (DÉBIT)'
+            ],
+            creditExamples: [
+                '"VIR SEPA RECU" / "VIR INST RECU" → Received transfers (CRÉDIT)',
+                '"AVOIR" → Merchant refunds (CRÉDIT)'
+            ],
+            lineExamples: [
+                '"24/01/2025 CARTE 23/01/25 CARREFOUR CB*1234 24/01/2025 11,24" (DÉBIT column)',
+                '"28/01/2025 VIR INST RECU CPAM 28/01/2025 480,00" (CRÉDIT column)'
+            ],
+            dateGuide: 'DATES: Boursorama prints the operation date first and the value date AFTER the description, both as DD/MM/YYYY.'
+        }
+    }
+];
+
+const DEFAULT_PROFILE_ID = 'societe-generale';
+
+// Prompt note for statements whose amounts were tagged by column position (statement-columns.js)
+const COLUMN_TAGS_GUIDE = `COLUMN TAGS:
+- When an amount is written as [DÉBIT 12,34] or [CRÉDIT 12,34], the tag comes from the amount's position under the table header
+- Tags are authoritative: [DÉBIT ...] → "type": "debit", [CRÉDIT ...] → "type": "credit" - ignore keywords and spacing for these lines
+- Return the amount without the tag ("12,34")`;
+
+// Number of characters at the top of a statement used for header detection
+const HEADER_SCAN_LENGTH = 3000;
+
+class BankProfileRegistry {
+    constructor(profiles = BUILT_IN_PROFILES) {
+        this.profiles = new Map();
+        profiles.forEach(profile => this.register(profile));
+    }
+
+    /**
+     * Register (or replace) a bank profile
+     * @param {Object} profile - Profile definition with at least id, name, headerPatterns and linePatterns
+     */
+    register(profile) {
+        if (!profile || !profile.id || !profile.name) {
+            throw new Error('Bank profile requires an id and a name');
+        }
+        if (!Array.isArray(profile.linePatterns) || profile.linePatterns.length === 0) {
+            throw new Error(`Bank profile "${profile.id}" requires at least one line pattern`);
+        }
+        this.profiles.set(profile.id, profile);
+    }
+
+    /**
+     * Get a profile by id
+     * @param {string} id - Profile id
+     * @returns {Object|null} Profile or null if unknown
+     */
+    get(id) {
+        return this.profiles.get(id) || null;
+    }
+
+    /**
+     * List available profiles (id and display name)
+     * @returns {Array} [{ id, name }]
+     */
+    list() {
+        return [...this.profiles.values()].map(({ id, name }) => ({ id, name }));
+    }
+
+    /**
+     * Detect the bank from the statement header
+     * @param {string} text - Raw statement text
+     * @returns {Object|null} Best matching profile or null when nothing matches
+     */
+    detect(text) {
+        const header = (text || '').substring(0, HEADER_SCAN_LENGTH);
+        let best = null;
+        let bestScore = 0;
+
+        for (const profile of this.profiles.values()) {
+            const score = (profile.headerPatterns || []).filter(pattern => pattern.test(header)).length;
+            if (score > bestScore) {
+                best = profile;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Resolve the profile to use: manual override first, then header detection, then default
+     * @param {string} text - Raw statement text
+     * @param {string|null} overrideId - Profile id chosen by the user ('auto' or empty to detect)
+     * @returns {Object} { profile, detected } - detected is false for overrides and defaults
+     */
+    resolve(text, overrideId = null) {
+        if (overrideId && overrideId !== 'auto') {
+            const profile = this.get(overrideId);
+            if (!profile) {
+                throw new Error(`Unknown bank profile "${overrideId}". Available: ${this.list().map(p => p.id).join(', ')}`);
+            }
+            return { profile, detected: false };
+        }
+
+        const detected = this.detect(text);
+        if (detected) {
+            return { profile: detected, detected: true };
+        }
+        return { profile: this.get(DEFAULT_PROFILE_ID) || [...this.profiles.values()][0], detected: false };
+    }
+
+    /**
+     * Find the account the statement belongs to, from the IBAN or the account number in the header
+     * @param {string} text - Raw statement text
+     * @returns {string|null} IBAN or account number without spaces, null when none is printed
+     */
+    detectAccount(text) {
+        const header = (text || '').substring(0, HEADER_SCAN_LENGTH).toUpperCase();
+        const iban = header.match(/\bFR\s?\d{2}(?:\s?[0-9A-Z]{4}){5}\s?[0-9A-Z]{3}\b/);
+        if (iban) return iban[0].replace(/\s/g, '');
+
+        const account = header.match(/(?:N°|NO|NUM[EÉ]RO)\s*(?:DE\s+)?COMPTE\s*:?\s*([0-9][0-9 ]{4,}[0-9])|COMPTE\s+(?:N°|NO)\s*:?\s*([0-9][0-9 ]{4,}[0-9])/);
+        return account ? (account[1] || account[2]).replace(/\s/g, '') : null;
+    }
+
+    /**
+     * Find the statement year (used for banks printing DD.MM dates)
+     * @param {string} text - Raw statement text
+     * @returns {Object} { year, endMonth } taken from the latest full date in the header
+     */
+    detectStatementPeriod(text) {
+        const header = (text || '').substring(0, HEADER_SCAN_LENGTH);
+        const dates = [...header.matchAll(/\b(\d{2})[\/.](\d{2})[\/.](\d{4})\b/g)]
+            .map(([, , month, year]) => ({ year: parseInt(year, 10), endMonth: parseInt(month, 10) }))
+            .sort((a, b) => (a.year - b.year) || (a.endMonth - b.endMonth));
+
+        return dates.length > 0
+            ? dates[dates.length - 1]
+            : { year: new Date().getFullYear(), endMonth: 12 };
+    }
+
+    /**
+     * Normalize any bank date format to DD/MM/YYYY
+     * @param {string} raw - Date as printed (DD/MM/YYYY, DD.MM.YYYY, DD.MM.YY or DD.MM)
+     * @param {Object} period - Statement period from detectStatementPeriod
+     * @returns {string} Date in DD/MM/YYYY format
+     */
+    normalizeDate(raw, period) {
+        if (!raw) return raw;
+        const [day, month, year] = raw.trim().split(/[\/.]/);
+
+        if (year && year.length === 4) return `${day}/${month}/${year}`;
+        if (year && year.length === 2) return `${day}/${month}/20${year}`;
+
+        // DD.MM: a month after the statement end month belongs to the previous year (December on a January statement)
+        const inferredYear = parseInt(month, 10) > period.endMonth ? period.year - 1 : period.year;
+        return `${day}/${month}/${inferredYear}`;
+    }
+
+    /**
+     * Apply a profile's client extraction rules in order
+     * @param {Object} profile - Bank profile
+     * @param {string} nature - Transaction description
+     * @returns {string|null} Client name or null when no rule matches
+     */
+    extractClient(profile, nature) {
+        if (!nature) return null;
+
+        for (const rule of profile.clientRules || []) {
+            const match = nature.match(rule.pattern);
+            if (match) {
+                const client = rule.value || (match[1] || '').trim().replace(/\s+/g, ' ');
+                if (client) return client;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Build the bank-specific sections of the AI extraction prompt
+     * @param {Object} profile - Bank profile
+     * @param {string} mode - Extraction mode: 'debit' (expenses), 'credit' (income) or 'both'
+     * @returns {Object} { system, intro, clientRules, columnGuide }
+     */
+    getPromptSections(profile, mode = 'debit') {
+        const prompt = profile.prompt || {};
+        const debitExamples = prompt.debitExamples || [];
+        const creditExamples = prompt.creditExamples || [];
+        const [, , , debitColumn = 'Débit', creditColumn = 'Crédit'] = profile.columns;
+
+        // Mark example lines as extracted or skipped for the requested mode
+        const markLine = line => {
+            const isDebitLine = line.includes('(DÉBIT');
+            if (mode === 'both') return `✅ EXTRACT as "${isDebitLine ? 'debit' : 'credit'}": ${line}`;
+            return (mode === 'debit') === isDebitLine ? `✅ EXTRACT: ${line}` : `❌ SKIP: ${line}`;
+        };
+
+        const modeRules = {
+            debit: `ONLY extract transactions that have amounts in the DÉBIT column (outflows/expenses). NEVER extract transactions from the CRÉDIT column (inflows).
+CRITICAL RULE: DÉBIT ONLY - NO CRÉDIT TRANSACTIONS
+- DÉBIT column = Money going OUT (expenses) ✅ EXTRACT THESE
+- CRÉDIT column = Money coming IN (income) ❌ NEVER EXTRACT THESE`,
+            credit: `ONLY extract transactions that have amounts in the CRÉDIT column (inflows/income). NEVER extract transactions from the DÉBIT column (outflows).
+CRITICAL RULE: CRÉDIT ONLY - NO DÉBIT TRANSACTIONS
+- CRÉDIT column = Money coming IN (income) ✅ EXTRACT THESE
+- DÉBIT column = Money going OUT (expenses) ❌ NEVER EXTRACT THESE`,
+            both: `Extract EVERY transaction, from both the DÉBIT and the CRÉDIT column, and mark each one with its column.
+CRITICAL RULE: "type" MUST MATCH THE COLUMN
+- DÉBIT column = Money going OUT (expenses) → "type": "debit"
+- CRÉDIT column = Money coming IN (income) → "type": "credit"`
+        };
+
+        const debitList = debitExamples.map(example => mode === 'credit' ? `❌ ${example} - DO NOT EXTRACT` : `✅ ${example}`);
+        const creditList = creditExamples.map(example => mode === 'debit' ? `❌ ${example} - DO NOT EXTRACT` : `✅ ${example}`);
+
+        const intro = `You are analyzing a ${profile.name} bank statement. ${modeRules[mode]}
+
+TABLE STRUCTURE:
+${profile.columns.join(' | ')}
+
+VISUAL IDENTIFICATION:
+- Look at each transaction line
+- If amount appears in DÉBIT column (left side) → ${mode === 'credit' ? 'SKIP' : 'EXTRACT'}
+- If amount appears in CRÉDIT column (right side) → ${mode === 'debit' ? 'SKIP' : 'EXTRACT'}
+
+DÉBIT TRANSACTIONS (expenses/outflows):
+${debitList.join('\n')}
+
+CRÉDIT TRANSACTIONS (income/inflows):
+${creditList.join('\n')}
+SPECIFIC EXAMPLES FROM YOUR PDF:
+${(prompt.lineExamples || []).map(markLine).join('\n')}`;
+
+        const rules = profile.clientRules || [];
+        const clientRules = `CLIENT IDENTIFICATION PATTERNS - EXACT RULES:
+
+${rules.map((rule, i) => `${i + 1}. ✅ ${rule.description}
+   Example: "${rule.example}" → Client: "${rule.exampleClient}"`).join('\n\n')}
+
+EXTRACTION PRIORITY ORDER:
+Apply the rules above in order; for other cases, extract the main business/service name from the description`;
+
+        const columnGuide = mode === 'debit' && prompt.debitColumnGuide
+            ? prompt.debitColumnGuide
+            : `COLUMN DETECTION:
+- The ${debitColumn} amount comes right after the description (1-3 spaces)
+- The ${creditColumn} amount is right-aligned at the end of the line, after significant whitespace
+- Set "type" to "debit" for ${debitColumn} amounts and "credit" for ${creditColumn} amounts`;
+
+        return {
+            system: `You are an expert at extracting financial data from French bank statements. You understand ${profile.name} formats perfectly and can tell debit transactions (expenses) from credit transactions (income) accurately.`,
+            intro,
+            clientRules,
+            columnGuide: [COLUMN_TAGS_GUIDE, columnGuide, prompt.dateGuide].filter(Boolean).join('\n\n')
+        };
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BankProfileRegistry;
+} else {
+    window.BankProfileRegistry = BankProfileRegistry;
+}
@@ -0,0 +1,394 @@
+/**
+ * Bank Statement Export
+ * Writes the processed transactions back out as a bank statement that accounting and banking
+ * software can import:
+ *   ofx     - OFX 2.2 (XML), STMTRS with one STMTTRN per line and the ledger balance
+ *   qif     - Quicken Interchange Format, !Type:Bank, dates MM/DD/YYYY unless another dateFormat is asked for
+ *   camt053 - ISO 20022 BkToCstmrStmt (camt.053.001.02) with opening / closing balances
+ * Every line carries the booking date (date), value date (valeur), signed amount (debits negative)
+ * and the bank's original description (rawNature). Duplicates (duplicateOf) and undated rows are left out.
+ * Balances are the statement's printed ones when the reconciliation read them; a missing one is derived
+ * from the other and the movements, and with neither the statement opens at zero.
+ */
+
+const isBankExportNodeModule = typeof module !== 'undefined' && module.exports;
+const BankExportReconciler = isBankExportNodeModule ? require('./statement-reconciliation') : window.StatementReconciler;
+const BankExportFingerprint = isBankExportNodeModule ? require('./transaction-fingerprint') : window.TransactionFingerprint;
+
+const BANK_EXPORT_FORMATS = {
+    ofx: { label: 'OFX 2.2', extension: 'ofx', mimeType: 'application/x-ofx' },
+    qif: { label: 'QIF', extension: 'qif', mimeType: 'application/qif' },
+    camt053: { label: 'CAMT.053', extension: 'xml', mimeType: 'application/xml' }
+};
+
+// QIF has no date format marker: readers default to the US month-first order
+const QIF_DATE_FORMATS = {
+    mdy: date => `${date.month}/${date.day}/${date.year}`,
+    dmy: date => `${date.day}/${date.month}/${date.year}`,
+    ymd: date => `${date.year}-${date.month}-${date.day}`
+};
+
+const CAMT053_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:camt.053.001.02';
+
+class BankStatementExporter {
+    /**
+     * @param {Object} options - { currency (ISO 4217, default EUR), bankProfiles (BankProfileRegistry, for the
+     *   OFX bank code of a statement whose account is not a French IBAN) }
+     */
+    constructor(options = {}) {
+        this.currency = options.currency || 'EUR';
+        this.bankProfiles = options.bankProfiles || null;
+    }
+
+    /**
+     * Supported formats
+     * @returns {Object} { format: { label, extension, mimeType } }
+     */
+    static get formats() {
+        return BANK_EXPORT_FORMATS;
+    }
+
+    /**
+     * Escape text for an XML element or attribute, dropping characters XML 1.0 does not allow
+     * @param {*} value - Text
+     * @returns {string} Escaped text
+     */
+    static escapeXML(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Single-line text cut to a maximum length (schema limits such as OFX NAME 32, CAMT Ustrd 140)
+     * @param {*} value - Text
+     * @param {number} maxLength - Maximum length
+     * @returns {string} Text
+     */
+    static truncate(value, maxLength) {
+        return String(value === undefined || value === null ? '' : value).replace(/\s+/g, ' ').trim().substring(0, maxLength);
+    }
+
+    /**
+     * DD/MM/YYYY → date parts
+     * @param {string} date - Date text
+     * @returns {Object|null} { day, month, year } as strings, null when the text is not a date
+     */
+    static dateParts(date) {
+        const match = String(date || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+        return match ? { day: match[1], month: match[2], year: match[3] } : null;
+    }
+
+    /**
+     * Cents → decimal with a dot and two decimals
+     * @param {number} cents - Amount in cents (sign kept)
+     * @returns {string} e.g. "-1250.00"
+     */
+    static formatDecimal(cents) {
+        const absolute = Math.abs(cents);
+        return `${cents < 0 ? '-' : ''}${Math.floor(absolute / 100)}.${String(absolute % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * Split an account into its IBAN and, for French IBANs, the bank / branch / account number / key
+     * @param {string|null} account - IBAN or account number
+     * @returns {Object} { iban, bankId, branchId, accountNumber }
+     */
+    static parseAccount(account) {
+        const compact = String(account || '').replace(/\s/g, '').toUpperCase();
+        const iban = /^[A-Z]{2}\d{2}[A-Z0-9]{1,30}$/.test(compact) ? compact : null;
+        if (iban && iban.startsWith('FR') && iban.length === 27) {
+            return {
+                iban,
+                bankId: iban.substring(4, 9),
+                branchId: iban.substring(9, 14),
+                accountNumber: iban.substring(14, 25)
+            };
+        }
+        return { iban, bankId: null, branchId: null, accountNumber: compact || null };
+    }
+
+    /**
+     * Statement lines to export, in booking date order
+     * @param {Array} transactions - Transactions (store or tracker field names)
+     * @param {string|null} account - Statement account (for the line identifiers)
+     * @returns {Array} [{ id, date, valeur, cents, description, payee, category, movementType }]
+     */
+    lines(transactions, account = null) {
+        return transactions
+            .filter(tx => !tx.duplicateOf)
+            .map((tx, order) => {
+                const date = BankStatementExporter.dateParts(tx.date);
+                const cents = Math.abs(BankExportReconciler.toCents(tx.amount || tx.amountWithTaxes || tx.debit || tx.credit));
+                if (!date || isNaN(cents)) return null;
+
+                const isCredit = tx.type === 'credit' || tx.typeOfTransaction === 'income';
+                const description = tx.rawNature || tx.description || tx.nature || '';
+                return {
+                    order,
+                    id: tx.fingerprint || BankExportFingerprint.compute(tx, tx.account || account),
+                    date,
+                    valeur: BankStatementExporter.dateParts(tx.valeur) || date,
+                    cents: isCredit ? cents : -cents,
+                    description,
+                    payee: tx.client || description,
+                    category: tx.service || tx.category || '',
+                    movementType: tx.typeOfMovement || ''
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => `${a.date.year}${a.date.month}${a.date.day}`.localeCompare(`${b.date.year}${b.date.month}${b.date.day}`) ||
+                a.order - b.order);
+    }
+
+    /**
+     * Opening and closing balances of the exported lines
+     * @param {Array} lines - From lines()
+     * @param {Object|null} reconciliation - Statement reconciliation (summary balances in euros)
+     * @returns {Object} { opening, closing } in cents, { printed } tells whether both come from the statement
+     */
+    balances(lines, reconciliation = null) {
+        const summary = (reconciliation && reconciliation.summary) || {};
+        const toCents = euros => (euros === null || euros === undefined ? null : Math.round(euros * 100));
+        const movement = lines.reduce((sum, line) => sum + line.cents, 0);
+        const opening = toCents(summary.previousBalance);
+        const closing = toCents(summary.newBalance);
+
+        if (opening !== null && closing !== null) return { opening, closing, printed: true };
+        if (opening !== null) return { opening, closing: opening + movement, printed: false };
+        if (closing !== null) return { opening: closing - movement, closing, printed: false };
+        return { opening: 0, closing: movement, printed: false };
+    }
+
+    /**
+     * Account, lines, period and balances shared by every format
+     * @param {Array} transactions - Transactions
+     * @param {Object} statement - { account, bankProfile, reconciliation, fileName } (all optional)
+     * @returns {Object} { account, lines, first, last, balances } - account.bankId from the IBAN, else the bank profile's
+     */
+    prepare(transactions, statement = {}) {
+        const rawAccount = statement.account || (transactions.find(tx => tx.account) || {}).account || null;
+        const lines = this.lines(transactions, rawAccount);
+        if (lines.length === 0) {
+            const error = new Error('No dated transactions to export');
+            error.status = 404;
+            throw error;
+        }
+        const account = BankStatementExporter.parseAccount(rawAccount);
+        const profile = this.bankProfiles && statement.bankProfile ? this.bankProfiles.get(statement.bankProfile) : null;
+        return {
+            account: { ...account, bankId: account.bankId || (profile && profile.bankId) || null },
+            lines,
+            first: lines[0].date,
+            last: lines[lines.length - 1].date,
+            balances: this.balances(lines, statement.reconciliation)
+        };
+    }
+
+    /**
+     * OFX 2.2 statement (bank account download response)
+     * BANKID is left out when neither the IBAN nor the bank profile gives the bank code
+     * @param {Array} transactions - Transactions
+     * @param {Object} statement - See prepare()
+     * @param {Object} options - { now: Date of the export (default now) }
+     * @returns {string} OFX XML
+     */
+    toOFX(transactions, statement = {}, options = {}) {
+        const { account, lines, first, last, balances } = this.prepare(transactions, statement);
+        const escape = BankStatementExporter.escapeXML;
+        const ofxDate = date => `${date.year}${date.month}${date.day}`;
+        const now = options.now || new Date();
+        const serverDate = now.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+
+        const transactionsXML = lines.map(line => [
+            '<STMTTRN>',
+            `<TRNTYPE>${line.cents < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+            `<DTPOSTED>${ofxDate(line.date)}</DTPOSTED>`,
+            `<DTAVAIL>${ofxDate(line.valeur)}</DTAVAIL>`,
+            `<TRNAMT>${BankStatementExporter.formatDecimal(line.cents)}</TRNAMT>`,
+            `<FITID>${escape(line.id)}</FITID>`,
+            `<NAME>${escape(BankStatementExporter.truncate(line.payee, 32))}</NAME>`,
+            `<MEMO>${escape(BankStatementExporter.truncate(line.description, 255))}</MEMO>`,
+            '</STMTTRN>'
+        ].join('')).join('\n');
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+            '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+            '<OFX>',
+            '<SIGNONMSGSRSV1><SONRS>',
+            '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+            `<DTSERVER>${serverDate}</DTSERVER><LANGUAGE>FRA</LANGUAGE>`,
+            '</SONRS></SIGNONMSGSRSV1>',
+            '<BANKMSGSRSV1><STMTTRNRS>',
+            '<TRNUID>0</TRNUID>',
+            '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+            '<STMTRS>',
+            `<CURDEF>${escape(this.currency)}</CURDEF>`,
+            '<BANKACCTFROM>',
+            ...(account.bankId ? [`<BANKID>${escape(account.bankId)}</BANKID>`] : []),
+            ...(account.branchId ? [`<BRANCHID>${escape(account.branchId)}</BRANCHID>`] : []),
+            `<ACCTID>${escape((account.accountNumber || account.iban || 'UNKNOWN').substring(0, 22))}</ACCTID>`,
+            '<ACCTTYPE>CHECKING</ACCTTYPE>',
+            '</BANKACCTFROM>',
+            '<BANKTRANLIST>',
+            `<DTSTART>${ofxDate(first)}</DTSTART><DTEND>${ofxDate(last)}</DTEND>`,
+            transactionsXML,
+            '</BANKTRANLIST>',
+            `<LEDGERBAL><BALAMT>${BankStatementExporter.formatDecimal(balances.closing)}</BALAMT><DTASOF>${ofxDate(last)}</DTASOF></LEDGERBAL>`,
+            '</STMTRS>',
+            '</STMTTRNRS></BANKMSGSRSV1>',
+            '</OFX>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * QIF bank account
+     * QIF has no value date field: it is added to the memo when it differs from the booking date
+     * @param {Array} transactions - Transactions
+     * @param {Object} statement - See prepare()
+     * @param {Object} options - { dateFormat: 'mdy' (MM/DD/YYYY, default), 'dmy' (DD/MM/YYYY) or 'ymd' (YYYY-MM-DD) }
+     * @returns {string} QIF text
+     */
+    toQIF(transactions, statement = {}, options = {}) {
+        const dateFormat = options.dateFormat || 'mdy';
+        const qifDate = QIF_DATE_FORMATS[dateFormat];
+        if (!qifDate) {
+            const error = new Error(`Unknown QIF date format "${dateFormat}" (expected ${Object.keys(QIF_DATE_FORMATS).join(', ')})`);
+            error.status = 400;
+            throw error;
+        }
+        const { account, lines, balances } = this.prepare(transactions, statement);
+        const clean = value => String(value || '').replace(/[\r\n]+/g, ' ').trim();
+
+        const records = lines.map(line => {
+            const memo = [
+                clean(line.description),
+                qifDate(line.valeur) !== qifDate(line.date) ? `Valeur ${qifDate(line.valeur)}` : ''
+            ].filter(Boolean).join(' - ');
+            return [
+                `D${qifDate(line.date)}`,
+                `T${BankStatementExporter.formatDecimal(line.cents)}`,
+                `P${clean(line.payee)}`,
+                `M${memo}`,
+                ...(line.category ? [`L${clean(line.category)}`] : []),
+                '^'
+            ].join('\n');
+        });
+
+        return [
+            '!Account',
+            `N${account.iban || account.accountNumber || 'Compte'}`,
+            'TBank',
+            `$${BankStatementExporter.formatDecimal(balances.closing)}`,
+            '^',
+            '!Type:Bank',
+            ...records,
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * ISO 20022 camt.053.001.02 bank to customer statement
+     * @param {Array} transactions - Transactions
+     * @param {Object} statement - See prepare() - statement.id names the message
+     * @param {Object} options - { now: Date of the export (default now) }
+     * @returns {string} CAMT.053 XML
+     */
+    toCAMT053(transactions, statement = {}, options = {}) {
+        const { account, lines, first, last, balances } = this.prepare(transactions, statement);
+        const escape = BankStatementExporter.escapeXML;
+        const isoDate = date => `${date.year}-${date.month}-${date.day}`;
+        const currency = escape(this.currency);
+        const now = options.now || new Date();
+        const createdAt = now.toISOString().substring(0, 19);
+        const messageId = `STMT${statement.id ? `-${statement.id}` : ''}-${createdAt.replace(/\D/g, '')}`.substring(0, 35);
+
+        const amount = cents => `<Amt Ccy="${currency}">${BankStatementExporter.formatDecimal(Math.abs(cents))}</Amt>` +
+            `<CdtDbtInd>${cents < 0 ? 'DBIT' : 'CRDT'}</CdtDbtInd>`;
+        const balance = (code, cents, date) =>
+            `<Bal><Tp><CdOrPrtry><Cd>${code}</Cd></CdOrPrtry></Tp>${amount(cents)}<Dt><Dt>${isoDate(date)}</Dt></Dt></Bal>`;
+        const accountId = account.iban
+            ? `<Id><IBAN>${escape(account.iban)}</IBAN></Id>`
+            : `<Id><Othr><Id>${escape(account.accountNumber || 'UNKNOWN')}</Id></Othr></Id>`;
+        const credits = lines.filter(line => line.cents > 0);
+        const debits = lines.filter(line => line.cents < 0);
+        const sum = entries => entries.reduce((total, line) => total + Math.abs(line.cents), 0);
+
+        const entriesXML = lines.map(line => [
+            '<Ntry>',
+            amount(line.cents),
+            '<Sts>BOOK</Sts>',
+            `<BookgDt><Dt>${isoDate(line.date)}</Dt></BookgDt>`,
+            `<ValDt><Dt>${isoDate(line.valeur)}</Dt></ValDt>`,
+            `<AcctSvcrRef>${escape(line.id)}</AcctSvcrRef>`,
+            `<BkTxCd><Prtry><Cd>${escape(BankStatementExporter.truncate(line.movementType || 'other', 35).toUpperCase())}</Cd></Prtry></BkTxCd>`,
+            `<NtryDtls><TxDtls><RmtInf><Ustrd>${escape(BankStatementExporter.truncate(line.description, 140))}</Ustrd></RmtInf></TxDtls></NtryDtls>`,
+            `<AddtlNtryInf>${escape(BankStatementExporter.truncate(line.description, 500))}</AddtlNtryInf>`,
+            '</Ntry>'
+        ].join('')).join('\n');
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<Document xmlns="${CAMT053_NAMESPACE}">`,
+            '<BkToCstmrStmt>',
+            `<GrpHdr><MsgId>${escape(messageId)}</MsgId><CreDtTm>${createdAt}</CreDtTm></GrpHdr>`,
+            '<Stmt>',
+            `<Id>${escape(messageId)}</Id>`,
+            `<CreDtTm>${createdAt}</CreDtTm>`,
+            `<FrToDt><FrDtTm>${isoDate(first)}T00:00:00</FrDtTm><ToDtTm>${isoDate(last)}T23:59:59</ToDtTm></FrToDt>`,
+            `<Acct>${accountId}<Ccy>${currency}</Ccy></Acct>`,
+            balance('OPBD', balances.opening, first),
+            balance('CLBD', balances.closing, last),
+            '<TxsSummry>',
+            `<TtlNtries><NbOfNtries>${lines.length}</NbOfNtries></TtlNtries>`,
+            `<TtlCdtNtries><NbOfNtries>${credits.length}</NbOfNtries><Sum>${BankStatementExporter.formatDecimal(sum(credits))}</Sum></TtlCdtNtries>`,
+            `<TtlDbtNtries><NbOfNtries>${debits.length}</NbOfNtries><Sum>${BankStatementExporter.formatDecimal(sum(debits))}</Sum></TtlDbtNtries>`,
+            '</TxsSummry>',
+            entriesXML,
+            '</Stmt>',
+            '</BkToCstmrStmt>',
+            '</Document>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Export in one of the supported formats
+     * @param {string} format - 'ofx', 'qif' or 'camt053'
+     * @param {Array} transactions - Transactions
+     * @param {Object} statement - See prepare()
+     * @param {Object} options - See toOFX() / toQIF() / toCAMT053()
+     * @returns {Object} { content, fileName, mimeType }
+     */
+    export(format, transactions, statement = {}, options = {}) {
+        const definition = BANK_EXPORT_FORMATS[format];
+        if (!definition) {
+            const error = new Error(`Unknown export format "${format}" (expected ${Object.keys(BANK_EXPORT_FORMATS).join(', ')})`);
+            error.status = 400;
+            throw error;
+        }
+
+        const content = format === 'ofx'
+            ? this.toOFX(transactions, statement, options)
+            : format === 'qif' ? this.toQIF(transactions, statement, options) : this.toCAMT053(transactions, statement, options);
+        const base = String(statement.fileName || 'releve').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+        return {
+            content,
+            fileName: `${base}.${format === 'camt053' ? 'camt053.' : ''}${definition.extension}`,
+            mimeType: definition.mimeType
+        };
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BankStatementExporter;
+} else {
+    window.BankStatementExporter = BankStatementExporter;
+}
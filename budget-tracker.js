@@ -0,0 +1,192 @@
+/**
+ * Budget Tracker
+ * Compares budgets (an amount per category, optionally per center, for each month, quarter or year)
+ * with the costs actually booked in each period, and turns the periods close to or over their budget into alerts.
+ * Amounts are added up in integer cents and returned in euros; income and duplicates (duplicateOf) are left out.
+ */
+
+const isBudgetNodeModule = typeof module !== 'undefined' && module.exports;
+const BudgetReconciler = isBudgetNodeModule ? require('./statement-reconciliation') : window.StatementReconciler;
+
+// Budget periods and how many months each covers
+const BUDGET_PERIODS = {
+    monthly: { label: 'Monthly', months: 1 },
+    quarterly: { label: 'Quarterly', months: 3 },
+    annual: { label: 'Annual', months: 12 }
+};
+
+// Share of the budget from which a period is reported as close to its limit
+const BUDGET_WARNING_RATIO = 0.8;
+
+class BudgetTracker {
+    /**
+     * Accepted budget periods
+     * @returns {Object} BUDGET_PERIODS
+     */
+    static get periods() {
+        return BUDGET_PERIODS;
+    }
+
+    /**
+     * Year, month and day of a DD/MM/YYYY or YYYY-MM-DD date
+     * @param {string} date - Date text
+     * @returns {Object|null} { year, month (1-12), day }, null when the text is not a date
+     */
+    static parseDate(date) {
+        const text = String(date || '').trim();
+        const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const french = text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+        if (iso) return { year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]) };
+        if (french) return { year: Number(french[3]), month: Number(french[2]), day: Number(french[1]) };
+        return null;
+    }
+
+    /**
+     * Budget period containing a date
+     * @param {string} date - DD/MM/YYYY or YYYY-MM-DD
+     * @param {string} period - BUDGET_PERIODS key
+     * @returns {Object|null} { key ("2025-01", "2025-Q1" or "2025"), from, to (DD/MM/YYYY) }
+     */
+    static periodOf(date, period) {
+        const parsed = BudgetTracker.parseDate(date);
+        const definition = BUDGET_PERIODS[period];
+        if (!parsed || !definition) return null;
+
+        const firstMonth = parsed.month - ((parsed.month - 1) % definition.months);
+        const lastMonth = firstMonth + definition.months - 1;
+        const lastDay = new Date(Date.UTC(parsed.year, lastMonth, 0)).getUTCDate();
+        const pad = value => String(value).padStart(2, '0');
+        const key = {
+            monthly: `${parsed.year}-${pad(firstMonth)}`,
+            quarterly: `${parsed.year}-Q${(firstMonth + 2) / 3}`,
+            annual: `${parsed.year}`
+        }[period];
+
+        return {
+            key,
+            from: `01/${pad(firstMonth)}/${parsed.year}`,
+            to: `${pad(lastDay)}/${pad(lastMonth)}/${parsed.year}`
+        };
+    }
+
+    /**
+     * Sortable YYYYMMDD number of a date
+     * @param {string} date - DD/MM/YYYY or YYYY-MM-DD
+     * @returns {number|null} Date number, null when the text is not a date
+     */
+    static dateNumber(date) {
+        const parsed = BudgetTracker.parseDate(date);
+        return parsed ? parsed.year * 10000 + parsed.month * 100 + parsed.day : null;
+    }
+
+    /**
+     * Every period of a kind overlapping a date range
+     * @param {string} from - First date
+     * @param {string} to - Last date
+     * @param {string} period - BUDGET_PERIODS key
+     * @returns {Array} Periods as returned by periodOf(), in order
+     */
+    static periodsBetween(from, to, period) {
+        const periods = [];
+        const end = BudgetTracker.dateNumber(to);
+        let current = BudgetTracker.periodOf(from, period);
+        while (current && BudgetTracker.dateNumber(current.from) <= end) {
+            periods.push(current);
+            // The day after the end of the period starts the next one
+            const last = BudgetTracker.parseDate(current.to);
+            const next = new Date(Date.UTC(last.year, last.month - 1, last.day + 1));
+            current = BudgetTracker.periodOf(next.toISOString().slice(0, 10), period);
+        }
+        return periods;
+    }
+
+    /**
+     * Whether a transaction counts against a budget
+     * @param {Object} budget - { category, center (null for every center) }
+     * @param {Object} tx - Transaction
+     * @returns {boolean} True for a cost of the budget's category (and center)
+     */
+    static applies(budget, tx) {
+        const isCost = tx.type !== 'credit' && tx.typeOfTransaction !== 'income';
+        return isCost && !tx.duplicateOf &&
+            (tx.category || tx.service) === budget.category &&
+            (!budget.center || tx.center === budget.center);
+    }
+
+    /**
+     * Budget vs actual costs for every period of every budget in a date range
+     * @param {Array} budgets - [{ id, category, center, period, amount (euros) }]
+     * @param {Array} transactions - Transactions (the whole periods are counted, not only the part in the range)
+     * @param {Object} options - { from, to } (default: the dates of the transactions)
+     * @returns {Array} [{ budgetId, category, center, period, periodKey, from, to, budgeted, actual, remaining, usage, status }]
+     *   with amounts in euros, usage in % and status 'ok', 'warning' (from 80 %) or 'over'
+     */
+    compare(budgets, transactions, options = {}) {
+        const dated = transactions.filter(tx => BudgetTracker.dateNumber(tx.date) !== null);
+        const byDate = (a, b) => BudgetTracker.dateNumber(a.date) - BudgetTracker.dateNumber(b.date);
+        const sorted = [...dated].sort(byDate);
+        const from = options.from || (sorted[0] || {}).date;
+        const to = options.to || (sorted[sorted.length - 1] || {}).date;
+        if (!BudgetTracker.parseDate(from) || !BudgetTracker.parseDate(to)) return [];
+
+        const comparison = [];
+        budgets.forEach(budget => {
+            const budgetedCents = BudgetReconciler.toCents(budget.amount);
+            const costs = new Map();
+            dated.filter(tx => BudgetTracker.applies(budget, tx)).forEach(tx => {
+                const key = BudgetTracker.periodOf(tx.date, budget.period).key;
+                const cents = Math.abs(BudgetReconciler.toCents(tx.amount || tx.amountWithTaxes || tx.debit));
+                if (!isNaN(cents)) costs.set(key, (costs.get(key) || 0) + cents);
+            });
+
+            BudgetTracker.periodsBetween(from, to, budget.period).forEach(period => {
+                const actualCents = costs.get(period.key) || 0;
+                const usage = budgetedCents > 0 ? Math.round(actualCents * 1000 / budgetedCents) / 10 : 0;
+                comparison.push({
+                    budgetId: budget.id,
+                    category: budget.category,
+                    center: budget.center || null,
+                    period: budget.period,
+                    periodKey: period.key,
+                    from: period.from,
+                    to: period.to,
+                    budgeted: budgetedCents / 100,
+                    actual: actualCents / 100,
+                    remaining: (budgetedCents - actualCents) / 100,
+                    usage,
+                    status: actualCents > budgetedCents ? 'over' : actualCents >= budgetedCents * BUDGET_WARNING_RATIO ? 'warning' : 'ok'
+                });
+            });
+        });
+
+        return comparison.sort((a, b) => a.category.localeCompare(b.category) ||
+            BudgetTracker.dateNumber(a.from) - BudgetTracker.dateNumber(b.from));
+    }
+
+    /**
+     * Periods close to or over their budget, most recent first
+     * @param {Array} comparison - Result of compare()
+     * @returns {Array} Comparison entries (status 'warning' or 'over') with a message
+     */
+    alerts(comparison) {
+        const euros = amount => BudgetReconciler.formatCents(Math.round(amount * 100));
+        return comparison
+            .filter(entry => entry.status !== 'ok')
+            .map(entry => ({
+                ...entry,
+                message: `${entry.category}${entry.center ? ` (${entry.center})` : ''} ${entry.periodKey}: ` +
+                    `${euros(entry.actual)} spent of a ${euros(entry.budgeted)} budget (${entry.usage} %)` +
+                    (entry.status === 'over' ? ` - over by ${euros(-entry.remaining)}` : '')
+            }))
+            .sort((a, b) => BudgetTracker.dateNumber(b.from) - BudgetTracker.dateNumber(a.from) ||
+                (a.status === b.status ? 0 : a.status === 'over' ? -1 : 1) ||
+                a.category.localeCompare(b.category));
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BudgetTracker;
+} else {
+    window.BudgetTracker = BudgetTracker;
+}
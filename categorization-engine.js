@@ -0,0 +1,327 @@
+/**
+ * Categorization Rules Engine
+ * Evaluates categorization-rules.json - the single source of truth for categories,
+ * client name cleanup, movement types, frequencies and VAT rates. Used by the backend, the
+ * regex extractor (pdf-extractor.js) and the expense tracker page.
+ *
+ * Category precedence (first tier with a match wins):
+ *   0. Overrides     - a category learned from a user correction for the same merchant → confidence 'high'
+ *   1. Exact matches - a category name from costCategories or one of its exactMatches
+ *      appears in the description → confidence 'high'
+ *   2. Patterns      - one of the category's regex patterns matches → the category's configured confidence
+ *   3. Keywords      - one of the category's keywords appears as a whole word → confidence 'medium'
+ *   4. Fallback      - 'AUTRES' with confidence 'low'
+ * Within a tier the longest matched text wins (more specific); ties go to the category listed first in the file.
+ * Matching ignores case and accents.
+ */
+
+const FALLBACK_CATEGORY = 'AUTRES';
+
+class CategorizationRulesEngine {
+    /**
+     * @param {Object} rules - Parsed categorization-rules.json
+     */
+    constructor(rules) {
+        if (!rules || !Array.isArray(rules.costCategories) || !rules.categorizationRules) {
+            throw new Error('Invalid categorization rules: costCategories and categorizationRules are required');
+        }
+        this.rules = rules;
+        this.categories = [...rules.costCategories];
+        this.fallbackCategory = FALLBACK_CATEGORY;
+        this.compiledCategories = this.compileCategories();
+        this.overrides = new Map();
+    }
+
+    /**
+     * Load rules from a URL (browser) - the backend serves them at /api/categorization-rules
+     * @param {string} url - Rules URL
+     * @returns {Promise<CategorizationRulesEngine>} Engine instance
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load categorization rules from ${url}: HTTP ${response.status}`);
+        }
+        return new CategorizationRulesEngine(await response.json());
+    }
+
+    /**
+     * Uppercase and strip accents so "Société" and "SOCIETE" compare equal
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase();
+    }
+
+    /**
+     * Build a whole-word regex for a phrase
+     * @param {string} phrase - Keyword or exact phrase
+     * @returns {RegExp} Regex matching the phrase between non-alphanumeric boundaries
+     */
+    static phraseRegex(phrase) {
+        const escaped = CategorizationRulesEngine.normalize(phrase).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?:^|[^A-Z0-9])${escaped}(?=[^A-Z0-9]|$)`);
+    }
+
+    /**
+     * Pre-compile every category rule in file order
+     * @returns {Array} [{ category, confidence, exact, patterns, keywords }]
+     */
+    compileCategories() {
+        const definitions = this.rules.categorizationRules;
+        const names = [...new Set([...this.categories, ...Object.keys(definitions)])];
+        const toPhrases = values => (values || []).map(value => ({ value, regex: CategorizationRulesEngine.phraseRegex(value) }));
+
+        return names.map(category => {
+            const definition = definitions[category] || {};
+            return {
+                category,
+                confidence: definition.confidence || 'medium',
+                exact: toPhrases([category, ...(definition.exactMatches || [])]),
+                patterns: (definition.patterns || []).map(value => ({ value, regex: new RegExp(value, 'i') })),
+                keywords: toPhrases(definition.keywords)
+            };
+        });
+    }
+
+    /**
+     * Learned overrides as categorize() reads them
+     * @param {Array} overrides - [{ merchantKey, category }]
+     * @returns {Map} merchant key → category
+     */
+    static overrideMap(overrides) {
+        return new Map((overrides || []).map(override => [override.merchantKey, override.category]));
+    }
+
+    /**
+     * Replace the learned merchant → category overrides (kept by the backend, see transaction-store.js)
+     * @param {Array} overrides - [{ merchantKey, category }]
+     */
+    setOverrides(overrides) {
+        this.overrides = CategorizationRulesEngine.overrideMap(overrides);
+    }
+
+    /**
+     * Merchant identity of a description: the full cleaned client name (after the leading transfer wording
+     * such as "VIR INSTANTANE EMIS NET POUR"), normalized, without references, dates or card numbers
+     * (words containing digits) - the same merchant gives the same key on every statement,
+     * two payees sharing a first name get different keys
+     * @param {string} description - Transaction description
+     * @returns {string} Merchant key ('' when nothing is left)
+     */
+    merchantKey(description) {
+        const transferPrefixes = new Set(((this.rules.clientExtractionRules || {}).transferPrefixes || [])
+            .map(CategorizationRulesEngine.normalize));
+        const words = CategorizationRulesEngine.normalize(description)
+            .replace(/[^A-Z0-9]+/g, ' ')
+            .split(' ')
+            .filter(Boolean);
+        while (words.length > 0 && transferPrefixes.has(words[0])) {
+            words.shift();
+        }
+        const name = words.join(' ');
+
+        return CategorizationRulesEngine.normalize(this.cleanClientName(name, { maxWords: Infinity }) || name)
+            .replace(/[^A-Z0-9]+/g, ' ')
+            .replace(/\b\w*\d\w*\b/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Categorize a transaction description
+     * @param {string} description - Transaction description (nature)
+     * @param {Map} overrides - Learned overrides to use instead of the engine's (overrideMap(), e.g. one tenant's on the backend)
+     * @returns {Object} { category, confidence, matchedRule: { category, type, value } | null }
+     */
+    categorize(description, overrides = this.overrides) {
+        if (overrides.size > 0) {
+            const key = this.merchantKey(description);
+            if (overrides.has(key)) {
+                const category = overrides.get(key);
+                return { category, confidence: 'high', matchedRule: { category, type: 'override', value: key } };
+            }
+        }
+
+        const text = CategorizationRulesEngine.normalize(description);
+        const tiers = [
+            { type: 'exactMatch', key: 'exact', confidence: () => 'high' },
+            { type: 'pattern', key: 'patterns', confidence: rule => rule.confidence },
+            { type: 'keyword', key: 'keywords', confidence: () => 'medium' }
+        ];
+
+        for (const tier of tiers) {
+            let best = null;
+
+            this.compiledCategories.forEach(rule => {
+                rule[tier.key].forEach(candidate => {
+                    const match = text.match(candidate.regex);
+                    if (!match) return;
+                    const length = match[0].trim().length;
+                    if (!best || length > best.length) {
+                        best = { rule, candidate, length };
+                    }
+                });
+            });
+
+            if (best) {
+                return {
+                    category: best.rule.category,
+                    confidence: tier.confidence(best.rule),
+                    matchedRule: { category: best.rule.category, type: tier.type, value: best.candidate.value }
+                };
+            }
+        }
+
+        return { category: FALLBACK_CATEGORY, confidence: 'low', matchedRule: null };
+    }
+
+    /**
+     * Find the most specific (longest) keyword match in a keyword map such as movementTypeRules
+     * @param {Object} keywordMap - { value: [keywords] }
+     * @param {string} description - Transaction description
+     * @returns {Object|null} { value, keyword }
+     */
+    matchKeywordMap(keywordMap, description) {
+        const text = CategorizationRulesEngine.normalize(description);
+        let best = null;
+
+        Object.entries(keywordMap || {}).forEach(([value, keywords]) => {
+            keywords.forEach(keyword => {
+                if (CategorizationRulesEngine.phraseRegex(keyword).test(text) &&
+                    (!best || keyword.length > best.keyword.length)) {
+                    best = { value, keyword };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Determine movement type from movementTypeRules
+     * @param {string} description - Transaction description
+     * @returns {Object} { movementType, matchedRule }
+     */
+    determineMovementType(description) {
+        const match = this.matchKeywordMap(this.rules.movementTypeRules, description);
+        return {
+            movementType: match ? match.value : 'other',
+            matchedRule: match ? { type: 'movementType', value: match.keyword } : null
+        };
+    }
+
+    /**
+     * Determine frequency from frequencyRules
+     * @param {string} description - Transaction description
+     * @returns {Object} { frequency, matchedRule }
+     */
+    determineFrequency(description) {
+        const match = this.matchKeywordMap(this.rules.frequencyRules, description);
+        return {
+            frequency: match ? match.value : 'unknown',
+            matchedRule: match ? { type: 'frequency', value: match.keyword } : null
+        };
+    }
+
+    /**
+     * Determine the VAT rate from vatRules - a merchant keyword beats the category rate
+     * @param {string} category - Transaction category
+     * @param {string} description - Transaction description
+     * @returns {Object} { rate (percent, null when unknown), matchedRule }
+     */
+    determineVatRate(category, description) {
+        const vatRules = this.rules.vatRules || {};
+        const merchant = this.matchKeywordMap(vatRules.merchantRates, description);
+        if (merchant) {
+            return { rate: Number(merchant.value), matchedRule: { type: 'vatMerchant', value: merchant.keyword } };
+        }
+
+        const categoryRates = vatRules.categoryRates || {};
+        if (category && categoryRates[category] !== undefined && categoryRates[category] !== null) {
+            return { rate: Number(categoryRates[category]), matchedRule: { type: 'vatCategory', value: category } };
+        }
+
+        const defaultRate = vatRules.defaultRate;
+        return {
+            rate: defaultRate === undefined || defaultRate === null ? null : Number(defaultRate),
+            matchedRule: null
+        };
+    }
+
+    /**
+     * Clean a description into a client name using clientExtractionRules
+     * (drop leading prefixes, skip stop words and references, stop after a company indicator)
+     * @param {string} nature - Transaction description
+     * @param {Object} options - { maxWords: words kept at most (default 5) }
+     * @returns {string} Client name or '' when nothing meaningful is left
+     */
+    cleanClientName(nature, { maxWords = 5 } = {}) {
+        const rules = this.rules.clientExtractionRules || {};
+        const prefixes = new Set((rules.prefixesToRemove || []).map(CategorizationRulesEngine.normalize));
+        const stopWords = new Set((rules.stopWords || []).map(CategorizationRulesEngine.normalize));
+        const indicators = new Set((rules.companyIndicators || []).map(CategorizationRulesEngine.normalize));
+
+        const words = String(nature || '')
+            .replace(/[^a-zA-ZÀ-ÿ0-9\s\-\.]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+
+        // Drop leading prefixes such as "PRELEVEMENT EUROPEEN SEPA DE"
+        while (words.length > 0 && prefixes.has(CategorizationRulesEngine.normalize(words[0]))) {
+            words.shift();
+        }
+
+        const clientWords = [];
+        for (const word of words) {
+            const normalized = CategorizationRulesEngine.normalize(word);
+            if (indicators.has(normalized)) {
+                clientWords.push(word);
+                break;
+            }
+            if (word.length <= 2 || /^\d/.test(word) || stopWords.has(normalized) || prefixes.has(normalized)) {
+                continue;
+            }
+            clientWords.push(word);
+            if (clientWords.length >= maxWords) break;
+        }
+
+        return clientWords.join(' ').trim();
+    }
+
+    /**
+     * Human readable description of a matched rule
+     * @param {Object|null} matchedRule - Rule returned by categorize()
+     * @returns {string} Description
+     */
+    describeRule(matchedRule) {
+        if (!matchedRule) return 'No rule matched (fallback)';
+        const labels = { override: 'your correction for', exactMatch: 'exact match', pattern: 'pattern', keyword: 'keyword' };
+        return `${labels[matchedRule.type] || matchedRule.type} "${matchedRule.value}" → ${matchedRule.category}`;
+    }
+
+    /**
+     * Summarize the rules for the AI categorization prompt
+     * @returns {string} One line per category with its keywords
+     */
+    describeForPrompt() {
+        return this.compiledCategories
+            .filter(rule => rule.keywords.length > 0 || rule.exact.length > 1)
+            .map(rule => {
+                const terms = [...rule.exact.slice(1), ...rule.keywords].map(term => term.value);
+                return `- ${[...new Set(terms)].join(', ')} = ${rule.category}`;
+            })
+            .join('\n');
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CategorizationRulesEngine;
+} else {
+    window.CategorizationRulesEngine = CategorizationRulesEngine;
+}
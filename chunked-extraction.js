@@ -0,0 +1,260 @@
+/**
+ * Chunked Extraction
+ * Splits long statements by page (and large pages at transaction boundaries) so no single AI answer
+ * hits the token limit, extracts the chunks concurrently with a cap on parallel calls, then merges
+ * the results in statement order. Chunks never overlap, so a transaction repeated in a later chunk is kept
+ * (two equal payments can sit on both sides of a page break) and only flagged as a possible duplicate.
+ * Every chunk reports its own status so a partial failure is visible.
+ */
+
+// A line starting with a date opens a new transaction - chunks are only cut before such lines
+const TRANSACTION_START = /^\s*\d{2}[\/.]\d{2}(?:[\/.]\d{2,4})?\s/;
+
+// Truncated chunks are split in two and retried this many times
+const MAX_SPLIT_DEPTH = 2;
+
+class ChunkedExtractor {
+    /**
+     * @param {Object} options - Extractor settings
+     * @param {Object} options.llm - LLM provider (llm-provider.js)
+     * @param {LLMPromptBuilder} options.prompts - Prompt builder (llm-prompts.js)
+     * @param {number} options.maxChunkChars - Max statement characters per AI call
+     * @param {number} options.concurrency - Max AI calls in flight
+     * @param {AIResponseValidator} options.validator - Checks and repairs the extracted items (ai-response-schema.js)
+     */
+    constructor(options = {}) {
+        if (!options.llm || !options.prompts) {
+            throw new Error('ChunkedExtractor requires llm and prompts');
+        }
+        this.llm = options.llm;
+        this.prompts = options.prompts;
+        this.maxChunkChars = options.maxChunkChars || 6000;
+        this.concurrency = Math.max(1, options.concurrency || 3);
+        this.validator = options.validator || null;
+    }
+
+    /**
+     * Split a statement into chunks
+     * @param {Object} source - { text, pages } - pages (one text per page) is optional
+     * @returns {Array} [{ index, pages: [pageNumber], text }]
+     */
+    split(source) {
+        const pages = Array.isArray(source.pages) && source.pages.length > 0
+            ? source.pages
+            : [source.text || ''];
+        const chunks = [];
+
+        pages.forEach((pageText, pageIndex) => {
+            const pageNumber = pages.length > 1 ? pageIndex + 1 : null;
+            this.splitLines(String(pageText).split('\n')).forEach(lines => {
+                const text = lines.join('\n').trim();
+                if (text) chunks.push({ pages: pageNumber ? [pageNumber] : [], text });
+            });
+        });
+
+        return chunks.map((chunk, index) => ({ index, ...chunk }));
+    }
+
+    /**
+     * Group lines into blocks under maxChunkChars, cutting only before a transaction start
+     * @param {Array} lines - Text lines
+     * @returns {Array} Array of line arrays
+     */
+    splitLines(lines) {
+        const blocks = [];
+        let current = [];
+        let size = 0;
+
+        lines.forEach(line => {
+            const cutHere = size + line.length > this.maxChunkChars && current.length > 0 && TRANSACTION_START.test(line);
+            if (cutHere) {
+                blocks.push(current);
+                current = [];
+                size = 0;
+            }
+            current.push(line);
+            size += line.length + 1;
+        });
+        if (current.length > 0) blocks.push(current);
+
+        return blocks;
+    }
+
+    /**
+     * Run an async function over items with at most `limit` calls in flight, keeping result order
+     * @param {Array} items - Inputs
+     * @param {number} limit - Max concurrent calls
+     * @param {Function} fn - async (item, index) => result
+     * @returns {Promise<Array>} Results in input order
+     */
+    static async mapWithConcurrency(items, limit, fn) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await fn(items[index], index);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+        return results;
+    }
+
+    /**
+     * Extract one chunk; a truncated answer is retried as two smaller halves
+     * @param {Object} chunk - From split()
+     * @param {Object} profile - Bank profile
+     * @param {string} mode - Extraction mode
+     * @param {Object} context - { period, total }
+     * @param {number} depth - Current split depth
+     * @returns {Promise<Object>} { transactions, truncated, calls, rejected } - rejected counts items still invalid after the re-ask
+     */
+    async extractChunk(chunk, profile, mode, context, depth = 0) {
+        const part = chunk.pages.length > 0
+            ? `page ${chunk.pages.join(', ')} (part ${chunk.index + 1} of ${context.total})`
+            : `part ${chunk.index + 1} of ${context.total}`;
+        const content = await this.llm.complete(this.prompts.extraction(chunk.text, profile, mode, { period: context.period, part }));
+        const result = this.prompts.parseExtractionResult(content, mode);
+
+        const lines = chunk.text.split('\n');
+        if (!result.truncated || depth >= MAX_SPLIT_DEPTH || lines.length < 2) {
+            if (!this.validator) return { ...result, calls: 1, rejected: 0 };
+
+            const checked = await this.validator.validate('extraction', result.transactions, { period: context.period, sourceText: chunk.text });
+            return {
+                transactions: checked.items,
+                truncated: result.truncated,
+                calls: checked.reasked > 0 ? 2 : 1,
+                rejected: checked.invalid.length
+            };
+        }
+
+        // Output ran out of tokens: retry the chunk as two halves, cut at a transaction start
+        console.log(`✂️ Chunk ${chunk.index + 1} was truncated - retrying in two halves`);
+        let middle = Math.floor(lines.length / 2);
+        while (middle < lines.length - 1 && !TRANSACTION_START.test(lines[middle])) middle++;
+        const halves = [lines.slice(0, middle), lines.slice(middle)].filter(half => half.length > 0);
+
+        const results = [];
+        for (const half of halves) {
+            results.push(await this.extractChunk({ ...chunk, text: half.join('\n') }, profile, mode, context, depth + 1));
+        }
+        return {
+            transactions: results.flatMap(r => r.transactions),
+            truncated: results.some(r => r.truncated),
+            calls: 1 + results.reduce((sum, r) => sum + r.calls, 0),
+            rejected: results.reduce((sum, r) => sum + r.rejected, 0)
+        };
+    }
+
+    /**
+     * Identity of a transaction for spotting repeats across chunks
+     * @param {Object} tx - Extracted transaction
+     * @returns {string} Key
+     */
+    static transactionKey(tx) {
+        const description = String(tx.description || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        const amount = String(tx.amount || '').replace(/[\s€]/g, '');
+        return [tx.date, tx.valeur, amount, tx.type, description].join('|');
+    }
+
+    /**
+     * Merge chunk results in order. Transactions a later chunk repeats from an earlier one are kept and flagged
+     * possibleDuplicate: the chunks cover different lines, so the repeat is most likely a second real payment
+     * @param {Array} chunkResults - Per-chunk transaction arrays, in chunk order
+     * @returns {Object} { transactions, possibleDuplicates }
+     */
+    merge(chunkResults) {
+        const seen = new Map();
+        const transactions = [];
+        let possibleDuplicates = 0;
+
+        chunkResults.forEach((chunkTransactions, chunkIndex) => {
+            const countsInChunk = new Map();
+            chunkTransactions.forEach(tx => {
+                const key = ChunkedExtractor.transactionKey(tx);
+                const occurrence = (countsInChunk.get(key) || 0) + 1;
+                countsInChunk.set(key, occurrence);
+
+                const earlier = seen.get(key);
+                if (earlier && earlier.chunkIndex !== chunkIndex && occurrence <= earlier.count) {
+                    possibleDuplicates++;
+                    transactions.push({ ...tx, possibleDuplicate: true });
+                    return;
+                }
+                seen.set(key, { chunkIndex, count: occurrence });
+                transactions.push(tx);
+            });
+        });
+
+        return { transactions, possibleDuplicates };
+    }
+
+    /**
+     * Extract all transactions of a statement
+     * @param {Object} source - { text, pages }
+     * @param {Object} profile - Bank profile
+     * @param {string} mode - Extraction mode
+     * @returns {Promise<Object>} { transactions, chunks: [{ index, pages, status, transactionCount, rejected, calls, error }], possibleDuplicates }
+     */
+    async extract(source, profile, mode = 'debit') {
+        const chunks = this.split(source);
+        const context = {
+            period: this.prompts.bankProfiles.detectStatementPeriod(source.text || (source.pages || []).join('\n')),
+            total: chunks.length
+        };
+        console.log(`🧩 Extracting ${chunks.length} chunk(s), ${this.concurrency} at a time`);
+
+        const results = await ChunkedExtractor.mapWithConcurrency(chunks, this.concurrency, async chunk => {
+            try {
+                const result = await this.extractChunk(chunk, profile, mode, context);
+                return {
+                    transactions: result.transactions,
+                    status: {
+                        index: chunk.index,
+                        pages: chunk.pages,
+                        status: result.truncated ? 'truncated' : 'ok',
+                        transactionCount: result.transactions.length,
+                        rejected: result.rejected,
+                        calls: result.calls
+                    }
+                };
+            } catch (error) {
+                console.error(`❌ Chunk ${chunk.index + 1} failed:`, error.message);
+                return {
+                    transactions: [],
+                    error,
+                    status: {
+                        index: chunk.index,
+                        pages: chunk.pages,
+                        status: 'failed',
+                        transactionCount: 0,
+                        error: error.message
+                    }
+                };
+            }
+        });
+
+        // Nothing came back at all: surface the first error (keeps the API's error status, e.g. 429)
+        const failures = results.filter(result => result.error);
+        if (failures.length === results.length && failures.length > 0) {
+            throw failures[0].error;
+        }
+
+        const { transactions, possibleDuplicates } = this.merge(results.map(result => result.transactions));
+        return {
+            transactions,
+            chunks: results.map(result => result.status),
+            possibleDuplicates
+        };
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChunkedExtractor;
+} else {
+    window.ChunkedExtractor = ChunkedExtractor;
+}
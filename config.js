@@ -10,3 +10,18 @@ const urlParams = new URLSearchParams(window.location.search);
 if (urlParams.get('token')) {
     console.log('🔗 GoGain integration detected');
 }
+
+// The GoGain token is also the tracker's credential for the backend API
+window.GOGAIN_TOKEN = urlParams.get('token') || '';
+
+// fetch() for the backend API, sending the GoGain token as a Bearer token
+window.backendFetch = (url, options = {}) => {
+    const headers = new Headers(options.headers || {});
+    if (window.GOGAIN_TOKEN && !headers.has('Authorization')) {
+        headers.set('Authorization', `Bearer ${window.GOGAIN_TOKEN}`);
+    }
+    return fetch(url, { ...options, headers });
+};
+
+// Company SIREN used to name FEC exports (<SIREN>FEC<closing date>.txt), passed as ?siren= (required for the FEC export)
+window.COMPANY_SIREN = urlParams.get('siren') || '';
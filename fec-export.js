@@ -0,0 +1,193 @@
+/**
+ * FEC Export
+ * Builds the Fichier des Écritures Comptables (article A47 A-1 du LPF) from bank transactions:
+ * tab-separated, the 18 mandatory columns, one balanced entry per transaction in the bank journal.
+ *   expense: debit the category account (HT) and 44566 (VAT), credit 512 (TTC)
+ *   income:  debit 512 (TTC), credit 706 (HT) and 44571 (VAT)
+ * Accounts come from accountingRules in categorization-rules.json; uncategorized rows go to the suspense account.
+ */
+
+const isFECNodeModule = typeof module !== 'undefined' && module.exports;
+const FECReconciler = isFECNodeModule ? require('./statement-reconciliation') : window.StatementReconciler;
+
+const FEC_COLUMNS = [
+    'JournalCode', 'JournalLib', 'EcritureNum', 'EcritureDate', 'CompteNum', 'CompteLib',
+    'CompAuxNum', 'CompAuxLib', 'PieceRef', 'PieceDate', 'EcritureLib', 'Debit', 'Credit',
+    'EcritureLet', 'DateLet', 'ValidDate', 'Montantdevise', 'Idevise'
+];
+
+class FECExporter {
+    /**
+     * @param {Object} options - Exporter dependencies
+     * @param {CategorizationRulesEngine} options.rulesEngine - Accounting rules (accountingRules)
+     */
+    constructor(options = {}) {
+        if (!options.rulesEngine || !options.rulesEngine.rules.accountingRules) {
+            throw new Error('FECExporter requires a rulesEngine with accountingRules');
+        }
+        this.accounts = options.rulesEngine.rules.accountingRules;
+    }
+
+    /**
+     * DD/MM/YYYY → YYYYMMDD
+     * @param {string} date - Date text
+     * @returns {string|null} FEC date, null when the text is not a date
+     */
+    static formatDate(date) {
+        const match = String(date || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+        return match ? `${match[3]}${match[2]}${match[1]}` : null;
+    }
+
+    /**
+     * Cents → FEC amount (comma decimal, no thousands separator, no currency)
+     * @param {number} cents - Amount in cents
+     * @returns {string} e.g. "1250,00"
+     */
+    static formatAmount(cents) {
+        return `${Math.floor(cents / 100)},${String(cents % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * Field text without the characters that would break the tab-separated layout
+     * @param {*} value - Field value
+     * @returns {string} Clean text
+     */
+    static clean(value) {
+        return String(value === undefined || value === null ? '' : value).replace(/[\t\r\n]+/g, ' ').trim();
+    }
+
+    /**
+     * Account of a category (suspense account when the category has none)
+     * @param {string} category - Transaction category
+     * @returns {Object} { number, label }
+     */
+    expenseAccount(category) {
+        return (this.accounts.categoryAccounts || {})[category] || this.accounts.suspenseAccount;
+    }
+
+    /**
+     * Entry lines of one transaction
+     * @param {Object} tx - Transaction (store or tracker field names)
+     * @returns {Array} [{ account, debit, credit }] in cents - empty when the amount cannot be read
+     */
+    entryLines(tx) {
+        const total = Math.abs(FECReconciler.toCents(tx.amount || tx.amountWithTaxes || tx.debit || tx.credit));
+        if (isNaN(total) || total === 0) return [];
+
+        // HT is what is left after the VAT, so the entry always balances even when HT was typed inconsistently
+        const vatCents = Math.abs(FECReconciler.toCents(tx.taxes));
+        const vat = isNaN(vatCents) || vatCents > total ? 0 : vatCents;
+        const isIncome = tx.type === 'credit' || tx.typeOfTransaction === 'income';
+        const bank = this.accounts.bankAccount;
+
+        if (isIncome) {
+            return [
+                { account: bank, debit: total, credit: 0 },
+                { account: this.accounts.incomeAccount, debit: 0, credit: total - vat },
+                ...(vat > 0 ? [{ account: this.accounts.collectedVatAccount, debit: 0, credit: vat }] : [])
+            ];
+        }
+        return [
+            { account: this.expenseAccount(tx.category || tx.service), debit: total - vat, credit: 0 },
+            ...(vat > 0 ? [{ account: this.accounts.deductibleVatAccount, debit: vat, credit: 0 }] : []),
+            { account: bank, debit: 0, credit: total }
+        ];
+    }
+
+    /**
+     * Build the FEC rows
+     * @param {Array} transactions - Transactions; duplicates (duplicateOf) and undated rows are left out
+     * @param {Object} options - { validDate: DD/MM/YYYY validation date (default today) }
+     * @returns {Object} { rows: [{ column: value }], entryCount, skipped }
+     */
+    build(transactions, options = {}) {
+        const today = new Date();
+        const validDate = FECExporter.formatDate(options.validDate) ||
+            `${today.getFullYear()}${String(today.getMonth() + 1).padStart(2, '0')}${String(today.getDate()).padStart(2, '0')}`;
+        const journal = this.accounts.journal;
+
+        // Entry numbers follow the date order without gaps, as the FEC requires
+        const dated = transactions
+            .filter(tx => !tx.duplicateOf)
+            .map((tx, order) => ({ tx, order, date: FECExporter.formatDate(tx.date) }))
+            .filter(entry => entry.date)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.order - b.order);
+
+        const rows = [];
+        let entryCount = 0;
+        dated.forEach(({ tx, date }) => {
+            const lines = this.entryLines(tx);
+            if (lines.length === 0) return;
+            entryCount++;
+
+            const pieceRef = FECExporter.clean(tx.id ? `TX${tx.id}` : tx.index);
+            lines.forEach(line => rows.push({
+                JournalCode: journal.code,
+                JournalLib: journal.label,
+                EcritureNum: `${journal.code}${String(entryCount).padStart(6, '0')}`,
+                EcritureDate: date,
+                CompteNum: line.account.number,
+                CompteLib: line.account.label,
+                CompAuxNum: '',
+                CompAuxLib: '',
+                PieceRef: pieceRef,
+                PieceDate: date,
+                EcritureLib: FECExporter.clean(tx.description || tx.nature || tx.client),
+                Debit: FECExporter.formatAmount(line.debit),
+                Credit: FECExporter.formatAmount(line.credit),
+                EcritureLet: '',
+                DateLet: '',
+                ValidDate: validDate,
+                Montantdevise: '',
+                Idevise: ''
+            }));
+        });
+
+        return { rows, entryCount, skipped: transactions.length - entryCount };
+    }
+
+    /**
+     * FEC file content
+     * @param {Array} transactions - Transactions
+     * @param {Object} options - See build()
+     * @returns {string} Tab-separated text with the header line, CRLF line endings
+     */
+    export(transactions, options = {}) {
+        const { rows } = this.build(transactions, options);
+        return [FEC_COLUMNS, ...rows.map(row => FEC_COLUMNS.map(column => row[column]))]
+            .map(values => values.join('\t'))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Whether a text is a SIREN (9 digits, spaces allowed)
+     * @param {string} siren - Text
+     * @returns {boolean} True for a SIREN
+     */
+    static isSiren(siren) {
+        return /^\d{9}$/.test(String(siren || '').replace(/\s/g, ''));
+    }
+
+    /**
+     * Regulatory file name: <SIREN>FEC<closing date YYYYMMDD>.txt
+     * @param {string} siren - Company SIREN (9 digits)
+     * @param {string} closingDate - DD/MM/YYYY
+     * @returns {string} File name
+     * @throws {Error} 400 when the SIREN is missing or not 9 digits (the name would not be a valid FEC name)
+     */
+    static fileName(siren, closingDate) {
+        if (!FECExporter.isSiren(siren)) {
+            const error = new Error(siren ? `Invalid SIREN "${siren}" (expected 9 digits)` : 'A 9-digit SIREN is required to name the FEC file');
+            error.status = 400;
+            throw error;
+        }
+        return `${String(siren).replace(/\s/g, '')}FEC${FECExporter.formatDate(closingDate) || ''}.txt`;
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FECExporter;
+} else {
+    window.FECExporter = FECExporter;
+}
@@ -0,0 +1,83 @@
+/**
+ * GoGain Import
+ * Keys and results of an import into GoGain. Each row gets a key from its bank line (transaction fingerprint),
+ * numbered over all the rows of its statement and kept on the row (goGainKey), and the batch a key from its rows,
+ * tenant and center, so sending the same rows again - in any selection, or as a retry - cannot post them twice.
+ * The per-row results of /api/import-pdf-transactions say which rows to retry.
+ */
+
+const isGoGainImportNodeModule = typeof module !== 'undefined' && module.exports;
+const ImportFingerprint = isGoGainImportNodeModule ? require('./transaction-fingerprint') : window.TransactionFingerprint;
+
+// Row statuses GoGain reports for rows it did not import
+const GOGAIN_FAILED_STATUSES = ['failed', 'error', 'rejected', 'invalid'];
+
+class GoGainImport {
+    /**
+     * Give every row without one its goGainKey: the fingerprint of its bank line, numbered when the same line
+     * appears more than once in its statement. Call it with all the rows of the table (not a selection),
+     * so a row keeps its key whichever rows are sent with it
+     * @param {Array} rows - Table rows (with their account and sourceStatement or statementId)
+     * @returns {Array} The rows
+     */
+    static assignRowKeys(rows) {
+        const seen = new Map();
+        rows.forEach(tx => {
+            const fingerprint = ImportFingerprint.compute(tx, tx.account || null);
+            const counter = `${tx.sourceStatement || tx.statementId || ''}|${fingerprint}`;
+            const occurrence = (seen.get(counter) || 0) + 1;
+            seen.set(counter, occurrence);
+            if (!tx.goGainKey) tx.goGainKey = occurrence === 1 ? fingerprint : `${fingerprint}-${occurrence}`;
+        });
+        return rows;
+    }
+
+    /**
+     * Key of a batch: the same rows for the same tenant and center always get the same key
+     * @param {Array} rowKeys - Keys of the rows sent
+     * @param {Object} context - { tenant, center }
+     * @returns {string} "gogain-" followed by a hash
+     */
+    static batchKey(rowKeys, context = {}) {
+        const text = [context.tenant || '', context.center || '', ...[...rowKeys].sort()].join('|');
+        return `gogain-${ImportFingerprint.hash(text)}`;
+    }
+
+    /**
+     * Outcome of each row sent, from the GoGain response
+     * Reads { results | transactions: [{ externalId | index, success | status, error | message }] } or
+     * { failed | errors: [...] }; a results list that leaves a row out counts it as failed, so it is retried.
+     * @param {Object} body - GoGain response
+     * @param {Array} rowKeys - Keys of the rows sent, in payload order
+     * @returns {Array} [{ key, success, error }] in payload order
+     */
+    static parseResults(body, rowKeys) {
+        const data = body || {};
+        const keyOf = entry => entry.externalId || (Number.isInteger(entry.index) ? rowKeys[entry.index] : null);
+        const errorOf = entry => entry.error || entry.message || entry.reason || 'Rejected by GoGain';
+        const results = Array.isArray(data.results) ? data.results : Array.isArray(data.transactions) ? data.transactions : null;
+
+        if (results) {
+            const byKey = new Map(results.map(entry => [keyOf(entry), entry]));
+            return rowKeys.map(key => {
+                const entry = byKey.get(key);
+                if (!entry) return { key, success: false, error: 'No result returned by GoGain' };
+                const failed = entry.success === false || Boolean(entry.error) ||
+                    GOGAIN_FAILED_STATUSES.includes(String(entry.status || '').toLowerCase());
+                return { key, success: !failed, error: failed ? errorOf(entry) : null };
+            });
+        }
+
+        const failures = new Map((data.failed || data.errors || []).map(entry => [keyOf(entry), entry]));
+        return rowKeys.map(key => failures.has(key)
+            ? { key, success: false, error: errorOf(failures.get(key)) }
+            : { key, success: true, error: null });
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoGainImport;
+} else {
+    window.GoGainImport = GoGainImport;
+}
@@ -0,0 +1,129 @@
+/**
+ * GoGain Service Mapping
+ * Every GoGain tenant has its own service ids, so the category → service mapping is stored per tenant on our
+ * backend instead of being hardcoded. The tenant comes from the GoGain JWT; the services list fetched from
+ * GoGain maps the categories of the same name automatically. Categories without a mapping block the import.
+ */
+
+// JWT claims identifying the GoGain account, in order of preference
+const GOGAIN_TENANT_CLAIMS = ['tenantId', 'companyId', 'organizationId', 'userId', 'id', 'sub'];
+
+class GoGainServiceMapper {
+    /**
+     * Claims of a JWT, read without checking the signature (GoGain checks it when the token is used)
+     * @param {string} token - JWT
+     * @returns {Object|null} Payload, null when the token is not a JWT
+     */
+    static decodeToken(token) {
+        const payload = String(token || '').split('.')[1];
+        if (!payload) return null;
+        try {
+            const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+            const json = typeof Buffer !== 'undefined'
+                ? Buffer.from(base64, 'base64').toString('utf8')
+                : decodeURIComponent(escape(atob(base64)));
+            return JSON.parse(json);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Tenant a GoGain session belongs to: the backend host and the account claim of the token
+     * A token without any account claim has no tenant - the host alone would put every such token in one tenant.
+     * Only a non-empty string or a number counts: an object or array claim would read "[object Object]" for every account
+     * @param {string} token - GoGain JWT
+     * @param {string} backendUrl - GoGain backend URL
+     * @returns {string|null} "gogain-backend.onrender.com/64f...", null without a token or a usable account claim
+     */
+    static tenantFromToken(token, backendUrl) {
+        if (!token) return null;
+        const claims = GoGainServiceMapper.decodeToken(token) || {};
+        const claim = GOGAIN_TENANT_CLAIMS.map(name => claims[name]).find(value => value !== undefined && value !== null && value !== '');
+        const usable = (typeof claim === 'string' && claim.trim() !== '') || (typeof claim === 'number' && Number.isFinite(claim));
+        if (!usable) return null;
+        let host = String(backendUrl || '');
+        try {
+            host = new URL(backendUrl).host;
+        } catch (error) {
+            // Keep the URL as given
+        }
+        return `${host}/${claim}`;
+    }
+
+    /**
+     * Name as compared between categories and services: upper case, no accents, single spaces
+     * @param {string} name - Category or service name
+     * @returns {string} Normalized name
+     */
+    static normalize(name) {
+        return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Services of a GoGain services list response
+     * @param {Array|Object} body - [...] or { services | data: [...] }, services with _id / id and name / serviceName
+     * @returns {Array} [{ id, name }]
+     */
+    static parseServices(body) {
+        const list = Array.isArray(body) ? body : (body && (body.services || body.data)) || [];
+        return list
+            .map(service => ({
+                id: String(service._id || service.id || ''),
+                name: String(service.name || service.serviceName || service.label || '').trim()
+            }))
+            .filter(service => service.id && service.name);
+    }
+
+    /**
+     * Mappings for the categories that have none yet and a service of the same name
+     * @param {Array} categories - Category names
+     * @param {Array} services - [{ id, name }]
+     * @param {Array} mappings - Existing mappings ({ category })
+     * @returns {Array} [{ category, serviceId, serviceName }]
+     */
+    autoMap(categories, services, mappings = []) {
+        const mapped = new Set(mappings.map(mapping => mapping.category));
+        const byName = new Map(services.map(service => [GoGainServiceMapper.normalize(service.name), service]));
+        return categories
+            .filter(category => !mapped.has(category) && byName.has(GoGainServiceMapper.normalize(category)))
+            .map(category => {
+                const service = byName.get(GoGainServiceMapper.normalize(category));
+                return { category, serviceId: service.id, serviceName: service.name };
+            });
+    }
+
+    /**
+     * GoGain service of each category of the transactions
+     * @param {Array} transactions - Transactions (category or service)
+     * @param {Array} mappings - [{ category, serviceId }]
+     * @returns {Object} { serviceIds: { category: serviceId }, unmapped: [{ category ('' without one), count }] }
+     */
+    resolve(transactions, mappings) {
+        const byCategory = new Map(mappings.map(mapping => [mapping.category, mapping.serviceId]));
+        const serviceIds = {};
+        const unmapped = new Map();
+        transactions.forEach(tx => {
+            const category = tx.category || tx.service || '';
+            if (byCategory.has(category)) {
+                serviceIds[category] = byCategory.get(category);
+            } else {
+                unmapped.set(category, (unmapped.get(category) || 0) + 1);
+            }
+        });
+        return {
+            serviceIds,
+            unmapped: [...unmapped.entries()]
+                .map(([category, count]) => ({ category, count }))
+                .sort((a, b) => a.category.localeCompare(b.category))
+        };
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoGainServiceMapper;
+} else {
+    window.GoGainServiceMapper = GoGainServiceMapper;
+}
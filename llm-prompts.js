@@ -0,0 +1,336 @@
+/**
+ * LLM Prompts
+ * The extraction, categorization and client name prompts (and the parsing of their JSON answers),
+ * shared by the backend (server.js) and the browser AI extractor (ai-extractor.js).
+ */
+
+class LLMPromptBuilder {
+    /**
+     * @param {Object} options - Prompt dependencies
+     * @param {BankProfileRegistry} options.bankProfiles - Bank format profiles (prompt sections, statement period)
+     * @param {CategorizationRulesEngine} options.rulesEngine - Categories and keyword rules
+     */
+    constructor(options = {}) {
+        if (!options.bankProfiles || !options.rulesEngine) {
+            throw new Error('LLMPromptBuilder requires bankProfiles and rulesEngine');
+        }
+        this.bankProfiles = options.bankProfiles;
+        this.rulesEngine = options.rulesEngine;
+    }
+
+    /**
+     * Remove markdown code fences around a JSON answer
+     * @param {string} content - Raw model output
+     * @returns {string} JSON text
+     */
+    static cleanJSON(content) {
+        return String(content || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    }
+
+    /**
+     * Transaction extraction request
+     * @param {string} pdfText - Statement text
+     * @param {Object} profile - Bank profile
+     * @param {string} mode - 'debit', 'credit' or 'both'
+     * @param {Object} context - Optional chunk context: { period, part } - part describes the chunk ("page 2 of 5")
+     * @returns {Object} { task, system, prompt }
+     */
+    extraction(pdfText, profile, mode = 'debit', context = {}) {
+        const sections = this.bankProfiles.getPromptSections(profile, mode);
+        const period = context.period || this.bankProfiles.detectStatementPeriod(pdfText);
+        const partNote = context.part
+            ? `\nThis text is ${context.part} of the statement. Extract only the transactions printed in it.\n`
+            : '';
+        const extractRule = {
+            debit: 'ONLY extract if amount is in DÉBIT column',
+            credit: 'ONLY extract if amount is in CRÉDIT column',
+            both: 'Extract every transaction; set "type" to "debit" (DÉBIT column) or "credit" (CRÉDIT column)'
+        }[mode];
+        const returnRule = {
+            debit: 'Return ONLY DÉBIT transactions',
+            credit: 'Return ONLY CRÉDIT transactions',
+            both: 'Return ALL transactions (DÉBIT and CRÉDIT)'
+        }[mode];
+
+        const prompt = `
+${sections.intro}
+
+BANK STATEMENT TEXT:${partNote}
+${pdfText}
+
+EXTRACTION PROCESS:
+1. Scan each line with a date
+2. Identify if the amount is in DÉBIT or CRÉDIT column
+3. ${extractRule}
+4. Preserve exact French formatting: "2 000,00", "1 360,46", "89,50"
+5. Always return dates as DD/MM/YYYY (statement year: ${period.year})
+
+CLIENT EXTRACTION RULES:
+Extract clear client names from transaction descriptions. NEVER use "Unknown Client".
+
+${sections.clientRules}
+
+If client name is unclear, use the main business/service mentioned in description.
+
+${returnRule} in this JSON format:
+{
+  "transactions": [
+    {
+      "date": "02/01/2025",
+      "valeur": "02/01/2025",
+      "description": "VIR INSTANTANE EMIS NET POUR: M. JORGE GOENAGA PEREZ",
+      "amount": "2 000,00",
+      "client": "M. JORGE GOENAGA PEREZ",
+      "type": "debit"
+    }
+  ]
+}
+"type" is "debit" for DÉBIT column amounts and "credit" for CRÉDIT column amounts.
+
+${sections.columnGuide}`;
+
+        return { task: 'extraction', system: sections.system, prompt };
+    }
+
+    /**
+     * Categorization request
+     * @param {Array} transactions - { description|nature, amount|debit|credit }
+     * @returns {Object} { task, system, prompt }
+     */
+    categorization(transactions) {
+        const categories = [...this.rulesEngine.categories, this.rulesEngine.fallbackCategory];
+        const prompt = `
+Categorize these French PROFESSIONAL business transactions.
+
+AVAILABLE CATEGORIES:
+${categories.join(', ')}
+
+CATEGORIZATION RULES (keywords → category, from categorization-rules.json):
+${this.rulesEngine.describeForPrompt()}
+- If unsure, use ${this.rulesEngine.fallbackCategory}
+
+REAL EXAMPLES FROM STATEMENT:
+- "VIR INSTANTANE EMIS NET POUR: M. JORGE GOENAGA PEREZ" → MASSE SALARIALE
+- "PRELEVEMENT EUROPEEN DE: GG CORPORATE" → INTERNET
+- "CARTE X2148 CARREFOUR CITY" → MATERIEL CABINET
+- "PRELEVEMENT EUROPEEN URSSAF" → CHARGES SOCIALES
+
+TRANSACTIONS TO CATEGORIZE:
+${transactions.map((tx, i) => `${i+1}. ${tx.description || tx.nature} - ${tx.amount || tx.debit || tx.credit}`).join('\n')}
+
+Return JSON format:
+{
+  "categorized": [
+    {
+      "index": 1,
+      "category": "CATEGORY_NAME",
+      "confidence": "high/medium/low"
+    }
+  ]
+}`;
+
+        return {
+            task: 'categorization',
+            system: 'You are an expert at categorizing French business expenses. You understand French transaction descriptions and can categorize them accurately.',
+            prompt
+        };
+    }
+
+    /**
+     * Client name extraction request
+     * @param {Array} transactions - { description|nature }
+     * @returns {Object} { task, system, prompt }
+     */
+    clientNames(transactions) {
+        const prompt = `
+Please extract the client/company names from these French bank transaction descriptions.
+
+EXTRACTION RULES:
+- For "VIR INSTANTANE EMIS NET POUR: M. JOHN DOE" → extract "M. JOHN DOE"
+- For "PRELEVEMENT EUROPEEN DE: ORANGE BUSINESS" → extract "ORANGE BUSINESS"
+- For "CARTE X2148 CARREFOUR CITY" → extract "CARREFOUR CITY"
+- Remove prefixes like "DE:", "POUR:", "PRELEVEMENT", etc.
+- Extract the actual business/person name
+
+TRANSACTIONS:
+${transactions.map((tx, i) => `${i+1}. ${tx.description || tx.nature}`).join('\n')}
+
+Return JSON format:
+{
+  "clients": [
+    {
+      "index": 1,
+      "client_name": "Extracted Name"
+    }
+  ]
+}`;
+
+        return {
+            task: 'clientNames',
+            system: 'You are an expert at extracting business names and client names from French bank transaction descriptions.',
+            prompt
+        };
+    }
+
+    /**
+     * Targeted re-ask for answer items that failed validation (ai-response-schema.js)
+     * @param {string} task - Task of the original answer
+     * @param {Array} failed - [{ item, errors: { field: problem } }]
+     * @param {Object} context - { period, sourceText, sources } - statement text (extraction) or input transactions
+     * @returns {Object} { task: 'repair', system, prompt }
+     */
+    repair(task, failed, context = {}) {
+        const year = (context.period || this.bankProfiles.detectStatementPeriod(context.sourceText || '')).year;
+        const rules = {
+            extraction: [
+                `- date, valeur: DD/MM/YYYY (statement year: ${year})`,
+                '- amount: French format without sign or currency, e.g. "2 000,00", "89,50"',
+                '- description: the transaction label exactly as printed',
+                '- type: "debit" or "credit"'
+            ],
+            categorization: [
+                `- category: exactly one of ${[...this.rulesEngine.categories, this.rulesEngine.fallbackCategory].join(', ')}`,
+                '- confidence: "high", "medium" or "low"'
+            ],
+            clientNames: [
+                '- client_name: the client/company name, never empty'
+            ]
+        }[task];
+
+        const source = task === 'extraction'
+            ? `BANK STATEMENT TEXT:\n${context.sourceText || ''}`
+            : `TRANSACTIONS:\n${(context.sources || []).map((tx, i) => `${i+1}. ${tx.description || tx.nature} - ${tx.amount || tx.debit || tx.credit}`).join('\n')}`;
+
+        const items = failed.map(({ item, errors }, i) => [
+            `${i+1}. ${JSON.stringify(item)}`,
+            `   Problems: ${Object.entries(errors).map(([field, problem]) => `${field} ${problem}`).join('; ')}`
+        ].join('\n')).join('\n');
+
+        const prompt = `
+Some items of your previous answer failed validation. Correct ONLY the listed fields of these items.
+
+FIELD RULES:
+${rules.join('\n')}
+
+${source}
+
+ITEMS TO CORRECT:
+${items}
+
+Return JSON format:
+{
+  "items": [
+    {
+      "index": 1,
+      "field": "corrected value"
+    }
+  ]
+}
+"index" is the number of the item in the list above. Omit items you cannot correct.`;
+
+        return {
+            task: 'repair',
+            system: 'You correct JSON answers about French bank transactions so that they follow the given field rules exactly.',
+            prompt
+        };
+    }
+
+    /**
+     * Parse the extraction answer
+     * @param {string} aiResponse - Model output
+     * @param {string} mode - 'debit', 'credit' or 'both' - rows of the other column are dropped
+     * @returns {Array} [{ date, valeur, description, amount, client, type }]
+     */
+    parseExtraction(aiResponse, mode = 'debit') {
+        return this.parseExtractionResult(aiResponse, mode).transactions;
+    }
+
+    /**
+     * Parse the extraction answer and report whether the output was cut off by the token limit
+     * @param {string} aiResponse - Model output
+     * @param {string} mode - 'debit', 'credit' or 'both'
+     * @returns {Object} { transactions, truncated } - truncated answers are repaired up to the last complete transaction
+     */
+    parseExtractionResult(aiResponse, mode = 'debit') {
+        try {
+            // Clean the response (remove markdown formatting if present)
+            let cleanResponse = LLMPromptBuilder.cleanJSON(aiResponse);
+            let truncated = false;
+
+            // Handle truncated JSON by attempting to fix common issues
+            if (!cleanResponse.endsWith('}') && !cleanResponse.endsWith(']')) {
+                console.log('⚠️ Detected truncated JSON response, attempting to fix...');
+                truncated = true;
+
+                // Find the last complete transaction
+                const lastCompleteTransaction = cleanResponse.lastIndexOf('    }');
+                if (lastCompleteTransaction !== -1) {
+                    cleanResponse = cleanResponse.substring(0, lastCompleteTransaction + 5) + '\n  ]\n}';
+                }
+            }
+
+            const data = JSON.parse(cleanResponse);
+
+            if (!data.transactions || !Array.isArray(data.transactions)) {
+                throw new Error("Invalid AI response format - missing transactions array");
+            }
+
+            console.log(`✅ Successfully parsed ${data.transactions.length} transactions from AI response`);
+
+            const defaultType = mode === 'credit' ? 'credit' : 'debit';
+            const transactions = data.transactions
+                .map(tx => ({
+                    date: tx.date,
+                    valeur: tx.valeur || tx.date,
+                    description: tx.description,
+                    amount: tx.amount,
+                    client: tx.client, // Include AI-extracted client name
+                    type: tx.type === 'credit' || tx.type === 'debit' ? tx.type : defaultType
+                }))
+                .filter(tx => mode === 'both' || tx.type === mode);
+
+            return { transactions, truncated };
+
+        } catch (error) {
+            console.error('❌ Failed to parse AI response:', error);
+            console.log('Raw AI response length:', aiResponse.length);
+            console.log('Raw AI response (last 500 chars):', aiResponse.slice(-500));
+            throw new Error(`Failed to parse AI response: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse the categorization answer
+     * @param {string} content - Model output
+     * @returns {Array} [{ index, category, confidence }] (1-based index)
+     */
+    parseCategorization(content) {
+        return JSON.parse(LLMPromptBuilder.cleanJSON(content)).categorized || [];
+    }
+
+    /**
+     * Parse the client name answer
+     * @param {string} content - Model output
+     * @returns {Array} [{ index, client_name }] (1-based index)
+     */
+    parseClientNames(content) {
+        return JSON.parse(LLMPromptBuilder.cleanJSON(content)).clients || [];
+    }
+
+    /**
+     * Parse the re-ask answer
+     * @param {string} content - Model output
+     * @returns {Array} [{ index, ...corrected fields }] (1-based index into the re-asked items)
+     */
+    parseRepair(content) {
+        const items = JSON.parse(LLMPromptBuilder.cleanJSON(content)).items;
+        return Array.isArray(items) ? items.filter(item => item && Number.isInteger(item.index)) : [];
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LLMPromptBuilder;
+} else {
+    window.LLMPromptBuilder = LLMPromptBuilder;
+}
@@ -0,0 +1,277 @@
+/**
+ * LLM Providers
+ * One interface for every chat model the extractor talks to:
+ *   - OpenAICompatibleProvider: OpenAI or any server speaking the same /chat/completions API (Ollama, vLLM, LM Studio...)
+ *   - MockLLMProvider: replays recorded responses, deterministic and offline (tests, demos, in-house data)
+ *   - RecordingLLMProvider: wraps a real provider and saves its responses for the mock to replay
+ * createLLMProvider() builds the provider from environment variables (see README "LLM Providers").
+ */
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Token limits per task when the environment does not override them
+const DEFAULT_MAX_TOKENS = {
+    extraction: 8000,
+    categorization: 4000,
+    clientNames: 1500,
+    repair: 2000
+};
+
+class OpenAICompatibleProvider {
+    /**
+     * @param {Object} options - Provider settings
+     * @param {string} options.name - Display name used in logs and error messages
+     * @param {string} options.baseURL - API root, e.g. https://api.openai.com/v1 or http://localhost:11434/v1
+     * @param {string} options.apiKey - Bearer token (optional for local servers)
+     * @param {string} options.model - Model name
+     * @param {number} options.temperature - Sampling temperature
+     * @param {Object} options.maxTokens - Token limit per task ({ extraction, categorization, clientNames, repair })
+     * @param {number} options.timeoutMs - Request timeout
+     * @param {boolean} options.requiresApiKey - Whether requests without a key should be refused
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'OpenAI';
+        this.baseURL = (options.baseURL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+        this.apiKey = options.apiKey || null;
+        this.model = options.model || 'gpt-4o';
+        this.temperature = options.temperature ?? 0.1;
+        this.maxTokens = { ...DEFAULT_MAX_TOKENS, ...(options.maxTokens || {}) };
+        this.timeoutMs = options.timeoutMs || 120000;
+        this.requiresApiKey = options.requiresApiKey ?? true;
+    }
+
+    /**
+     * Whether the provider has what it needs to send requests
+     * @returns {boolean} True when configured
+     */
+    isConfigured() {
+        return !this.requiresApiKey || !!this.apiKey;
+    }
+
+    /**
+     * Provider settings safe to show in logs and API responses (no key)
+     * @returns {Object} { provider, model, baseURL, temperature, maxTokens }
+     */
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model,
+            baseURL: this.baseURL,
+            temperature: this.temperature,
+            maxTokens: this.maxTokens
+        };
+    }
+
+    /**
+     * Send one chat completion
+     * @param {Object} request - { task, system, prompt, maxTokens } - task selects the token limit
+     * @returns {Promise<string>} Message content
+     */
+    async complete({ task, system, prompt, maxTokens }) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+
+        let response;
+        try {
+            response = await fetch(`${this.baseURL}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+                },
+                body: JSON.stringify({
+                    model: this.model,
+                    messages: [
+                        { role: 'system', content: system },
+                        { role: 'user', content: prompt }
+                    ],
+                    temperature: this.temperature,
+                    max_tokens: maxTokens || this.maxTokens[task] || DEFAULT_MAX_TOKENS.extraction
+                }),
+                ...(controller ? { signal: controller.signal } : {})
+            });
+        } catch (networkError) {
+            const error = new Error(networkError.name === 'AbortError'
+                ? `${this.name} did not answer within ${Math.round(this.timeoutMs / 1000)}s`
+                : `${this.name} is unreachable at ${this.baseURL}: ${networkError.message}`);
+            error.status = networkError.name === 'AbortError' ? 504 : 503;
+            throw error;
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            let errorMessage = `HTTP ${response.status}`;
+
+            try {
+                const errorData = await response.json();
+                errorMessage = errorData.error?.message || errorMessage;
+
+                // Handle specific API errors with user-friendly messages
+                if (response.status === 503) {
+                    errorMessage = `${this.name} API is temporarily unavailable. Please try again in a few minutes.`;
+                } else if (response.status === 429) {
+                    errorMessage = `${this.name} API rate limit exceeded. Please try again later.`;
+                } else if (response.status === 401) {
+                    errorMessage = `${this.name} API authentication failed. Please check API key.`;
+                } else if (response.status === 500) {
+                    errorMessage = `${this.name} API internal error. Please try again.`;
+                }
+            } catch (parseError) {
+                // If we can't parse the error, use status text
+                errorMessage = response.statusText || errorMessage;
+            }
+
+            console.error(`❌ ${this.name} API Error:`, response.status, errorMessage);
+            const error = new Error(errorMessage);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+        return data.choices[0].message.content;
+    }
+}
+
+class MockLLMProvider {
+    /**
+     * @param {Object} options - Mock settings
+     * @param {Array} options.recordings - [{ task, key?, response }] - entries without a key answer any prompt of their task
+     * @param {string} options.source - Where the recordings came from (for logs)
+     */
+    constructor(options = {}) {
+        this.name = 'Mock LLM';
+        this.model = 'mock';
+        this.recordings = options.recordings || [];
+        this.source = options.source || 'inline';
+        this.replayed = new Map();
+    }
+
+    /**
+     * Stable key for a request, shared with RecordingLLMProvider (32-bit FNV-1a of task, system and prompt)
+     * @param {Object} request - { task, system, prompt }
+     * @returns {string} Hex key
+     */
+    static recordingKey({ task, system, prompt }) {
+        const text = `${task}\u0000${system}\u0000${prompt}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    describe() {
+        return { provider: this.name, model: this.model, recordings: this.recordings.length, source: this.source };
+    }
+
+    /**
+     * Replay the recorded response for a request
+     * Exact key match first, then the task's keyless recordings in file order (cycling)
+     * @param {Object} request - { task, system, prompt }
+     * @returns {Promise<string>} Recorded message content
+     */
+    async complete(request) {
+        const key = MockLLMProvider.recordingKey(request);
+        const exact = this.recordings.find(recording => recording.key === key);
+        if (exact) return exact.response;
+
+        const generic = this.recordings.filter(recording => recording.task === request.task && !recording.key);
+        if (generic.length === 0) {
+            const error = new Error(`No recorded response for task "${request.task}" (key ${key}) in ${this.source}`);
+            error.status = 502;
+            throw error;
+        }
+
+        const count = this.replayed.get(request.task) || 0;
+        this.replayed.set(request.task, count + 1);
+        return generic[count % generic.length].response;
+    }
+}
+
+class RecordingLLMProvider {
+    /**
+     * @param {Object} provider - Real provider whose responses are recorded
+     * @param {string} file - JSON file the recordings are appended to (Node only)
+     */
+    constructor(provider, file) {
+        this.provider = provider;
+        this.file = file;
+        this.name = provider.name;
+        this.model = provider.model;
+    }
+
+    isConfigured() {
+        return this.provider.isConfigured();
+    }
+
+    describe() {
+        return { ...this.provider.describe(), recordingTo: this.file };
+    }
+
+    async complete(request) {
+        const response = await this.provider.complete(request);
+        const fs = require('fs');
+        const existing = fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : { recordings: [] };
+        existing.recordings.push({
+            task: request.task,
+            key: MockLLMProvider.recordingKey(request),
+            model: this.provider.model,
+            recordedAt: new Date().toISOString(),
+            response
+        });
+        fs.writeFileSync(this.file, JSON.stringify(existing, null, 2));
+        return response;
+    }
+}
+
+/**
+ * Build the provider configured by the environment
+ * @param {Object} env - Environment variables (process.env)
+ * @returns {Object} Provider with complete(), isConfigured() and describe()
+ */
+function createLLMProvider(env = {}) {
+    const kind = (env.LLM_PROVIDER || 'openai').toLowerCase();
+
+    if (kind === 'mock') {
+        const file = env.LLM_RECORDINGS || 'llm-recordings.sample.json';
+        const path = require('path');
+        const data = JSON.parse(require('fs').readFileSync(path.resolve(__dirname, file), 'utf8'));
+        return new MockLLMProvider({ recordings: data.recordings, source: file });
+    }
+
+    if (kind !== 'openai' && kind !== 'openai-compatible') {
+        throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}". Expected one of: openai, openai-compatible, mock`);
+    }
+
+    const number = (value, fallback) => (value !== undefined && value !== '' && !isNaN(Number(value)) ? Number(value) : fallback);
+    const provider = new OpenAICompatibleProvider({
+        name: kind === 'openai' ? 'OpenAI' : (env.LLM_NAME || 'LLM server'),
+        baseURL: env.LLM_BASE_URL || (kind === 'openai' ? DEFAULT_OPENAI_BASE_URL : 'http://localhost:11434/v1'),
+        apiKey: env.LLM_API_KEY || (kind === 'openai' ? env.OPENAI_API_KEY : null),
+        model: env.LLM_MODEL || (kind === 'openai' ? 'gpt-4o' : 'llama3.1'),
+        temperature: number(env.LLM_TEMPERATURE, 0.1),
+        maxTokens: {
+            extraction: number(env.LLM_MAX_TOKENS_EXTRACTION, DEFAULT_MAX_TOKENS.extraction),
+            categorization: number(env.LLM_MAX_TOKENS_CATEGORIZATION, DEFAULT_MAX_TOKENS.categorization),
+            clientNames: number(env.LLM_MAX_TOKENS_CLIENT_NAMES, DEFAULT_MAX_TOKENS.clientNames),
+            repair: number(env.LLM_MAX_TOKENS_REPAIR, DEFAULT_MAX_TOKENS.repair)
+        },
+        timeoutMs: number(env.LLM_TIMEOUT_MS, 120000),
+        requiresApiKey: kind === 'openai'
+    });
+
+    return env.LLM_RECORD_TO ? new RecordingLLMProvider(provider, env.LLM_RECORD_TO) : provider;
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OpenAICompatibleProvider, MockLLMProvider, RecordingLLMProvider, createLLMProvider };
+} else {
+    window.LLMProviders = { OpenAICompatibleProvider, MockLLMProvider };
+}
@@ -1,93 +1,138 @@
 /**
  * PDF Extractor for French Bank Statements
- * Specifically designed for Société Générale format
+ * Bank-specific grammar comes from bank profiles (Société Générale by default)
  */
 
+const isNodeModule = typeof module !== 'undefined' && module.exports;
+const ExtractorBankProfiles = isNodeModule ? require('./bank-profiles') : window.BankProfileRegistry;
+const ExtractorRulesEngine = isNodeModule ? require('./categorization-engine') : window.CategorizationRulesEngine;
+const ExtractorLayoutReader = isNodeModule ? require('./pdf-layout') : window.PdfLayoutReader;
+const ExtractorColumnLayout = isNodeModule ? require('./statement-columns') : window.StatementColumnLayout;
+const ExtractorVatCalculator = isNodeModule ? require('./vat-calculator') : window.VatCalculator;
+
 class BankStatementExtractor {
-    constructor() {
-        this.costCategories = [
-            'ASSURANCE',
-            'CHARGES SOCIALES', 
-            'CREDIT CABINET',
-            'FRAIS BANQUE',
-            'GYM',
-            'INTERNET',
-            'LEASING MOTO',
-            'LEASING VOITURE',
-            'LOGICIEL CABINET',
-            'LOYER CABINET',
-            'MASSE SALARIALE',
-            'MATERIEL CABINET',
-            'MUTUELLE',
-            'MUTUELLE SALARIÉ',
-            'PREVOYANCE',
-            'TPE BANQUE',
-            'URSSAF/CHARGES SOCIALES'
-        ];
+    /**
+     * @param {Object} options - Extractor dependencies
+     * @param {BankProfileRegistry} options.bankProfiles - Bank format profiles
+     * @param {CategorizationRulesEngine} options.rulesEngine - Rules engine (required in the browser, loaded from categorization-rules.json in Node)
+     */
+    constructor(options = {}) {
+        this.bankProfiles = options.bankProfiles || new ExtractorBankProfiles();
+        this.rulesEngine = options.rulesEngine ||
+            (isNodeModule ? new ExtractorRulesEngine(require('./categorization-rules.json')) : null);
+        if (!this.rulesEngine) {
+            throw new Error('Categorization rules engine is required');
+        }
+        this.profile = this.bankProfiles.resolve('').profile;
+        this.period = this.bankProfiles.detectStatementPeriod('');
+        this.costCategories = this.rulesEngine.categories;
+        this.columnLayout = new ExtractorColumnLayout();
+        this.vatCalculator = new ExtractorVatCalculator({ rulesEngine: this.rulesEngine });
+    }
+
+    /**
+     * Extract text and positioned text items from PDF using PDF.js
+     * @param {File} pdfFile - The uploaded PDF file
+     * @returns {Promise<Object>} Layout: { text, pageCount, pages: [{ pageNumber, width, height, items, lines }] }
+     */
+    async extractLayoutFromPDF(pdfFile) {
+        try {
+            const reader = new ExtractorLayoutReader(pdfjsLib);
+            return await reader.read(await pdfFile.arrayBuffer());
+        } catch (error) {
+            console.error('Error extracting PDF layout:', error);
+            throw new Error('Failed to extract text from PDF');
+        }
     }
 
     /**
      * Extract text from PDF using PDF.js
      * @param {File} pdfFile - The uploaded PDF file
-     * @returns {Promise<string>} Extracted text content
+     * @returns {Promise<string>} Extracted text content (one line per table row)
      */
     async extractTextFromPDF(pdfFile) {
-        try {
-            const arrayBuffer = await pdfFile.arrayBuffer();
-            const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
-            let fullText = '';
+        const layout = await this.extractLayoutFromPDF(pdfFile);
+        return layout.text;
+    }
 
-            for (let i = 1; i <= pdf.numPages; i++) {
-                const page = await pdf.getPage(i);
-                const textContent = await page.getTextContent();
-                const pageText = textContent.items.map(item => item.str).join(' ');
-                fullText += pageText + '\n';
-            }
+    /**
+     * Parse transactions from the PDF layout, assigning each amount to the Débit or Crédit
+     * column by its x position under the table header.
+     * Falls back to text parsing (keyword based debit/credit guess) when no header row is found.
+     * @param {Object} layout - Layout from extractLayoutFromPDF / PdfLayoutReader
+     * @param {Object} options - Same options as parseTransactions ({ bankProfile, mode })
+     * @returns {Array} Array of transaction objects with type 'debit' or 'credit'
+     */
+    parseLayout(layout, options = {}) {
+        const { bankProfile = null, mode = 'debit' } = options;
+        const { columns, rows } = this.columnLayout.parse(layout);
 
-            return fullText;
-        } catch (error) {
-            console.error('Error extracting PDF text:', error);
-            throw new Error('Failed to extract text from PDF');
+        if (!columns) {
+            console.warn('⚠️ No Débit/Crédit header row found - falling back to text parsing');
+            return this.parseTransactions(layout.text, options);
         }
+
+        this.useProfileFor(layout.text, bankProfile);
+        console.log('📐 Columns detected:', columns.map(column => `${column.role}@${Math.round(column.x)}`).join(' | '));
+
+        const transactions = rows.map(row => ({
+            date: this.bankProfiles.normalizeDate(row.date, this.period),
+            valeur: this.bankProfiles.normalizeDate(row.valeur, this.period),
+            nature: row.nature,
+            debit: row.debit,
+            credit: row.credit,
+            type: row.type,
+            page: row.page
+        }));
+
+        console.log('Total transactions found:', transactions.length);
+        return transactions.filter(t => mode === 'both' || t.type === mode);
+    }
+
+    /**
+     * Select the bank profile for a statement
+     * @param {string} text - Raw text from PDF
+     * @param {string|null} profileId - Manual override ('auto' or empty to detect from the header)
+     * @returns {Object} { profile, detected }
+     */
+    useProfileFor(text, profileId = null) {
+        const resolved = this.bankProfiles.resolve(text, profileId);
+        this.profile = resolved.profile;
+        this.period = this.bankProfiles.detectStatementPeriod(text);
+        console.log('🏦 Bank profile:', this.profile.name, resolved.detected ? '(auto-detected)' : '');
+        return resolved;
     }
 
     /**
      * Parse French bank statement text to extract transactions
      * @param {string} text - Raw text from PDF
-     * @returns {Array} Array of transaction objects
+     * @param {Object} options - Parsing options
+     * @param {string|null} options.bankProfile - Bank profile override ('auto' or empty to detect)
+     * @param {string} options.mode - 'debit' (expenses, default), 'credit' (income) or 'both'
+     * @returns {Array} Array of transaction objects with type 'debit' or 'credit'
      */
-    parseTransactions(text) {
+    parseTransactions(text, options = {}) {
+        const { bankProfile = null, mode = 'debit' } = options;
         const transactions = [];
         const lines = text.split('\n');
         
         console.log('Parsing transactions from', lines.length, 'lines');
+        this.useProfileFor(text, bankProfile);
         
-        // Look for transaction patterns in the text
-        // Simplified patterns that work with the actual PDF format
-        const patterns = [
-            // Very flexible pattern: Date Date Description Amount (with or without spaces in amount)
-            /(\d{2}\/\d{2}\/\d{4})\s+(\d{2}\/\d{2}\/\d{4})\s+(.+?)\s+(\d{1,3}(?:\s?\d{3})*,\d{2}|\d+,\d{2})/g,
-            // Even more flexible: just look for dates and amounts
-            /(\d{2}\/\d{2}\/\d{4})\s+(\d{2}\/\d{2}\/\d{4})\s+(.+?)\s+(\d[\d\s]*,\d{2})/g,
-            // Fallback: single date with description and amount
-            /(\d{2}\/\d{2}\/\d{4})\s+(.+?)\s+(\d{1,3}(?:\s?\d{3})*,\d{2}|\d+,\d{2})/g
-        ];
+        // Look for transaction patterns in the text using the profile's line grammar
+        const patterns = this.profile.linePatterns.map(pattern => new RegExp(pattern.source, 'g'));
         
         // Try each pattern
         patterns.forEach((pattern, index) => {
             console.log(`Trying pattern ${index + 1}:`);
             let match;
             while ((match = pattern.exec(text)) !== null) {
-                let date, valeur, nature, amount;
-                
-                if (match.length === 5) {
-                    // Standard format: Date Date Description Amount
-                    [, date, valeur, nature, amount] = match;
-                } else if (match.length === 4) {
-                    // Compact format: Date Description Amount
-                    [, date, nature, amount] = match;
-                    valeur = date; // Use same date for valeur
-                }
+                const { nature, amount } = match.groups;
+                const date = this.bankProfiles.normalizeDate(match.groups.date, this.period);
+                // Compact format without value date: use same date for valeur
+                const valeur = match.groups.valeur
+                    ? this.bankProfiles.normalizeDate(match.groups.valeur, this.period)
+                    : date;
                 
                 console.log('Found potential transaction:', { 
                     pattern: index + 1, 
@@ -100,7 +145,7 @@ class BankStatementExtractor {
                 // Check if we already have this transaction (avoid duplicates)
                 const isDuplicate = transactions.some(t => 
                     t.date === date && 
-                    t.debit === amount && 
+                    (t.debit || t.credit) === amount && 
                     (t.nature.substring(0, 30) === nature.substring(0, 30) || 
                      nature.substring(0, 30).includes(t.nature.substring(0, 30)))
                 );
@@ -122,7 +167,8 @@ class BankStatementExtractor {
                             valeur,
                             nature: nature.trim(),
                             debit: amount,
-                            credit: null
+                            credit: null,
+                            type: 'debit'
                         });
                         console.log('✅ Added debit transaction:', nature.substring(0, 40));
                     } else {
@@ -131,9 +177,10 @@ class BankStatementExtractor {
                             valeur,
                             nature: nature.trim(),
                             debit: null,
-                            credit: amount
+                            credit: amount,
+                            type: 'credit'
                         });
-                        console.log('❌ Skipped credit transaction:', nature.substring(0, 40));
+                        console.log('✅ Added credit transaction:', nature.substring(0, 40));
                     }
                 } else {
                     console.log('🔄 Skipped duplicate transaction:', nature.substring(0, 40));
@@ -149,7 +196,7 @@ class BankStatementExtractor {
         lineByLineTransactions.forEach(newTx => {
             const isDuplicate = transactions.some(existingTx => 
                 existingTx.date === newTx.date && 
-                existingTx.debit === newTx.debit &&
+                (existingTx.debit || existingTx.credit) === (newTx.debit || newTx.credit) &&
                 existingTx.nature.substring(0, 20) === newTx.nature.substring(0, 20)
             );
             if (!isDuplicate) {
@@ -158,7 +205,7 @@ class BankStatementExtractor {
         });
         
         console.log('Total transactions found:', transactions.length);
-        return transactions.filter(t => t.debit); // Only return debit transactions
+        return transactions.filter(t => mode === 'both' || t.type === mode);
     }
     
     /**
@@ -176,8 +223,7 @@ class BankStatementExtractor {
             const line = lines[i].trim();
             
             // Look for operations section
-            if (line.includes('RELEVÉ DES OPÉRATIONS') || 
-                line.includes('RELEVE DES OPERATIONS') ||
+            if ((this.profile.sectionMarkers || []).some(marker => line.includes(marker)) ||
                 (line.includes('Date') && line.includes('Valeur'))) {
                 inOperationsSection = true;
                 console.log('Found operations section at line', i);
@@ -188,25 +234,25 @@ class BankStatementExtractor {
             
             // Look for any line with amounts (more aggressive)
             const amountMatch = line.match(/(\d{1,3}(?:\s\d{3})*,\d{2}|\d+,\d{2})/);
-            if (amountMatch && /\d{2}\/\d{2}\/\d{4}/.test(line)) {
+            if (amountMatch && this.dateRegex().test(line)) {
                 console.log('Found potential transaction line:', line.substring(0, 100));
                 
                 // Try to parse this line directly
                 const transaction = this.parseTransactionLine(line);
-                if (transaction && transaction.debit) {
+                if (transaction) {
                     transactions.push(transaction);
-                    console.log('Line-by-line found:', transaction.nature.substring(0, 30), transaction.debit);
+                    console.log('Line-by-line found:', transaction.nature.substring(0, 30), transaction.debit || transaction.credit);
                 }
             }
             
             // Also try the original approach for date-starting lines
-            if (/^\d{2}\/\d{2}\/\d{4}/.test(line)) {
+            if (this.isDateLine(line)) {
                 // Try to combine with next few lines to get complete transaction
                 let fullTransaction = line;
                 let j = i + 1;
                 while (j < lines.length && j < i + 3) {
                     const nextLine = lines[j].trim();
-                    if (nextLine && !/^\d{2}\/\d{2}\/\d{4}/.test(nextLine)) {
+                    if (nextLine && !this.isDateLine(nextLine)) {
                         fullTransaction += ' ' + nextLine;
                         j++;
                     } else {
@@ -219,7 +265,7 @@ class BankStatementExtractor {
                     console.log('Trying to parse combined line:', fullTransaction.substring(0, 100));
                     
                     const transaction = this.parseTransactionLine(fullTransaction);
-                    if (transaction && transaction.debit) {
+                    if (transaction) {
                         transactions.push(transaction);
                         console.log('Line-by-line combined found:', transaction.nature.substring(0, 30));
                     }
@@ -240,8 +286,8 @@ class BankStatementExtractor {
      * @returns {Object|null} Transaction object or null
      */
     parseTransactionLine(line, nextLine = '') {
-        // French date pattern: DD/MM/YYYY
-        const datePattern = /(\d{2}\/\d{2}\/\d{4})/g;
+        // Date pattern of the active bank profile (DD/MM/YYYY or DD.MM)
+        const datePattern = this.dateRegex('g');
         const dates = line.match(datePattern);
         
         if (!dates || dates.length < 1) {
@@ -257,8 +303,8 @@ class BankStatementExtractor {
         }
         
         // Extract transaction details
-        const date = dates[0];
-        const valeur = dates[1] || dates[0];
+        const date = this.bankProfiles.normalizeDate(dates[0], this.period);
+        const valeur = this.bankProfiles.normalizeDate(dates[1] || dates[0], this.period);
         
         // Find the nature of operation (text between dates and amounts)
         let nature = line;
@@ -275,17 +321,27 @@ class BankStatementExtractor {
             valeur,
             nature,
             debit: isDebit ? lastAmount : null,
-            credit: !isDebit ? lastAmount : null
+            credit: !isDebit ? lastAmount : null,
+            type: isDebit ? 'debit' : 'credit'
         };
     }
 
+    /**
+     * Build a regex matching the active profile's date format
+     * @param {string} flags - RegExp flags
+     * @returns {RegExp} Date regex
+     */
+    dateRegex(flags = '') {
+        return new RegExp(`(${this.profile.datePattern})`, flags);
+    }
+
     /**
      * Check if line contains a date
      * @param {string} line - Line to check
      * @returns {boolean} True if line starts with a date
      */
     isDateLine(line) {
-        return /^\d{2}\/\d{2}\/\d{4}/.test(line.trim());
+        return new RegExp(`^${this.profile.datePattern}`).test(line.trim());
     }
 
     /**
@@ -343,55 +399,14 @@ class BankStatementExtractor {
     }
 
     /**
-     * Determine if transaction is a debit based on context
+     * Determine if transaction is a debit based on keywords
+     * Only used by text parsing; parseLayout reads the column position instead.
      * @param {string} line - Transaction line
      * @param {string} nature - Nature of transaction
      * @returns {boolean} True if debit transaction
      */
     isDebitTransaction(line, nature) {
-        const debitKeywords = [
-            'PRELEVEMENT',
-            'VIREMENT EMIS',
-            'VIR EMIS', 
-            'VIR INSTANTANE EMIS',
-            'FRAIS',
-            'COMMISSION',
-            'COTISATION',
-            'ABONNEMENT',
-            'FACTURE',
-            'PAIEMENT',
-            'RETRAIT',
-            'CARTE',
-            'CB ',
-            'CHEQUE',
-            'ACHAT',
-            'LOCATION',
-            'LOYER',
-            'ASSURANCE',
-            'MUTUELLE',
-            'INTERNET',
-            'TELEPHONE',
-            'ELECTRICITE',
-            'GAZ',
-            'EAU',
-            'SALAIRE',
-            'PAIE',
-            'REMUNERATION',
-            'VIREMENT SALAIRE',
-            'VIREMENT PAIE',
-            'MASSE SALARIALE'
-        ];
-        
-        // Credit keywords (money coming in) - be very specific
-        const creditKeywords = [
-            'VIREMENT RECU',
-            'VIR RECU',
-            'VIR INSTANTANE RECU', 
-            'REMISE CB',
-            'VERSEMENT RECU',
-            'DEPOT ESPECE',
-            'ENCAISSEMENT'
-        ];
+        const { debitKeywords, creditKeywords } = this.profile;
         
         const upperLine = (line + ' ' + nature).toUpperCase();
         
@@ -413,46 +428,10 @@ class BankStatementExtractor {
     /**
      * Categorize transaction based on nature description
      * @param {string} nature - Transaction description
-     * @returns {Object} Category and confidence level
+     * @returns {Object} Category, confidence level and the rule that matched
      */
     categorizeTransaction(nature) {
-        const upperNature = nature.toUpperCase();
-        
-        // Exact matches first
-        for (const category of this.costCategories) {
-            if (upperNature.includes(category)) {
-                return { category, confidence: 'high' };
-            }
-        }
-        
-        // Fuzzy matching rules - improved for better categorization
-        const fuzzyRules = {
-            'MASSE SALARIALE': ['VIR INSTANTANE EMIS NET', 'VIREMENT SALAIRE', 'PAIE', 'REMUNERATION', 'SALAIRE'],
-            'FRAIS BANQUE': ['FRAIS', 'BANCAIRE', 'COMMISSION', 'AGIOS', 'COTISATION CARTE', 'TENUE COMPTE'],
-            'INTERNET': ['ORANGE', 'SFR', 'BOUYGUES', 'FREE', 'TELECOM', 'INTERNET', 'MOBILE', 'FIBRE'],
-            'ASSURANCE': ['ASSURANCE', 'ASSUR', 'MAIF', 'MACIF', 'AXA', 'ALLIANZ', 'GENERALI'],
-            'LOYER CABINET': ['LOYER', 'LOCATION', 'BAIL', 'IMMOBILIER', 'CABINET', 'LOCAL'],
-            'GYM': ['GYM', 'FITNESS', 'SPORT', 'CLUB', 'SALLE DE SPORT', 'MUSCULATION'],
-            'CHARGES SOCIALES': ['URSSAF', 'SOCIAL', 'COTISATION', 'SECU', 'RETRAITE', 'POLE EMPLOI'],
-            'LEASING MOTO': ['LEASING.*MOTO', 'LOCATION.*MOTO', 'SCOOTER', 'DEUX ROUES'],
-            'LEASING VOITURE': ['LEASING.*VOITURE', 'LOCATION.*VEHICULE', 'AUTO', 'VOITURE'],
-            'MUTUELLE': ['MUTUELLE', 'COMPLEMENTAIRE', 'SANTE', 'MEDICAL'],
-            'MATERIEL CABINET': ['MATERIEL', 'EQUIPEMENT', 'FOURNITURE', 'MOBILIER'],
-            'LOGICIEL CABINET': ['LOGICIEL', 'SOFTWARE', 'LICENCE', 'ABONNEMENT.*INFORMATIQUE'],
-            'PREVOYANCE': ['PREVOYANCE', 'DECES', 'INVALIDITE', 'INCAPACITE'],
-            'TPE BANQUE': ['TPE', 'TERMINAL', 'PAIEMENT', 'MONETIQUE']
-        };
-        
-        for (const [category, keywords] of Object.entries(fuzzyRules)) {
-            for (const keyword of keywords) {
-                const regex = new RegExp(keyword, 'i');
-                if (regex.test(upperNature)) {
-                    return { category, confidence: 'medium' };
-                }
-            }
-        }
-        
-        return { category: 'AUTRES', confidence: 'low' };
+        return this.rulesEngine.categorize(nature);
     }
 
     /**
@@ -461,47 +440,14 @@ class BankStatementExtractor {
      * @returns {string} Extracted client name
      */
     extractClientName(nature) {
-        // Handle VIR INSTANTANE EMIS NET (salary payments)
-        if (nature.includes('VIR INSTANTANE EMIS NET')) {
-            const match = nature.match(/POUR:\s*([^0-9\n]+)/i);
-            if (match) {
-                return match[1].trim().replace(/\s+/g, ' ');
-            }
-            return 'Salary Payment';
-        }
-        
-        // Handle PRELEVEMENT EUROPEEN
-        if (nature.includes('PRELEVEMENT EUROPEEN')) {
-            const match = nature.match(/DE:\s*([^0-9\n]+)/i);
-            if (match) {
-                return match[1].trim().replace(/\s+/g, ' ');
-            }
+        // Bank-specific rules first (POUR:, DE:, CARTE X2148 ... for Société Générale)
+        const profileClient = this.bankProfiles.extractClient(this.profile, nature);
+        if (profileClient) {
+            return profileClient;
         }
         
-        // Remove common prefixes
-        let cleanNature = nature
-            .replace(/^(PRELEVEMENT|VIREMENT|PAIEMENT)\s*/i, '')
-            .replace(/^(EUROPEEN\s*)?SEPA\s*/i, '')
-            .replace(/^(INSTANTANE\s*)?EMIS\s*NET\s*/i, '')
-            .replace(/^(DE|DU|LA|LE|LES):\s*/i, '')
-            .replace(/^(POUR|PAR):\s*/i, '');
-        
-        // Extract meaningful company name parts
-        const words = cleanNature.split(/\s+/);
-        const meaningfulWords = words.filter(word => 
-            word.length > 2 && 
-            !word.match(/^\d/) && 
-            !word.match(/^(DE|DU|LA|LE|LES|POUR|PAR|ET|OU|AVEC|SANS|REF|DATE|MOTIF)$/i)
-        );
-        
-        // Take more words for better company names
-        const clientName = meaningfulWords.slice(0, 5).join(' ').trim();
-        
-        // Clean up common patterns
-        return clientName
-            .replace(/\s+/g, ' ')
-            .replace(/[^a-zA-ZÀ-ÿ0-9\s\-\.]/g, ' ')
-            .trim() || 'Unknown Client';
+        // Generic cleanup driven by clientExtractionRules
+        return this.rulesEngine.cleanClientName(nature) || 'Unknown Client';
     }
 
     /**
@@ -510,14 +456,7 @@ class BankStatementExtractor {
      * @returns {string} Movement type
      */
     determineMovementType(nature) {
-        const upperNature = nature.toUpperCase();
-        
-        if (upperNature.includes('PRELEVEMENT')) return 'direct_debit';
-        if (upperNature.includes('VIREMENT')) return 'transfer';
-        if (upperNature.includes('CARTE') || upperNature.includes('CB')) return 'card';
-        if (upperNature.includes('CHEQUE')) return 'check';
-        
-        return 'other';
+        return this.rulesEngine.determineMovementType(nature).movementType;
     }
 
     /**
@@ -526,20 +465,7 @@ class BankStatementExtractor {
      * @returns {string} Frequency type
      */
     determineFrequency(nature) {
-        const upperNature = nature.toUpperCase();
-        
-        const monthlyKeywords = ['LOYER', 'ABONNEMENT', 'ASSURANCE', 'MUTUELLE', 'INTERNET', 'TELEPHONE'];
-        const occasionalKeywords = ['ACHAT', 'FACTURE', 'REPARATION', 'MAINTENANCE'];
-        
-        for (const keyword of monthlyKeywords) {
-            if (upperNature.includes(keyword)) return 'monthly';
-        }
-        
-        for (const keyword of occasionalKeywords) {
-            if (upperNature.includes(keyword)) return 'occasional';
-        }
-        
-        return 'unknown';
+        return this.rulesEngine.determineFrequency(nature).frequency;
     }
 
     /**
@@ -555,26 +481,27 @@ class BankStatementExtractor {
             const frequency = this.determineFrequency(transaction.nature);
             
             // Convert amount format (French to standard) - preserve exact format
-            const amountStr = transaction.debit.replace(/\s/g, ''); // Remove spaces
-            const amount = parseFloat(amountStr.replace(',', '.'));
+            const isCredit = transaction.type === 'credit' || (!transaction.debit && transaction.credit);
+            const amountStr = (isCredit ? transaction.credit : transaction.debit).replace(/\s/g, ''); // Remove spaces
             
-            return {
+            // HT and VAT amounts are filled from the VAT rate of the category / merchant
+            return this.vatCalculator.apply({
                 index: index + 1,
                 date: transaction.date,
                 center: '', // Manual entry required
                 client: clientName,
                 amountWithTaxes: amountStr + '€',
-                amountWithoutTaxes: '', // Manual calculation required
                 worker: '', // Manual entry required
-                taxes: '', // Manual calculation required
-                typeOfTransaction: 'cost',
+                type: isCredit ? 'credit' : 'debit',
+                typeOfTransaction: isCredit ? 'income' : 'cost',
                 typeOfMovement: movementType,
                 frequency: frequency,
                 typeOfClient: 'service',
                 service: categorization.category,
                 confidence: categorization.confidence,
+                matchedRule: categorization.matchedRule,
                 rawNature: transaction.nature // Keep original for reference
-            };
+            });
         });
     }
 }
@@ -0,0 +1,116 @@
+/**
+ * PDF Layout Reader
+ * Extracts text and positioned text items from PDF files with PDF.js.
+ * Works in the browser (window.pdfjsLib) and in Node (pdfjs-dist legacy build).
+ */
+
+class PdfLayoutReader {
+    /**
+     * @param {Object} pdfjs - PDF.js library (pdfjsLib in the browser, pdfjs-dist in Node)
+     * @param {Object} options - Reader options
+     * @param {number} options.lineTolerance - Max vertical distance (pt) between items of the same line
+     */
+    constructor(pdfjs, options = {}) {
+        if (!pdfjs) {
+            throw new Error('PDF.js library is required');
+        }
+        this.pdfjs = pdfjs;
+        this.lineTolerance = options.lineTolerance || 2;
+    }
+
+    /**
+     * Read a PDF and return its text plus the layout of every page
+     * @param {ArrayBuffer|Uint8Array|Buffer} data - Raw PDF bytes
+     * @returns {Promise<Object>} { text, pageCount, pages: [{ pageNumber, width, height, items, lines }] }
+     */
+    async read(data) {
+        // Always copy: PDF.js rejects Node Buffers and detaches the array it is given
+        const bytes = new Uint8Array(data);
+        const pdf = await this.pdfjs.getDocument({
+            data: bytes,
+            isEvalSupported: false,
+            useSystemFonts: true
+        }).promise;
+
+        const pages = [];
+        try {
+            for (let i = 1; i <= pdf.numPages; i++) {
+                const page = await pdf.getPage(i);
+                const viewport = page.getViewport({ scale: 1 });
+                const textContent = await page.getTextContent();
+                const items = textContent.items
+                    .filter(item => item.str && item.str.trim())
+                    .map(item => this.toLayoutItem(item, i));
+
+                pages.push({
+                    pageNumber: i,
+                    width: viewport.width,
+                    height: viewport.height,
+                    items,
+                    lines: this.groupIntoLines(items)
+                });
+            }
+        } finally {
+            await pdf.destroy();
+        }
+
+        const text = pages
+            .map(page => page.lines.map(line => line.text).join('\n'))
+            .join('\n');
+
+        return { text, pageCount: pages.length, pages };
+    }
+
+    /**
+     * Convert a PDF.js text item into a positioned layout item
+     * @param {Object} item - PDF.js text content item
+     * @param {number} pageNumber - 1-based page number
+     * @returns {Object} { str, page, x, y, width, height }
+     */
+    toLayoutItem(item, pageNumber) {
+        const [, , , scaleY, x, y] = item.transform;
+        return {
+            str: item.str,
+            page: pageNumber,
+            x: Math.round(x * 100) / 100,
+            y: Math.round(y * 100) / 100,
+            width: Math.round(item.width * 100) / 100,
+            height: Math.round((item.height || Math.abs(scaleY)) * 100) / 100
+        };
+    }
+
+    /**
+     * Group layout items sharing the same baseline into text lines (top to bottom, left to right)
+     * @param {Array} items - Layout items of one page
+     * @returns {Array} Lines: { y, items, text }
+     */
+    groupIntoLines(items) {
+        const sorted = [...items].sort((a, b) => (b.y - a.y) || (a.x - b.x));
+        const lines = [];
+
+        sorted.forEach(item => {
+            const line = lines.find(l => Math.abs(l.y - item.y) <= this.lineTolerance);
+            if (line) {
+                line.items.push(item);
+            } else {
+                lines.push({ y: item.y, items: [item] });
+            }
+        });
+
+        return lines.map(line => {
+            line.items.sort((a, b) => a.x - b.x);
+            return {
+                y: line.y,
+                items: line.items,
+                text: line.items.map(item => item.str).join(' ').replace(/\s+/g, ' ').trim()
+            };
+        });
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfLayoutReader;
+} else {
+    window.PdfLayoutReader = PdfLayoutReader;
+}
@@ -0,0 +1,197 @@
+/**
+ * Recurrence Detector
+ * Finds recurring payments in the transaction history: the same merchant, at a similar amount,
+ * on a regular cadence (weekly, monthly, quarterly, annual). Each series gives the evidence for the
+ * frequency column and a subscription entry with the expected next date and amount and any price increase.
+ */
+
+const isRecurrenceNodeModule = typeof module !== 'undefined' && module.exports;
+const RecurrenceReconciler = isRecurrenceNodeModule ? require('./statement-reconciliation') : window.StatementReconciler;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accepted gap between two payments, and how many payments prove the cadence
+const CADENCES = [
+    { frequency: 'weekly', minDays: 5, maxDays: 9, minOccurrences: 4, step: { days: 7 } },
+    { frequency: 'monthly', minDays: 25, maxDays: 36, minOccurrences: 3, step: { months: 1 } },
+    { frequency: 'quarterly', minDays: 80, maxDays: 100, minOccurrences: 2, step: { months: 3 } },
+    { frequency: 'annual', minDays: 345, maxDays: 385, minOccurrences: 2, step: { months: 12 } }
+];
+
+// Share of gaps that must fit the cadence (one late or skipped payment is tolerated in longer series)
+const CADENCE_MATCH_RATIO = 0.75;
+
+// Every amount of a series must stay within this share of the median amount
+const AMOUNT_TOLERANCE = 0.25;
+
+class RecurrenceDetector {
+    /**
+     * @param {Object} options - Detector dependencies
+     * @param {CategorizationRulesEngine} options.rulesEngine - Merchant keys (client name cleanup from clientExtractionRules)
+     */
+    constructor(options = {}) {
+        if (!options.rulesEngine) {
+            throw new Error('RecurrenceDetector requires rulesEngine');
+        }
+        this.rulesEngine = options.rulesEngine;
+    }
+
+    /**
+     * DD/MM/YYYY → UTC timestamp
+     * @param {string} date - Date text
+     * @returns {number|null} Timestamp, null when the text is not a date
+     */
+    static parseDate(date) {
+        const match = String(date || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+        return match ? Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1])) : null;
+    }
+
+    /**
+     * UTC timestamp → DD/MM/YYYY
+     * @param {number} time - Timestamp
+     * @returns {string} Date text
+     */
+    static formatDate(time) {
+        const date = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${date.getUTCFullYear()}`;
+    }
+
+    /**
+     * Date one cadence step later (months keep the day of month, clamped to the month's last day)
+     * @param {number} time - Timestamp
+     * @param {Object} step - { days } or { months }
+     * @returns {number} Timestamp
+     */
+    static addStep(time, step) {
+        if (step.days) return time + step.days * DAY_MS;
+        const date = new Date(time);
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + step.months;
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay));
+    }
+
+    /**
+     * Merchant identity of a transaction: the cleaned client name (references, dates and prefixes dropped)
+     * @param {Object} tx - Transaction
+     * @returns {string} Merchant key
+     */
+    merchantKey(tx) {
+        return this.rulesEngine.merchantKey(tx.description || tx.nature || '');
+    }
+
+    /**
+     * Median of a list of numbers
+     * @param {Array} values - Numbers
+     * @returns {number} Median
+     */
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Cadence of a date-sorted series, if its gaps and amounts are regular enough
+     * @param {Array} entries - [{ time, cents }] sorted by time
+     * @returns {Object|null} Matching cadence from CADENCES
+     */
+    static matchCadence(entries) {
+        const medianCents = RecurrenceDetector.median(entries.map(entry => entry.cents));
+        if (entries.some(entry => Math.abs(entry.cents - medianCents) > medianCents * AMOUNT_TOLERANCE)) {
+            return null;
+        }
+
+        const gaps = entries.slice(1).map((entry, i) => Math.round((entry.time - entries[i].time) / DAY_MS));
+        return CADENCES.find(cadence => {
+            if (entries.length < cadence.minOccurrences) return false;
+            const fitting = gaps.filter(gap => gap >= cadence.minDays && gap <= cadence.maxDays).length;
+            const medianGap = RecurrenceDetector.median(gaps);
+            return medianGap >= cadence.minDays && medianGap <= cadence.maxDays && fitting >= gaps.length * CADENCE_MATCH_RATIO;
+        }) || null;
+    }
+
+    /**
+     * Most recent price increase of a series (the current price compared with the one before it)
+     * @param {Array} entries - [{ time, cents }] sorted by time
+     * @returns {Object|null} { previousAmount, newAmount, difference, percent, since }
+     */
+    static priceIncrease(entries) {
+        for (let i = entries.length - 1; i > 0; i--) {
+            if (entries[i].cents !== entries[entries.length - 1].cents) break;
+            if (entries[i].cents > entries[i - 1].cents) {
+                const difference = entries[i].cents - entries[i - 1].cents;
+                return {
+                    previousAmount: RecurrenceReconciler.formatCents(entries[i - 1].cents),
+                    newAmount: RecurrenceReconciler.formatCents(entries[i].cents),
+                    difference: RecurrenceReconciler.formatCents(difference),
+                    percent: Math.round(difference / entries[i - 1].cents * 1000) / 10,
+                    since: RecurrenceDetector.formatDate(entries[i].time)
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find the recurring series in a transaction history
+     * @param {Array} transactions - Transactions with date, amount, description, type and optionally id, account, category
+     * @param {Object} options - { asOf: DD/MM/YYYY reference date for the active/ended status (default today) }
+     * @returns {Array} Series sorted by next date: { key, merchant, description, category, type, account, frequency,
+     *   occurrences, transactionIds, firstDate, lastDate, lastAmount, nextDate, expectedAmount, priceIncrease, status }
+     */
+    detect(transactions, options = {}) {
+        const asOf = RecurrenceDetector.parseDate(options.asOf) || Date.now();
+        const groups = new Map();
+
+        transactions.forEach(tx => {
+            const time = RecurrenceDetector.parseDate(tx.date);
+            const cents = Math.abs(RecurrenceReconciler.toCents(tx.amount || tx.amountWithTaxes || tx.debit || tx.credit));
+            const merchant = this.merchantKey(tx);
+            if (time === null || !cents || !merchant) return;
+
+            const key = [tx.account || '', tx.type === 'credit' ? 'credit' : 'debit', merchant].join('|');
+            if (!groups.has(key)) groups.set(key, { merchant, entries: [] });
+            groups.get(key).entries.push({ tx, time, cents });
+        });
+
+        const series = [];
+        groups.forEach(({ merchant, entries }, key) => {
+            entries.sort((a, b) => a.time - b.time);
+            const cadence = RecurrenceDetector.matchCadence(entries);
+            if (!cadence) return;
+
+            const last = entries[entries.length - 1];
+            const next = RecurrenceDetector.addStep(last.time, cadence.step);
+            series.push({
+                key,
+                merchant,
+                description: last.tx.description || last.tx.nature,
+                category: last.tx.category || null,
+                type: last.tx.type === 'credit' ? 'credit' : 'debit',
+                account: last.tx.account || null,
+                frequency: cadence.frequency,
+                occurrences: entries.length,
+                transactionIds: entries.map(entry => entry.tx.id).filter(id => id !== undefined),
+                firstDate: RecurrenceDetector.formatDate(entries[0].time),
+                lastDate: RecurrenceDetector.formatDate(last.time),
+                lastAmount: RecurrenceReconciler.formatCents(last.cents),
+                nextDate: RecurrenceDetector.formatDate(next),
+                expectedAmount: RecurrenceReconciler.formatCents(last.cents),
+                priceIncrease: RecurrenceDetector.priceIncrease(entries),
+                // A series that missed its next payment by more than one full gap has probably been cancelled
+                status: asOf > next + cadence.maxDays * DAY_MS ? 'ended' : 'active'
+            });
+        });
+
+        return series.sort((a, b) => RecurrenceDetector.parseDate(a.nextDate) - RecurrenceDetector.parseDate(b.nextDate));
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecurrenceDetector;
+} else {
+    window.RecurrenceDetector = RecurrenceDetector;
+}
@@ -1,25 +1,107 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const multer = require('multer');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const PdfLayoutReader = require('./pdf-layout');
+const StatementColumnLayout = require('./statement-columns');
+const StatementReconciler = require('./statement-reconciliation');
+const LLMPromptBuilder = require('./llm-prompts');
+const { createLLMProvider } = require('./llm-provider');
+const ChunkedExtractor = require('./chunked-extraction');
+const AIResponseValidator = require('./ai-response-schema');
+const TransactionStore = require('./transaction-store');
+const RecurrenceDetector = require('./recurrence-detector');
+const VatCalculator = require('./vat-calculator');
+const FECExporter = require('./fec-export');
+const XLSXExporter = require('./xlsx-export');
+const BankStatementExporter = require('./bank-statement-export');
+const SpendingReport = require('./spending-report');
+const BudgetTracker = require('./budget-tracker');
+const GoGainServiceMapper = require('./gogain-service-mapping');
+const { corsOptions, createApiAuth, createRateLimiter } = require('./api-auth');
+const BankProfileRegistry = require('./bank-profiles');
+const CategorizationRulesEngine = require('./categorization-engine');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-// CORS configuration - Allow all origins for now to fix CORS issues
-app.use(cors({
-    origin: true, // Allow all origins
-    credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
-}));
+// CORS allow-list from CORS_ORIGINS (default FRONTEND_URL, plus localhost outside production)
+app.use(cors(corsOptions(process.env)));
 app.use(express.json({ limit: '10mb' })); // Increase limit for PDF text
 // Remove static file serving for production API-only backend
 if (process.env.NODE_ENV !== 'production') {
     app.use(express.static('.')); // Only serve static files in development
 }
 
+// Raw PDF uploads are kept in memory and parsed with PDF.js on the server
+const statementUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'application/pdf' || /\.pdf$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error(`Only PDF files are accepted (received ${file.mimetype})`));
+        }
+    }
+});
+const pdfLayoutReader = new PdfLayoutReader(pdfjs);
+const columnLayout = new StatementColumnLayout();
+const reconciler = new StatementReconciler();
+const bankProfiles = new BankProfileRegistry();
+const rulesEngine = new CategorizationRulesEngine(require('./categorization-rules.json'));
+const prompts = new LLMPromptBuilder({ bankProfiles, rulesEngine });
+const llm = createLLMProvider(process.env);
+const responseValidator = new AIResponseValidator({ prompts, llm });
+const chunkedExtractor = new ChunkedExtractor({
+    llm,
+    prompts,
+    validator: responseValidator,
+    maxChunkChars: parseInt(process.env.EXTRACTION_CHUNK_CHARS, 10) || 6000,
+    concurrency: parseInt(process.env.EXTRACTION_CONCURRENCY, 10) || 3
+});
+
+// Saved statements, transactions and edit history (SQLite)
+const store = new TransactionStore(process.env.DATABASE_FILE || path.join(__dirname, 'data', 'expense-tracker.db'));
+store.syncCategories([...rulesEngine.categories, rulesEngine.fallbackCategory]);
+// Data saved before authentication (or on an open server) has no tenant: LEGACY_DATA_TENANT gives it to one
+if (process.env.LEGACY_DATA_TENANT) {
+    const moved = store.assignTenant('', process.env.LEGACY_DATA_TENANT);
+    if (moved.statements + moved.overrides + moved.budgets > 0) {
+        console.log(`🗄️ Data without a tenant given to ${process.env.LEGACY_DATA_TENANT}: ${moved.statements} statements, ${moved.overrides} learned categories, ${moved.budgets} budgets`);
+    }
+}
+const recurrenceDetector = new RecurrenceDetector({ rulesEngine });
+const vatCalculator = new VatCalculator({ rulesEngine });
+const fecExporter = new FECExporter({ rulesEngine });
+const xlsxExporter = new XLSXExporter({ rulesEngine });
+const bankStatementExporter = new BankStatementExporter({ bankProfiles });
+const spendingReport = new SpendingReport({ rulesEngine });
+const budgetTracker = new BudgetTracker();
+const goGainMapper = new GoGainServiceMapper();
+
+// API calls that need no credentials (API identification, health check and public configuration)
+const PUBLIC_API_PATHS = ['/health', '/bank-profiles', '/categorization-rules'];
+
+// API calls that may run the LLM: extraction, categorization and raw PDF uploads (they call useAIQuota when they do)
+const isAIRequest = (req) => req.method === 'POST' &&
+    (['/extract-transactions', '/categorize-transactions'].includes(req.path) || (req.path === '/statements' && req.is('multipart/form-data')));
+
+// Credentials and per-tenant limits of the API (see README "Authentication")
+const apiAuth = createApiAuth(process.env);
+const rateLimiter = createRateLimiter(process.env, store);
+app.use('/api', apiAuth.middleware(PUBLIC_API_PATHS), rateLimiter.middleware(isAIRequest));
+
+// Extraction modes: expenses only (default), income only, or both
+const EXTRACTION_MODES = ['debit', 'credit', 'both'];
+const MODE_LABELS = { debit: 'debit', credit: 'credit', both: 'debit and credit' };
+
+// What saving does with rows already imported from another statement
+const DUPLICATE_POLICIES = ['skip', 'keep'];
+
 // Root endpoint - API identification
 app.get('/', (req, res) => {
     res.json({
@@ -29,7 +111,12 @@ app.get('/', (req, res) => {
         endpoints: {
             health: '/api/health',
             extract: '/api/extract-transactions',
-            categorize: '/api/categorize-transactions'
+            categorize: '/api/categorize-transactions',
+            statements: '/api/statements',
+            transactions: '/api/transactions',
+            categories: '/api/categories',
+            bankProfiles: '/api/bank-profiles',
+            categorizationRules: '/api/categorization-rules'
         },
         frontend: 'https://pdf-expense-tracker.vercel.app'
     });
@@ -42,97 +129,80 @@ app.get('/api/health', (req, res) => {
         status: 'OK', 
         message: 'PDF Expense Tracker API is running',
         timestamp: new Date().toISOString(),
-        environment: process.env.NODE_ENV || 'development'
+        environment: process.env.NODE_ENV || 'development',
+        llm: llm.describe(),
+        authRequired: apiAuth.required,
+        database: store.file
     });
 });
 
-// OpenAI API proxy endpoint
+// Available bank statement formats (for manual override)
+app.get('/api/bank-profiles', (req, res) => {
+    res.json({ success: true, profiles: bankProfiles.list() });
+});
+
+// Categorization rules shared with the frontend rules engine
+app.get('/api/categorization-rules', (req, res) => {
+    res.json(rulesEngine.rules);
+});
+
+// AI extraction endpoint (LLM provider configured by environment)
 app.post('/api/extract-transactions', async (req, res) => {
     try {
-        const { pdfText } = req.body;
+        const { pdfText, pages, bankProfile, mode = 'debit' } = req.body;
         
         if (!pdfText) {
             return res.status(400).json({ error: 'PDF text is required' });
         }
 
-        if (!process.env.OPENAI_API_KEY) {
-            return res.status(500).json({ error: 'OpenAI API key not configured' });
+        if (pages !== undefined && (!Array.isArray(pages) || pages.some(page => typeof page !== 'string'))) {
+            return res.status(400).json({ error: 'pages must be an array of page texts' });
         }
 
-        console.log('🤖 Processing PDF text with AI...');
-        console.log('📄 PDF text length:', pdfText.length);
+        if (!EXTRACTION_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Invalid mode "${mode}". Expected one of: ${EXTRACTION_MODES.join(', ')}` });
+        }
 
-        const prompt = buildExtractionPrompt(pdfText);
-        
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: "gpt-4o",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are an expert at extracting financial data from French bank statements. You understand Société Générale formats perfectly and can identify debit transactions (expenses) accurately."
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
-                temperature: 0.1,
-                max_tokens: 8000
-            })
-        });
+        if (!llm.isConfigured()) {
+            return res.status(500).json({ error: `${llm.name} API key not configured` });
+        }
 
-        if (!response.ok) {
-            let errorMessage = `HTTP ${response.status}`;
-            
-            try {
-                const errorData = await response.json();
-                errorMessage = errorData.error?.message || errorMessage;
-                
-                // Handle specific OpenAI errors with user-friendly messages
-                if (response.status === 503) {
-                    errorMessage = 'OpenAI API is temporarily unavailable. Please try again in a few minutes.';
-                } else if (response.status === 429) {
-                    errorMessage = 'OpenAI API rate limit exceeded. Please try again later.';
-                } else if (response.status === 401) {
-                    errorMessage = 'OpenAI API authentication failed. Please check API key.';
-                } else if (response.status === 500) {
-                    errorMessage = 'OpenAI API internal error. Please try again.';
-                }
-            } catch (parseError) {
-                // If we can't parse the error, use status text
-                errorMessage = response.statusText || errorMessage;
-            }
-            
-            console.error('❌ OpenAI API Error:', response.status, errorMessage);
-            return res.status(response.status).json({ 
-                error: `OpenAI API error: ${errorMessage}`,
-                details: 'The AI service is temporarily unavailable. Please try again in a few minutes.'
-            });
+        let resolved;
+        try {
+            resolved = bankProfiles.resolve(pdfText, bankProfile);
+        } catch (profileError) {
+            return res.status(400).json({ error: profileError.message });
         }
 
-        const data = await response.json();
-        const extractedData = data.choices[0].message.content;
-        
-        console.log('🤖 AI Response received:', extractedData.substring(0, 200) + '...');
-        
-        // Parse AI response
-        const transactions = parseAIResponse(extractedData);
-        
-        console.log(`✅ Successfully extracted ${transactions.length} transactions`);
+        useAIQuota(req);
+        const extraction = await extractTransactionsWithAI({ text: pdfText, pages }, resolved.profile, mode);
+        const reconciliation = reconcileStatement(pdfText, resolved.profile, extraction.transactions, mode);
+
+        // Flag rows already imported from another statement of the same account
+        const account = bankProfiles.detectAccount(pdfText);
+        const checks = store.findDuplicates(dataTenantOf(req), extraction.transactions, account);
+        const transactions = extraction.transactions.map((tx, i) => ({ ...tx, ...checks[i] }));
+        const duplicateCount = transactions.filter(tx => tx.duplicateOf).length;
         
         res.json({ 
             success: true, 
             transactions,
-            message: `Extracted ${transactions.length} debit transactions`
+            mode,
+            bankProfile: describeBankProfile(resolved),
+            account,
+            duplicateCount,
+            chunks: extraction.chunks,
+            partial: extraction.partial,
+            possibleDuplicates: extraction.possibleDuplicates,
+            reconciliation,
+            message: `Extracted ${transactions.length} ${MODE_LABELS[mode]} transactions${describeChunkProblems(extraction)}` +
+                (duplicateCount > 0 ? ` - ${duplicateCount} already imported` : '')
         });
 
     } catch (error) {
+        if (error.status) {
+            return sendLLMError(res, error, 'The AI service is temporarily unavailable. Please try again in a few minutes.');
+        }
         console.error('❌ Server error:', error);
         res.status(500).json({ 
             error: 'Internal server error', 
@@ -150,80 +220,7 @@ app.post('/api/categorize-transactions', async (req, res) => {
             return res.status(400).json({ error: 'Transactions array is required' });
         }
 
-        console.log('🤖 Categorizing', transactions.length, 'transactions...');
-
-        const categories = [
-            'MASSE SALARIALE', 'FRAIS BANQUE', 'INTERNET', 'ASSURANCE', 
-            'LOYER CABINET', 'GYM', 'CHARGES SOCIALES', 'LEASING MOTO',
-            'LEASING VOITURE', 'MUTUELLE', 'MATERIEL CABINET', 
-            'LOGICIEL CABINET', 'PREVOYANCE', 'TPE BANQUE', 'AUTRES'
-        ];
-
-        const prompt = buildCategorizationPrompt(transactions, categories);
-        
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: "gpt-4o",
-                messages: [
-                    {
-                        role: "system", 
-                        content: "You are an expert at categorizing French business expenses. You understand French transaction descriptions and can categorize them accurately."
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
-                temperature: 0.1,
-                max_tokens: 4000
-            })
-        });
-
-        if (!response.ok) {
-            let errorMessage = `HTTP ${response.status}`;
-            
-            try {
-                const errorData = await response.json();
-                errorMessage = errorData.error?.message || errorMessage;
-                
-                // Handle specific OpenAI errors
-                if (response.status === 503) {
-                    errorMessage = 'OpenAI API is temporarily unavailable. Please try again in a few minutes.';
-                } else if (response.status === 429) {
-                    errorMessage = 'OpenAI API rate limit exceeded. Please try again later.';
-                } else if (response.status === 401) {
-                    errorMessage = 'OpenAI API authentication failed. Please check API key.';
-                } else if (response.status === 500) {
-                    errorMessage = 'OpenAI API internal error. Please try again.';
-                }
-            } catch (parseError) {
-                errorMessage = response.statusText || errorMessage;
-            }
-            
-            console.error('❌ OpenAI Categorization API Error:', response.status, errorMessage);
-            return res.status(response.status).json({ 
-                error: `OpenAI API error: ${errorMessage}`,
-                details: 'The AI categorization service is temporarily unavailable. Please try again in a few minutes.'
-            });
-        }
-
-        const data = await response.json();
-        const categorizedData = JSON.parse(data.choices[0].message.content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim());
-
-        // Apply categorization to transactions
-        const categorizedTransactions = transactions.map((tx, index) => {
-            const categorization = categorizedData.categorized.find(c => c.index === index + 1);
-            return {
-                ...tx,
-                category: categorization?.category || 'AUTRES',
-                confidence: categorization?.confidence || 'low'
-            };
-        });
+        const categorizedTransactions = await categorizeTransactionsWithAI(transactions, dataTenantOf(req), () => useAIQuota(req));
 
         res.json({ 
             success: true, 
@@ -232,6 +229,9 @@ app.post('/api/categorize-transactions', async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status) {
+            return sendLLMError(res, error, 'The AI categorization service is temporarily unavailable. Please try again in a few minutes.');
+        }
         console.error('❌ Categorization error:', error);
         res.status(500).json({ 
             error: 'Categorization failed', 
@@ -240,246 +240,663 @@ app.post('/api/categorize-transactions', async (req, res) => {
     }
 });
 
-// Helper functions
-function buildExtractionPrompt(pdfText) {
-    return `
-You are analyzing a Société Générale bank statement. ONLY extract transactions that have amounts in the DÉBIT column (outflows/expenses). NEVER extract transactions from the CRÉDIT column (inflows).
-CRITICAL RULE: DÉBIT ONLY - NO CRÉDIT TRANSACTIONS
-- DÉBIT column = Money going OUT (expenses) ✅ EXTRACT THESE
-- CRÉDIT column = Money coming IN (income) ❌ NEVER EXTRACT THESE
-
-TABLE STRUCTURE:
-Date | Valeur | Nature de l'opération | Débit | Crédit
-
-VISUAL IDENTIFICATION:
-- Look at each transaction line
-- If amount appears in DÉBIT column (left side) → EXTRACT
-- If amount appears in CRÉDIT column (right side) → SKIP
-
-DÉBIT TRANSACTIONS TO EXTRACT (expenses/outflows):
-✅ "VIR INSTANTANE EMIS NET POUR: [Name]" → Salary payments (DÉBIT)
-✅ "PRELEVEMENT EUROPEEN DE: [Company]" → Direct debits (DÉBIT)0'¡008
-✅ "CARTE X2148 [Store]" → Card purchases (DÉBIT)
-✅ "PRELEVEMENT [Service]" → Service payments (DÉBIT)
-
-CRÉDIT TRANSACTIONS TO SKIP (income/inflows):
-❌ "REMISE CB" → Card refunds (CRÉDIT) - DO NOT EXTRACT
-❌ "VIREMENT RECU" → Received transfers (CRÉDIT) - DO NOT EXTRACT
-❌ "AVANTAGE COMMERCIAL COTIS VISA BUSINESS" → Credit/cashback (CRÉDIT) - DO NOT EXTRACT
-❌ "VIR INST RE" → Received transfers (CRÉDIT) - DO NOT EXTRACT
-SPECIFIC EXAMPLES FROM YOUR PDF:
-✅ EXTRACT: "24/01/2025 CARTE X2148 23/01 CARREFOUR CITY    11,04" (DÉBIT column)
-❌ SKIP: "25/01/2025 AVANTAGE COMMERCIAL COTIS VISA BUSINESS    9,94" (CRÉDIT column)
-✅ EXTRACT: "27/01/2025 CARTE X2148 24/01 MAGASINS NICOL    97,00" (DÉBIT column)
-❌ SKIP: "27/01/2025 REMISE CB 24/01 R70304    179,37" (CRÉDIT column)
-
-BANK STATEMENT TEXT:
-${pdfText}
-
-EXTRACTION PROCESS:
-1. Scan each line with a date (DD/MM/YYYY)
-2. Identify if the amount is in DÉBIT or CRÉDIT column
-3. ONLY extract if amount is in DÉBIT column
-4. Preserve exact French formatting: "2 000,00", "1 360,46", "89,50"
-
-CLIENT EXTRACTION RULES:
-Extract clear client names from transaction descriptions. NEVER use "Unknown Client".
-
-CLIENT IDENTIFICATION PATTERNS - EXACT RULES:
-
-1. ✅ Text after "POUR:" → Client = [TEXT AFTER POUR:]
-   Example: "VIR INSTANTANE EMIS NET POUR: Ana STEFANOVIC" → Client: "Ana STEFANOVIC"
-
-2. ✅ Text after "DE:" → Client = [TEXT AFTER DE:]
-   Example: "PRELEVEMENT EUROPEEN DE: ORANGE" → Client: "ORANGE"
-
-3. ✅ Text after "POUR CPTE DE:" → Client = [TEXT AFTER POUR CPTE DE:]
-   Example: "VIREMENT POUR CPTE DE: COMPANY NAME" → Client: "COMPANY NAME"
-
-4. ✅ Text after "CARTE XXXX XX/XX" → Client = [STORE/MERCHANT NAME]
-   Example: "CARTE X2148 01/02 SUMUP" → Client: "SUMUP"
-
-5. ✅ "JAZZPRO I JAZZPRO" → Client = "JAZZPRO"
-
-6. ✅ Special case: "ABONNEMENT MATERIEL" → Client = "LOYER TPE"
-
-7. ✅ For complex descriptions (like interest/fees), extract the most logical client:
-   Example: "INT DEBITEURS ET CION DECOUVERT" → Client: "DEBITEURS ET CION DECOUVERT"
-
-EXTRACTION PRIORITY ORDER:
-1. Look for "POUR:" first
-2. Look for "DE:" second  
-3. Look for "POUR CPTE DE:" third
-4. Look for "CARTE" pattern fourth
-5. Check for "JAZZPRO I JAZZPRO"
-6. Check for "ABONNEMENT MATERIEL"
-7. For other cases, extract the main business/service name from the description
-
-CLIENT EXTRACTION EXAMPLES:
-"VIR INSTANTANE EMIS NET POUR: M. JORGE GOENAGA PEREZ" → Client: "M. JORGE GOENAGA PEREZ"
-"PRELEVEMENT EUROPEEN DE: URSSAF" → Client: "URSSAF"
-"CARTE X2148 01/02 SUMUP" → Client: "SUMUP"
-"JAZZPRO I JAZZPRO ABONNEMENT" → Client: "JAZZPRO"
-"ABONNEMENT MATERIEL TPE" → Client: "LOYER TPE"
-"INT DEBITEURS ET CION DECOUVERT AU 31/12/24" → Client: "DEBITEURS ET CION DECOUVERT"
-"FRAIS TENUE DE COMPTE" → Client: "FRAIS TENUE DE COMPTE"
-
-If client name is unclear, use the main business/service mentioned in description.
-
-Return ONLY DÉBIT transactions in this JSON format:
-{
-  "transactions": [
-    {
-      "date": "02/01/2025",
-      "valeur": "02/01/2025", 
-      "description": "VIR INSTANTANE EMIS NET POUR: M. JORGE GOENAGA PEREZ",
-      "amount": "2 000,00",
-      "client": "M. JORGE GOENAGA PEREZ",
-      "type": "debit"
-    }
-  ]
-}
+// Statement upload endpoint - parses the raw PDF on the server and runs the full pipeline
+app.post('/api/statements', (req, res, next) => {
+    statementUpload.single('statement')(req, res, (error) => {
+        if (error) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ error: 'Invalid upload', message: error.message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        // JSON body: save transactions already extracted (and reviewed) in the tracker
+        if (!req.file && req.is('application/json')) {
+            return saveStatement(req, res);
+        }
 
-ENHANCED COLUMN DETECTION - DÉBIT ONLY EXTRACTION:
+        if (!req.file) {
+            return res.status(400).json({ error: 'PDF file is required (multipart field "statement")' });
+        }
 
-CRITICAL RULE: Extract ONLY if amount appears in DÉBIT column (4th column position)
+        const mode = req.body.mode || req.query.mode || 'debit';
+        if (!EXTRACTION_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Invalid mode "${mode}". Expected one of: ${EXTRACTION_MODES.join(', ')}` });
+        }
+
+        const duplicates = req.body.duplicates || req.query.duplicates || 'skip';
+        if (!DUPLICATE_POLICIES.includes(duplicates)) {
+            return res.status(400).json({ error: `Invalid duplicates "${duplicates}". Expected one of: ${DUPLICATE_POLICIES.join(', ')}` });
+        }
+
+        if (!llm.isConfigured()) {
+            return res.status(500).json({ error: `${llm.name} API key not configured` });
+        }
+
+        console.log('📥 Statement uploaded:', req.file.originalname, `(${req.file.size} bytes)`);
 
-TABLE STRUCTURE ANALYSIS:
-Date | Valeur | Nature de l'opération | Débit | Crédit
+        let layout;
+        try {
+            layout = await pdfLayoutReader.read(req.file.buffer);
+        } catch (parseError) {
+            console.error('❌ PDF parsing error:', parseError);
+            return res.status(422).json({ error: 'Unable to read PDF', message: parseError.message });
+        }
 
-PRECISE COLUMN DETECTION METHOD:
-1. Each transaction line has this exact pattern:
-   "DD/MM/YYYY DD/MM/YYYY [Description text] [DÉBIT amount or empty] [CRÉDIT amount or empty]"
+        if (!layout.text.trim()) {
+            return res.status(422).json({ error: 'PDF contains no extractable text' });
+        }
 
-2. DÉBIT Column Identification:
-   ✅ EXTRACT: Amount appears BEFORE any trailing spaces at line end
-   ✅ EXTRACT: Amount is LEFT-ALIGNED in the amount area
-   ✅ EXTRACT: Line ends with: "...description AMOUNT" (no trailing amount)
+        let resolved;
+        try {
+            resolved = bankProfiles.resolve(layout.text, req.body.bankProfile || req.query.bankProfile);
+        } catch (profileError) {
+            return res.status(400).json({ error: profileError.message });
+        }
+
+        // Tag every amount with its Débit/Crédit column so the AI does not have to guess from spacing
+        const { columns } = columnLayout.parse(layout);
+        const pageTexts = columnLayout.annotatePages(layout) || layout.pages.map(page => page.lines.map(line => line.text).join('\n'));
+        const pdfText = pageTexts.join('\n');
+        useAIQuota(req);
+        const extraction = await extractTransactionsWithAI({ text: pdfText, pages: pageTexts }, resolved.profile, mode);
+        const { transactions } = extraction;
+        const reconciliation = reconcileStatement(pdfText, resolved.profile, transactions, mode);
+        const categorizedTransactions = transactions.length > 0
+            ? await categorizeTransactionsWithAI(transactions, dataTenantOf(req))
+            : [];
+        const includeLayout = req.query.includeLayout === 'true';
+        const account = bankProfiles.detectAccount(layout.text);
+        const saved = store.saveStatement(dataTenantOf(req), {
+            fileName: req.file.originalname,
+            bankProfile: resolved.profile.id,
+            mode,
+            reconciliation,
+            account
+        }, categorizedTransactions.map(fillVat), { duplicates });
+        const savedTransactions = saved.statement ? refreshRecurrence(dataTenantOf(req), saved.statement.id) : [];
+
+        res.json({
+            success: true,
+            statement: {
+                id: saved.statement ? saved.statement.id : null,
+                filename: req.file.originalname,
+                account,
+                size: req.file.size,
+                pageCount: layout.pageCount,
+                pages: layout.pages.map(page => ({
+                    pageNumber: page.pageNumber,
+                    width: page.width,
+                    height: page.height,
+                    lineCount: page.lines.length,
+                    ...(includeLayout ? { items: page.items } : {})
+                })),
+                columns: columns ? columns.map(({ role, label, x, right }) => ({ role, label, x, right })) : null,
+                ...(includeLayout ? { text: pdfText } : {})
+            },
+            mode,
+            bankProfile: describeBankProfile(resolved),
+            chunks: extraction.chunks,
+            partial: extraction.partial,
+            possibleDuplicates: extraction.possibleDuplicates,
+            reconciliation,
+            transactions: savedTransactions,
+            duplicates: saved.duplicates,
+            message: `Extracted and categorized ${categorizedTransactions.length} ${MODE_LABELS[mode]} transactions${describeChunkProblems(extraction)}` +
+                describeDuplicates(saved.duplicates, duplicates)
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return sendLLMError(res, error, 'The AI service is temporarily unavailable. Please try again in a few minutes.');
+        }
+        console.error('❌ Statement processing error:', error);
+        res.status(500).json({
+            error: 'Statement processing failed',
+            message: error.message
+        });
+    }
+});
 
-3. CRÉDIT Column Identification:
-   ❌ SKIP: Amount appears AFTER significant spacing
-   ❌ SKIP: Amount is RIGHT-ALIGNED at very end of line
-   ❌ SKIP: Line has pattern: "...description        AMOUNT" (right-aligned)
+// Saved statements, newest first
+app.get('/api/statements', (req, res) => {
+    try {
+        res.json({ success: true, statements: store.listStatements(dataTenantOf(req)) });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
 
-EXACT EXAMPLES FROM YOUR FEBRUARY PDF:
+app.get('/api/statements/:id', (req, res) => {
+    try {
+        const tenant = dataTenantOf(req);
+        const statement = store.getStatement(tenant, Number(req.params.id));
+        res.json({ success: true, statement, transactions: store.listTransactions(tenant, { statementId: statement.id }) });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
 
-✅ DÉBIT PATTERNS (EXTRACT THESE):
-"03/02/2025 03/02/2025 CARTE X2148 01/02 SUMUP 14,00"
-"04/02/2025 04/02/2025 VIR INSTANTANE EMIS NET POUR: Ana STEFANOVIC 1 360,46"
-"05/02/2025 05/02/2025 PRELEVEMENT EUROPEEN 325960010 3 869,00"
-"10/02/2025 10/02/2025 CARTE X2148 10/02 FRANKPRIX 5065 10,95"
+// Delete a statement with its transactions and their edit history
+app.delete('/api/statements/:id', (req, res) => {
+    try {
+        const tenant = dataTenantOf(req);
+        const deleted = store.deleteStatement(tenant, Number(req.params.id));
+        refreshRecurrence(tenant);
+        console.log(`🗑️ Statement ${deleted.id} deleted (${deleted.transactionsDeleted} transactions)`);
+        res.json({ success: true, ...deleted });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
 
-❌ CRÉDIT PATTERNS (SKIP THESE):
-"27/02/2025 27/02/2025 REMISE CB 24/01 R70304 CT36631988501                    179,37"
-"28/02/2025 28/02/2025 VIR INST RE 552893677541                               480,00"
-"07/02/2025 07/02/2025 REMISE CB 06/02 R44894 CT36631988501                   284,34"
+// Saved transactions - ?from=&to= (DD/MM/YYYY or YYYY-MM-DD, inclusive), ?category=, ?type=, ?statementId=
+app.get('/api/transactions', (req, res) => {
+    try {
+        const { from, to, category, type, statementId } = req.query;
+        const transactions = store.listTransactions(dataTenantOf(req), { from, to, category, type, statementId });
+        res.json({ success: true, transactions, count: transactions.length });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
 
-SPACING PATTERN ANALYSIS:
-- DÉBIT: Amount follows description with 1-3 spaces
-- CRÉDIT: Amount follows description with 10+ spaces (right-aligned)
+app.get('/api/transactions/:id', (req, res) => {
+    try {
+        res.json({ success: true, transaction: store.getTransaction(dataTenantOf(req), Number(req.params.id)) });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
 
-SPACING ANALYSIS:
-- DÉBIT amounts: Appear immediately after description with minimal spacing
-- CRÉDIT amounts: Appear after significant whitespace/padding at line end
+// Edit a saved transaction; every changed field is recorded in its history
+app.patch('/api/transactions/:id', (req, res) => {
+    try {
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body) || Object.keys(req.body).length === 0) {
+            return res.status(400).json({ error: 'Request body must be an object of fields to change' });
+        }
+        const tenant = dataTenantOf(req);
+        const transaction = store.updateTransaction(tenant, Number(req.params.id), req.body);
+        // A corrected category is learned for the merchant and applied to the tenant's next statements
+        if ('category' in req.body) {
+            learnCategory(tenant, transaction);
+        }
+        if (['date', 'amount', 'description', 'type'].some(field => field in req.body)) {
+            refreshRecurrence(tenant);
+        }
+        // A new category, amount or type (debit / credit) changes the computed HT/VAT split (hand-typed values are kept)
+        if (['category', 'amount', 'description', 'type'].some(field => field in req.body) && transaction.vatSource !== 'user') {
+            store.setVat(tenant, transaction.id, vatCalculator.apply({ ...transaction }));
+        }
+        res.json({ success: true, transaction: store.getTransaction(tenant, transaction.id) });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
 
-EXTRACTION VALIDATION:
-For each potential transaction:
-1. Locate the amount in the line
-2. Check spacing pattern before the amount
-3. If minimal spacing = DÉBIT ✅ EXTRACT
-4. If extensive spacing = CRÉDIT ❌ SKIP
+app.get('/api/transactions/:id/history', (req, res) => {
+    try {
+        res.json({ success: true, history: store.getHistory(dataTenantOf(req), Number(req.params.id)) });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
 
-FINAL VALIDATION: Every extracted amount must be from DÉBIT column - check spacing pattern not just amount presence`;
-}
+// Recurring payments found in the saved history - ?asOf= (DD/MM/YYYY, default today) sets which series count as ended
+app.get('/api/subscriptions', (req, res) => {
+    try {
+        const { asOf, status } = req.query;
+        const series = recurrenceDetector.detect(store.listTransactions(dataTenantOf(req), { excludeDuplicates: true }), { asOf })
+            .filter(entry => !status || entry.status === status);
+        res.json({ success: true, subscriptions: series, count: series.length });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
 
-function buildCategorizationPrompt(transactions, categories) {
-    return `
-Categorize these French PROFESSIONAL business transactions based on real Société Générale statement patterns.
-
-AVAILABLE CATEGORIES:
-${categories.join(', ')}
-
-ENHANCED CATEGORIZATION RULES (based on real statement analysis):
-- **VIR INSTANTANE EMIS NET POUR**: [Person Name] = MASSE SALARIALE (salary payments)
-- **PRELEVEMENT EUROPEEN** + company names = Match to appropriate category:
-  - GG CORPORATE, ORANGE, SFR, FREE = INTERNET
-  - ASSURANCE, MAIF, MACIF, AXA = ASSURANCE  
-  - URSSAF, CHARGES SOCIALES = CHARGES SOCIALES
-  - Bank names, SOCIETE GENERALE = FRAIS BANQUE
-- **CARTE X2148** + store names:
-  - CARREFOUR, supermarkets = MATERIEL CABINET (supplies)
-  - Gym, fitness centers = GYM
-  - Gas stations, parking = LEASING VOITURE (car expenses)
-- **REMISE CB** = Credit transactions, categorize by merchant
-- **PRELEVEMENT** + service names = Match to service type
-
-REAL EXAMPLES FROM STATEMENT:
-- "VIR INSTANTANE EMIS NET POUR: M. JORGE GOENAGA PEREZ" → MASSE SALARIALE
-- "PRELEVEMENT EUROPEEN DE: GG CORPORATE" → INTERNET  
-- "CARTE X2148 CARREFOUR CITY" → MATERIEL CABINET
-- "PRELEVEMENT EUROPEEN URSSAF" → CHARGES SOCIALES
-
-TRANSACTIONS TO CATEGORIZE:
-${transactions.map((tx, i) => `${i+1}. ${tx.description} - ${tx.amount}`).join('\n')}
-
-Return JSON format:
-{
-  "categorized": [
-    {
-      "index": 1,
-      "category": "CATEGORY_NAME", 
-      "confidence": "high/medium/low"
-    }
-  ]
-}`;
-}
+// Spending summary of the saved transactions - ?from=&to= (inclusive), ?groupBy=category|month|client|center
+app.get('/api/reports/summary', (req, res) => {
+    try {
+        const { from, to, groupBy } = req.query;
+        const transactions = store.listTransactions(dataTenantOf(req), { from, to, excludeDuplicates: true });
+        res.json({ success: true, ...spendingReport.summarize(transactions, { from, to, groupBy }) });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
 
-function parseAIResponse(aiResponse) {
+// FEC (Fichier des Écritures Comptables) of the saved transactions - ?from=&to= (inclusive), ?siren=, ?validDate=
+app.get('/api/exports/fec', (req, res) => {
     try {
-        // Clean the response (remove markdown formatting if present)
-        let cleanResponse = aiResponse.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        
-        // Handle truncated JSON by attempting to fix common issues
-        if (!cleanResponse.endsWith('}') && !cleanResponse.endsWith(']')) {
-            console.log('⚠️ Detected truncated JSON response, attempting to fix...');
-            
-            // Find the last complete transaction
-            const lastCompleteTransaction = cleanResponse.lastIndexOf('    }');
-            if (lastCompleteTransaction !== -1) {
-                cleanResponse = cleanResponse.substring(0, lastCompleteTransaction + 5) + '\n  ]\n}';
-            }
+        const { from, to, validDate } = req.query;
+        const siren = req.query.siren || process.env.COMPANY_SIREN || '';
+        if (!FECExporter.isSiren(siren)) {
+            return res.status(400).json({
+                error: siren ? `Invalid SIREN "${siren}" (expected 9 digits)` : 'A 9-digit SIREN is required: pass ?siren= or set COMPANY_SIREN'
+            });
         }
-        
-        const data = JSON.parse(cleanResponse);
-        
-        if (!data.transactions || !Array.isArray(data.transactions)) {
-            throw new Error("Invalid AI response format - missing transactions array");
+
+        const transactions = store.listTransactions(dataTenantOf(req), { from, to, excludeDuplicates: true });
+        if (transactions.length === 0) {
+            return res.status(404).json({ error: 'No saved transactions in this period' });
         }
 
-        console.log(`✅ Successfully parsed ${data.transactions.length} transactions from AI response`);
+        // The file is named after the closing date: the end of the period, or the last transaction
+        const lastDate = to || transactions[transactions.length - 1].date;
+        const closingISO = TransactionStore.toISODate(lastDate);
+        if (!closingISO) {
+            return res.status(400).json({ error: `Invalid closing date "${lastDate}" (expected DD/MM/YYYY or YYYY-MM-DD)` });
+        }
+        const closingDate = closingISO.split('-').reverse().join('/');
+        const fileName = FECExporter.fileName(siren, closingDate);
 
-        return data.transactions.map((tx, index) => ({
-            date: tx.date,
-            valeur: tx.valeur || tx.date,
-            description: tx.description,
-            amount: tx.amount,
-            client: tx.client, // Include AI-extracted client name
-            type: tx.type || 'debit'
-        }));
-        
+        console.log(`📒 FEC export: ${transactions.length} transactions → ${fileName}`);
+        res.set('Content-Type', 'text/tab-separated-values; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(fecExporter.export(transactions, { validDate }));
     } catch (error) {
-        console.error('❌ Failed to parse AI response:', error);
-        console.log('Raw AI response length:', aiResponse.length);
-        console.log('Raw AI response (last 500 chars):', aiResponse.slice(-500));
-        throw new Error(`Failed to parse AI response: ${error.message}`);
+        sendStoreError(res, error);
     }
+});
+
+// Saved transactions as an Excel workbook (transactions and category × month summary sheets)
+app.get('/api/exports/xlsx', (req, res) => {
+    try {
+        const { from, to, category, statementId } = req.query;
+        const transactions = store.listTransactions(dataTenantOf(req), { from, to, category, statementId, excludeDuplicates: true });
+        if (transactions.length === 0) {
+            return res.status(404).json({ error: 'No saved transactions match these filters' });
+        }
+
+        console.log(`📊 XLSX export: ${transactions.length} transactions`);
+        res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.set('Content-Disposition', 'attachment; filename="expenses.xlsx"');
+        res.send(Buffer.from(xlsxExporter.export(transactions)));
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Saved transactions as a bank statement file (OFX, QIF or CAMT.053) for accounting / banking software
+// With statementId the statement's account and printed balances are used, otherwise a date range of all accounts
+// dateFormat picks the QIF date order (mdy, dmy or ymd)
+app.get('/api/exports/:format', (req, res) => {
+    try {
+        const { statementId, from, to, dateFormat } = req.query;
+        const tenant = dataTenantOf(req);
+        const statement = statementId ? store.getStatement(tenant, Number(statementId)) : {};
+        const transactions = statementId
+            ? store.listTransactions(tenant, { statementId: Number(statementId), excludeDuplicates: true })
+            : store.listTransactions(tenant, { from, to, excludeDuplicates: true });
+
+        const { content, fileName, mimeType } = bankStatementExporter.export(req.params.format, transactions, statement, { dateFormat });
+        console.log(`🏦 ${BankStatementExporter.formats[req.params.format].label} export: ${transactions.length} transactions → ${fileName}`);
+        res.set('Content-Type', `${mimeType}; charset=utf-8`);
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(content);
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Merchant → category overrides learned from corrections
+app.get('/api/category-overrides', (req, res) => {
+    try {
+        const overrides = store.listOverrides(dataTenantOf(req));
+        res.json({ success: true, overrides, count: overrides.length });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+app.delete('/api/category-overrides/:id', (req, res) => {
+    try {
+        const override = store.deleteOverride(dataTenantOf(req), Number(req.params.id));
+        console.log(`🗑️ Category override for "${override.merchantKey}" deleted`);
+        res.json({ success: true, override });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Budgets per category, center and period
+app.get('/api/budgets', (req, res) => {
+    try {
+        const budgets = store.listBudgets(dataTenantOf(req));
+        res.json({ success: true, budgets, count: budgets.length });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Create a budget, or change the amount of the budget with the same category, center and period
+app.post('/api/budgets', (req, res) => {
+    try {
+        const budget = store.saveBudget(dataTenantOf(req), req.body || {});
+        console.log(`🎯 Budget ${budget.category}${budget.center ? ` (${budget.center})` : ''}: ${budget.amount} € ${budget.period}`);
+        res.json({ success: true, budget });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+app.delete('/api/budgets/:id', (req, res) => {
+    try {
+        const budget = store.deleteBudget(dataTenantOf(req), Number(req.params.id));
+        console.log(`🗑️ Budget ${budget.category} ${budget.period} deleted`);
+        res.json({ success: true, budget });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Budget vs actual costs of the saved transactions for each period - ?from=&to= (default: the saved dates), ?category=&center=
+app.get('/api/budgets/comparison', (req, res) => {
+    try {
+        const { from, to, category, center } = req.query;
+        const comparison = compareBudgets(dataTenantOf(req), from, to)
+            .filter(entry => (!category || entry.category === category) && (!center || entry.center === center));
+        res.json({ success: true, comparison, count: comparison.length });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Periods close to (80 %) or over their budget, for the tracker and GoGain - ?from=&to=
+app.get('/api/budgets/alerts', (req, res) => {
+    try {
+        const alerts = budgetTracker.alerts(compareBudgets(dataTenantOf(req), req.query.from, req.query.to));
+        res.json({ success: true, alerts, count: alerts.length });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Category → GoGain service mappings of a tenant, its known services and the categories still unmapped - ?tenant=
+app.get('/api/gogain/mappings', (req, res) => {
+    try {
+        res.json({ success: true, ...goGainMappingState(goGainTenantOf(req, req.query.tenant)) });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Set the GoGain service of a category for a tenant
+app.put('/api/gogain/mappings', (req, res) => {
+    try {
+        const { category, serviceId } = req.body || {};
+        const tenant = goGainTenantOf(req, (req.body || {}).tenant);
+        const mapping = store.saveGoGainMapping(tenant, { category, serviceId });
+        console.log(`🔗 GoGain mapping ${tenant}: ${mapping.category} → ${mapping.serviceName || mapping.serviceId}`);
+        res.json({ success: true, mapping });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+app.delete('/api/gogain/mappings/:id', (req, res) => {
+    try {
+        const mapping = store.deleteGoGainMapping(goGainTenantOf(req, req.query.tenant), Number(req.params.id));
+        console.log(`🗑️ GoGain mapping ${mapping.tenant}: ${mapping.category} deleted`);
+        res.json({ success: true, mapping });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Store the services list the tracker fetched from GoGain, and map the unmapped categories of the same name
+app.put('/api/gogain/services', (req, res) => {
+    try {
+        const tenant = goGainTenantOf(req, (req.body || {}).tenant);
+        const services = GoGainServiceMapper.parseServices((req.body || {}).services);
+        if (services.length === 0) {
+            throw TransactionStore.error(400, 'The GoGain services list is empty');
+        }
+        store.replaceGoGainServices(tenant, services);
+        const categories = store.listCategories().map(category => category.name);
+        const autoMapped = goGainMapper.autoMap(categories, services, store.listGoGainMappings(tenant))
+            .map(mapping => store.saveGoGainMapping(tenant, { ...mapping, source: 'auto' }));
+        console.log(`🔗 ${services.length} GoGain services for ${tenant}, ${autoMapped.length} categories mapped by name`);
+        res.json({ success: true, autoMapped, ...goGainMappingState(tenant) });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Categories a transaction can be filed under
+app.get('/api/categories', (req, res) => {
+    res.json({ success: true, categories: store.listCategories() });
+});
+
+// Helper functions
+function describeBankProfile({ profile, detected }) {
+    return { id: profile.id, name: profile.name, detected };
+}
+
+// Budget vs actual of a tenant for the periods overlapping from / to, counting every saved cost of those periods
+function compareBudgets(tenant, from, to) {
+    Object.entries({ from, to }).forEach(([bound, value]) => {
+        if (value && !TransactionStore.toISODate(value)) {
+            throw TransactionStore.error(400, `Invalid "${bound}" date "${value}" (expected DD/MM/YYYY or YYYY-MM-DD)`);
+        }
+    });
+    return budgetTracker.compare(store.listBudgets(tenant), store.listTransactions(tenant, { excludeDuplicates: true }), { from, to });
+}
+
+// Tenant whose statements, transactions, learned categories and budgets a call reads and changes: the caller's
+// (API key name or GoGain tenant). An open server (authentication off) keeps everything in the unnamed tenant ''
+function dataTenantOf(req) {
+    return req.auth && req.auth.kind !== 'anonymous' ? req.auth.tenant : '';
+}
+
+// GoGain tenant of a mapping call: the caller's own when it signed in with a GoGain token (defaults to it)
+function goGainTenantOf(req, tenant) {
+    if (req.auth && req.auth.kind === 'gogain') {
+        if (tenant && tenant !== req.auth.tenant) {
+            throw TransactionStore.error(403, `The GoGain token of ${req.auth.tenant} cannot change the mappings of ${tenant}`);
+        }
+        return req.auth.tenant;
+    }
+    return tenant;
+}
+
+// Mappings, services and unmapped categories of a GoGain tenant
+function goGainMappingState(tenant) {
+    TransactionStore.requireTenant(tenant);
+    const mappings = store.listGoGainMappings(tenant);
+    const mapped = new Set(mappings.map(mapping => mapping.category));
+    return {
+        tenant,
+        mappings,
+        services: store.listGoGainServices(tenant),
+        unmappedCategories: store.listCategories().map(category => category.name).filter(name => !mapped.has(name))
+    };
+}
+
+// Compare the extracted transactions with the balances and totals printed on the statement
+function reconcileStatement(pdfText, profile, transactions, mode) {
+    const report = reconciler.reconcile(transactions, reconciler.readSummary(pdfText, profile), mode);
+    console.log(report.status === 'mismatch' ? '⚠️ Reconciliation:' : '🧮 Reconciliation:', report.message);
+    return report;
+}
+
+// POST /api/statements with a JSON body: { fileName, bankProfile, mode, reconciliation, account, duplicates, transactions }
+function saveStatement(req, res) {
+    const { fileName, bankProfile, mode = 'debit', reconciliation, account = null, duplicates = 'skip', transactions } = req.body;
+
+    if (!Array.isArray(transactions) || transactions.length === 0) {
+        return res.status(400).json({ error: 'Transactions array is required' });
+    }
+    if (!EXTRACTION_MODES.includes(mode)) {
+        return res.status(400).json({ error: `Invalid mode "${mode}". Expected one of: ${EXTRACTION_MODES.join(', ')}` });
+    }
+    if (!DUPLICATE_POLICIES.includes(duplicates)) {
+        return res.status(400).json({ error: `Invalid duplicates "${duplicates}". Expected one of: ${DUPLICATE_POLICIES.join(', ')}` });
+    }
+
+    try {
+        const tenant = dataTenantOf(req);
+        const saved = store.saveStatement(tenant, { fileName, bankProfile, mode, reconciliation, account }, transactions.map(fillVat), { duplicates });
+        if (saved.statement) {
+            console.log(`💾 Statement ${saved.statement.id} saved (${saved.transactions.length} transactions)`);
+            saved.transactions = refreshRecurrence(tenant, saved.statement.id);
+        }
+        res.status(saved.statement ? 201 : 200).json({
+            success: true,
+            ...saved,
+            message: `Saved ${saved.transactions.length} transactions${describeDuplicates(saved.duplicates, duplicates)}`
+        });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+}
+
+// Remember a user's category for the transaction's merchant, for the tenant's next categorizations
+// (categorizeTransactionsWithAI checks the tenant's overrides before any rule)
+function learnCategory(tenant, transaction) {
+    const merchantKey = rulesEngine.merchantKey(transaction.description);
+    if (!merchantKey || !transaction.category) return;
+    store.learnOverride(tenant, merchantKey, transaction.category, transaction);
+    console.log(`🎓 Learned "${merchantKey}" → ${transaction.category}`);
+}
+
+// HT/VAT split of a transaction to save: computed from the VAT rates unless it came with its own values
+function fillVat(tx) {
+    if (tx.vatSource) return tx;
+    if (tx.amountWithoutTaxes || tx.taxes) {
+        return { ...tx, vatSource: 'user', vatRate: VatCalculator.rateOf(tx.amountWithoutTaxes, tx.taxes) };
+    }
+    return vatCalculator.apply({ ...tx });
+}
+
+// Re-run recurrence detection over the tenant's whole history and store the detected frequencies
+// Returns the statement's transactions as now stored when a statement id is given
+function refreshRecurrence(tenant, statementId) {
+    const series = recurrenceDetector.detect(store.listTransactions(tenant, { excludeDuplicates: true }));
+    const changed = store.applyFrequencies(tenant, series);
+    if (changed > 0) {
+        console.log(`🔁 Recurring payments: ${series.length} series, ${changed} frequencies updated`);
+    }
+    return statementId ? store.listTransactions(tenant, { statementId }) : [];
+}
+
+// " - 3 already imported (skipped)" style suffix for save messages
+function describeDuplicates(found, policy) {
+    if (found.length === 0) return '';
+    return ` - ${found.length} already imported (${policy === 'skip' ? 'skipped' : 'saved as duplicates'})`;
+}
+
+function sendStoreError(res, error) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Database error', message: error.message });
+}
+
+// Count the request against the daily AI quota of its tenant, now that it runs the LLM (see TenantRateLimiter)
+function useAIQuota(req) {
+    if (req.useAIQuota) req.useAIQuota();
+}
+
+function sendLLMError(res, error, details) {
+    return res.status(error.status).json({ 
+        error: `${llm.name} API error: ${error.message}`,
+        details
+    });
+}
+
+async function extractTransactionsWithAI(source, profile, mode = 'debit') {
+    console.log('🤖 Processing PDF text with AI...');
+    console.log('📄 PDF text length:', source.text.length, '| pages:', Array.isArray(source.pages) ? source.pages.length : 'n/a');
+    console.log('🏦 Bank profile:', profile.name, '| mode:', mode);
+
+    // Long statements are split by page so no single answer runs out of tokens
+    const result = await chunkedExtractor.extract(source, profile, mode);
+    const partial = result.chunks.some(chunk => chunk.status !== 'ok');
+    
+    console.log(`✅ Successfully extracted ${result.transactions.length} transactions from ${result.chunks.length} chunk(s)` +
+        (result.possibleDuplicates ? `, ${result.possibleDuplicates} repeated across chunks (kept)` : ''));
+    return { ...result, partial };
+}
+
+// " - 1 of 4 chunks failed (page 3)" style suffix for response messages, plus items rejected by validation
+// and rows repeated across chunks
+function describeChunkProblems({ chunks, possibleDuplicates }) {
+    const problems = chunks.filter(chunk => chunk.status !== 'ok');
+    const rejected = chunks.reduce((sum, chunk) => sum + (chunk.rejected || 0), 0);
+    const where = problems.map(chunk => chunk.pages.length > 0 ? `page ${chunk.pages.join(', ')}` : `part ${chunk.index + 1}`);
+    return (problems.length > 0 ? ` - ${problems.length} of ${chunks.length} chunks failed or were truncated (${where.join('; ')})` : '') +
+        (rejected > 0 ? ` - ${rejected} transaction(s) rejected after failing validation` : '') +
+        (possibleDuplicates > 0 ? ` - ${possibleDuplicates} transaction(s) repeated on another page, kept (possibleDuplicate) - check they are not printed twice` : '');
+}
+
+async function categorizeTransactionsWithAI(transactions, tenant, onLLMCall = () => {}) {
+    console.log('🤖 Categorizing', transactions.length, 'transactions...');
+
+    // Rules engine first: the tenant's learned overrides and exact matches (high confidence) never reach the AI.
+    // Income (credit) rows keep the rules result - the AI prompt only knows expense categories.
+    const overrides = CategorizationRulesEngine.overrideMap(store.listOverrides(tenant));
+    const ruleResults = transactions.map(tx => rulesEngine.categorize(tx.description, overrides));
+    const pending = transactions
+        .map((tx, index) => ({ tx, index }))
+        .filter(({ tx, index }) => tx.type !== 'credit' && ruleResults[index].confidence !== 'high');
+
+    let aiResults = new Map();
+    if (pending.length > 0) {
+        const sources = pending.map(({ tx }) => tx);
+        onLLMCall();
+        const content = await llm.complete(prompts.categorization(sources));
+        // Unknown categories and malformed items are repaired or re-asked; what stays invalid falls back to the rules
+        const { items: categorized } = await responseValidator.validate('categorization', prompts.parseCategorization(content), { sources });
+        aiResults = new Map(pending.map(({ index }, i) => [
+            index,
+            categorized.find(c => c.index === i + 1)
+        ]));
+    }
+
+    console.log(`📚 ${transactions.length - pending.length} transactions categorized by rules, ${pending.length} sent to AI`);
+
+    // Apply categorization to transactions
+    return transactions.map((tx, index) => {
+        const ruleResult = ruleResults[index];
+        if (!aiResults.has(index)) {
+            return {
+                ...tx,
+                category: ruleResult.category,
+                confidence: ruleResult.confidence,
+                categorySource: ruleResult.matchedRule && ruleResult.matchedRule.type === 'override' ? 'user' : 'rules',
+                matchedRule: ruleResult.matchedRule
+            };
+        }
+
+        const categorization = aiResults.get(index);
+        return {
+            ...tx,
+            category: categorization?.category || ruleResult.category,
+            confidence: categorization?.confidence || 'low',
+            categorySource: categorization ? 'ai' : 'rules',
+            matchedRule: categorization ? null : ruleResult.matchedRule,
+            ...(categorization ? {
+                validation: {
+                    ...tx.validation,
+                    category: categorization.validation.category,
+                    confidence: categorization.validation.confidence
+                }
+            } : {})
+        };
+    });
 }
 
 // Start server
 app.listen(PORT, () => {
         console.log(`🚀 PDF Expense Tracker API running on port ${PORT}`);
         console.log(`📄 Frontend available at https://pdf-expense-tracker.vercel.app`);
-        console.log(`🔑 OpenAI API Key: ${process.env.OPENAI_API_KEY ? '✅ Configured' : '❌ Missing'}`);
+        console.log(`🧠 LLM: ${llm.name} (${llm.model}) ${llm.isConfigured() ? '✅ Configured' : '❌ Missing API key'}`);
+        console.log(apiAuth.required
+            ? `🔒 Auth: ${apiAuth.apiKeys.size} API key(s), GoGain tokens ${apiAuth.acceptsTokens() ? 'verified' : 'not accepted'}`
+            : '⚠️ Auth: API open without credentials (set API_KEYS / GOGAIN_JWT_SECRET, or AUTH_REQUIRED=true)');
         console.log(`🌐 API URL: https://pdf-expense-tracker-api.onrender.com`);
     });
 
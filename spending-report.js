@@ -0,0 +1,240 @@
+/**
+ * Spending Report
+ * Summarizes transactions for the reports dashboard: totals grouped by category, month, client or center,
+ * the month-over-month trend, the top merchants and the payroll vs overhead split of the costs
+ * (payroll categories from reportingRules in categorization-rules.json).
+ * Amounts are added up in integer cents and returned in euros; duplicates (duplicateOf) are left out.
+ */
+
+const isReportNodeModule = typeof module !== 'undefined' && module.exports;
+const ReportReconciler = isReportNodeModule ? require('./statement-reconciliation') : window.StatementReconciler;
+
+// Ways to group the totals, with the key of transactions that have no value for it
+const REPORT_GROUPINGS = {
+    category: { label: 'Category', empty: 'AUTRES' },
+    month: { label: 'Month', empty: 'No date' },
+    client: { label: 'Client', empty: 'Unknown' },
+    center: { label: 'Center', empty: 'No center' }
+};
+
+// Merchants listed when reportingRules does not say
+const DEFAULT_TOP_MERCHANTS = 10;
+
+class SpendingReport {
+    /**
+     * @param {Object} options - Report dependencies
+     * @param {CategorizationRulesEngine} options.rulesEngine - Payroll categories (reportingRules) and merchant keys
+     */
+    constructor(options = {}) {
+        if (!options.rulesEngine) {
+            throw new Error('SpendingReport requires rulesEngine');
+        }
+        const rules = options.rulesEngine.rules.reportingRules || {};
+        this.rulesEngine = options.rulesEngine;
+        this.payrollCategories = rules.payrollCategories || [];
+        this.topMerchantCount = rules.topMerchants || DEFAULT_TOP_MERCHANTS;
+    }
+
+    /**
+     * Accepted groupBy values
+     * @returns {Object} REPORT_GROUPINGS
+     */
+    static get groupings() {
+        return REPORT_GROUPINGS;
+    }
+
+    /**
+     * Amount in cents of a transaction field ("1 250,00", "49.90€", 49.9)
+     * @param {*} amount - Amount
+     * @returns {number|null} Absolute cents, null when empty or unreadable
+     */
+    static cents(amount) {
+        if (amount === undefined || amount === null || amount === '') return null;
+        const cents = ReportReconciler.toCents(amount);
+        return isNaN(cents) ? null : Math.abs(cents);
+    }
+
+    /**
+     * Month of a DD/MM/YYYY date
+     * @param {string} date - Date text
+     * @returns {string|null} "YYYY-MM", null when the text is not a date
+     */
+    static month(date) {
+        const match = String(date || '').match(/^\d{2}\/(\d{2})\/(\d{4})$/);
+        return match ? `${match[2]}-${match[1]}` : null;
+    }
+
+    /**
+     * Percentage of a part, to one decimal
+     * @param {number} part - Cents
+     * @param {number} whole - Cents
+     * @returns {number} Percentage (0 when the whole is 0)
+     */
+    static share(part, whole) {
+        return whole ? Math.round(part * 1000 / whole) / 10 : 0;
+    }
+
+    /**
+     * Totals in euros
+     * @param {Object} totals - { costs, income, count } in cents
+     * @returns {Object} { costs, income, net, count }
+     */
+    static inEuros(totals) {
+        return {
+            costs: totals.costs / 100,
+            income: totals.income / 100,
+            net: (totals.income - totals.costs) / 100,
+            count: totals.count
+        };
+    }
+
+    /**
+     * Add one transaction to the totals of its group
+     * @param {Map} groups - key → { costs, income, count } in cents
+     * @param {string} key - Group key
+     * @param {Object} entry - { cents, isIncome }
+     * @returns {Object} The group's totals
+     */
+    static add(groups, key, entry) {
+        if (!groups.has(key)) groups.set(key, { costs: 0, income: 0, count: 0 });
+        const totals = groups.get(key);
+        totals[entry.isIncome ? 'income' : 'costs'] += entry.cents;
+        totals.count += 1;
+        return totals;
+    }
+
+    /**
+     * Group key of a transaction
+     * @param {Object} entry - { tx, month }
+     * @param {string} groupBy - REPORT_GROUPINGS key
+     * @returns {string} Key
+     */
+    groupKey(entry, groupBy) {
+        const { tx } = entry;
+        const key = {
+            category: tx.category || tx.service,
+            month: entry.month,
+            client: tx.client || this.rulesEngine.cleanClientName(tx.description || tx.nature),
+            center: tx.center
+        }[groupBy];
+        return key || REPORT_GROUPINGS[groupBy].empty;
+    }
+
+    /**
+     * Summary of the transactions
+     * @param {Array} transactions - Saved transactions (or tracker rows)
+     * @param {Object} options - { groupBy (default 'category'), from, to (echoed in the period) }
+     * @returns {Object} { groupBy, period, totals, groups, trend, topMerchants, payroll } with amounts in euros
+     */
+    summarize(transactions, options = {}) {
+        const groupBy = options.groupBy || 'category';
+        if (!REPORT_GROUPINGS[groupBy]) {
+            const error = new Error(`Unknown groupBy "${groupBy}" (expected ${Object.keys(REPORT_GROUPINGS).join(', ')})`);
+            error.status = 400;
+            throw error;
+        }
+
+        const entries = transactions
+            .filter(tx => !tx.duplicateOf)
+            .map(tx => ({
+                tx,
+                cents: SpendingReport.cents(tx.amount || tx.amountWithTaxes || tx.debit || tx.credit),
+                isIncome: tx.type === 'credit' || tx.typeOfTransaction === 'income',
+                month: SpendingReport.month(tx.date)
+            }))
+            .filter(entry => entry.cents !== null);
+
+        const overall = { costs: 0, income: 0, count: 0 };
+        const groups = new Map();
+        const months = new Map();
+        const merchants = new Map();
+        const payroll = { costs: 0, income: 0, count: 0 };
+        const payrollCategories = new Set(this.payrollCategories);
+
+        entries.forEach(entry => {
+            overall[entry.isIncome ? 'income' : 'costs'] += entry.cents;
+            overall.count += 1;
+            SpendingReport.add(groups, this.groupKey(entry, groupBy), entry);
+            if (entry.month) SpendingReport.add(months, entry.month, entry);
+            if (entry.isIncome) return;
+
+            const description = entry.tx.description || entry.tx.nature || '';
+            const merchantKey = this.rulesEngine.merchantKey(description);
+            if (merchantKey) {
+                const totals = SpendingReport.add(merchants, merchantKey, entry);
+                totals.name = totals.name || entry.tx.client || merchantKey;
+            }
+            if (payrollCategories.has(entry.tx.category || entry.tx.service)) {
+                payroll.costs += entry.cents;
+                payroll.count += 1;
+            }
+        });
+
+        // Months in order; other groups by decreasing costs (then income)
+        const groupList = [...groups.entries()]
+            .sort(groupBy === 'month'
+                ? ([keyA], [keyB]) => keyA.localeCompare(keyB)
+                : ([keyA, a], [keyB, b]) => b.costs - a.costs || b.income - a.income || keyA.localeCompare(keyB))
+            .map(([key, totals]) => ({
+                key,
+                ...SpendingReport.inEuros(totals),
+                share: SpendingReport.share(totals.costs, overall.costs)
+            }));
+
+        const monthKeys = [...months.keys()].sort();
+        const trend = monthKeys.map((month, index) => {
+            const previous = index > 0 ? months.get(monthKeys[index - 1]).costs : null;
+            const costs = months.get(month).costs;
+            return {
+                month,
+                ...SpendingReport.inEuros(months.get(month)),
+                // Change of the costs against the month before, in %
+                change: previous ? Math.round((costs - previous) * 1000 / previous) / 10 : null
+            };
+        });
+
+        const topMerchants = [...merchants.entries()]
+            .sort(([keyA, a], [keyB, b]) => b.costs - a.costs || keyA.localeCompare(keyB))
+            .slice(0, this.topMerchantCount)
+            .map(([key, totals]) => ({
+                key,
+                merchant: totals.name,
+                costs: totals.costs / 100,
+                count: totals.count,
+                share: SpendingReport.share(totals.costs, overall.costs)
+            }));
+
+        const dates = entries.map(entry => entry.tx.date).filter(date => SpendingReport.month(date));
+        const sortable = date => date.split('/').reverse().join('');
+        dates.sort((a, b) => sortable(a).localeCompare(sortable(b)));
+
+        return {
+            groupBy,
+            period: {
+                from: options.from || null,
+                to: options.to || null,
+                firstDate: dates[0] || null,
+                lastDate: dates[dates.length - 1] || null
+            },
+            totals: SpendingReport.inEuros(overall),
+            groups: groupList,
+            trend,
+            topMerchants,
+            payroll: {
+                categories: this.payrollCategories,
+                payroll: payroll.costs / 100,
+                overhead: (overall.costs - payroll.costs) / 100,
+                payrollShare: SpendingReport.share(payroll.costs, overall.costs),
+                // The complement of the payroll share, so the two always add up to 100
+                overheadShare: overall.costs ? (1000 - Math.round(payroll.costs * 1000 / overall.costs)) / 10 : 0
+            }
+        };
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpendingReport;
+} else {
+    window.SpendingReport = SpendingReport;
+}
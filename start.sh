@@ -30,8 +30,8 @@ if [ ! -d "node_modules" ]; then
     npm install
 fi
 
-# Check if API key is set
-if grep -q "your_openai_api_key_here" .env; then
+# Check if API key is set (not needed for a local OpenAI-compatible server or the mock provider)
+if ! grep -qE "^LLM_PROVIDER=(openai-compatible|mock)" .env && grep -q "your_openai_api_key_here" .env; then
     echo "⚠️  Please edit .env file and add your real OpenAI API key!"
     echo "   Get your API key from: https://platform.openai.com/api-keys"
     exit 1
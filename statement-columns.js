@@ -0,0 +1,278 @@
+/**
+ * Statement Column Layout
+ * Finds the Date / Valeur / Nature / Débit / Crédit columns of a bank statement table from the
+ * header row positions (PdfLayoutReader output) and assigns every text item to a column by its x position.
+ * Débit vs crédit is decided by where the amount sits on the page, not by keywords.
+ */
+
+// Header labels → column role (checked in order, accents and case ignored)
+const COLUMN_ROLE_PATTERNS = [
+    { role: 'valeur', pattern: /VALEUR/ },
+    { role: 'debit', pattern: /^DEBIT/ },
+    { role: 'credit', pattern: /^CREDIT/ },
+    { role: 'date', pattern: /^DATE/ },
+    { role: 'nature', pattern: /NATURE|LIBELLE|OPERATIONS?\b|DETAIL/ }
+];
+
+const AMOUNT_ITEM = /^\d{1,3}(?:[\s.]?\d{3})*,\d{2}$/;
+const DATE_ITEM = /^\d{2}[\/.]\d{2}(?:[\/.]\d{2,4})?$/;
+const LEADING_DATE = /^(\d{2}[\/.]\d{2}(?:[\/.]\d{4}|[\/.]\d{2}(?!\d))?)\s+/;
+
+// Lines printing balances and totals rather than movements
+const SUMMARY_LINE = /^(?:SOLDE|NOUVEAU SOLDE|ANCIEN SOLDE|TOTAUX?|TOTAL)\b/;
+
+class StatementColumnLayout {
+    /**
+     * @param {Object} options - Layout options
+     * @param {number} options.maxLineGap - Max vertical gap (in line heights) between a transaction and its continuation lines
+     */
+    constructor(options = {}) {
+        this.maxLineGap = options.maxLineGap || 2.5;
+    }
+
+    /**
+     * Uppercase and strip accents ("Débit" → "DEBIT")
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase()
+            .trim();
+    }
+
+    /**
+     * Detect the table columns from a header line
+     * @param {Object} line - Layout line { y, items, text }
+     * @returns {Array|null} Columns sorted by x: [{ role, label, x, right, start, end }] or null if the line is not a header
+     */
+    detectColumns(line) {
+        const text = StatementColumnLayout.normalize(line.text);
+        if (!/\bDEBIT\b/.test(text) || !/\bCREDIT\b/.test(text) || !/\bDATE\b/.test(text)) {
+            return null;
+        }
+
+        const columns = [];
+        const labels = line.items.map(item => StatementColumnLayout.normalize(item.str));
+        let previous = null;
+
+        labels.forEach((label, index) => {
+            const item = line.items[index];
+            // "Date" immediately followed (one space away) by "valeur" is the first half of a "Date valeur" header
+            const next = line.items[index + 1];
+            const startsValeur = label === 'DATE' && next && /^VALEUR/.test(labels[index + 1]) &&
+                next.x - (item.x + item.width) <= (item.height || 8) * 0.6;
+            const match = startsValeur
+                ? { role: 'valeur' }
+                : COLUMN_ROLE_PATTERNS.find(({ pattern }) => pattern.test(label));
+
+            if (match && !columns.some(column => column.role === match.role)) {
+                previous = { role: match.role, label: item.str, x: item.x, right: item.x + item.width };
+                columns.push(previous);
+            } else if (previous) {
+                // Multi-word label ("Nature de l'opération", "Date valeur"): widen the current column
+                previous.label += ` ${item.str}`;
+                previous.right = Math.max(previous.right, item.x + item.width);
+            }
+        });
+
+        const roles = columns.map(column => column.role);
+        if (!roles.includes('debit') || !roles.includes('credit') || !roles.includes('date')) {
+            return null;
+        }
+
+        // Column boundaries sit halfway between neighbouring header centres
+        columns.sort((a, b) => a.x - b.x);
+        const centers = columns.map(column => (column.x + column.right) / 2);
+        return columns.map((column, i) => ({
+            ...column,
+            start: i === 0 ? -Infinity : (centers[i - 1] + centers[i]) / 2,
+            end: i === columns.length - 1 ? Infinity : (centers[i] + centers[i + 1]) / 2
+        }));
+    }
+
+    /**
+     * Find the column an item belongs to
+     * @param {Object} item - Layout item { x, width }
+     * @param {Array} columns - Columns from detectColumns
+     * @returns {string|null} Column role
+     */
+    columnOf(item, columns) {
+        const center = item.x + item.width / 2;
+        const column = columns.find(c => center >= c.start && center < c.end);
+        return column ? column.role : null;
+    }
+
+    /**
+     * Split a table line into its columns
+     * @param {Object} line - Layout line
+     * @param {Array} columns - Columns from detectColumns
+     * @returns {Object} { date, valeur, nature, debit, credit, text }
+     */
+    splitLine(line, columns) {
+        const row = { date: null, valeur: null, nature: [], debit: null, credit: null, text: line.text };
+
+        line.items.forEach(item => {
+            const str = item.str.trim();
+            if (!str) return;
+            const role = this.columnOf(item, columns);
+
+            if ((role === 'debit' || role === 'credit') && AMOUNT_ITEM.test(str)) {
+                row[role] = str;
+            } else if ((role === 'date' || role === 'valeur') && DATE_ITEM.test(str) && !row[role]) {
+                row[role] = str;
+            } else {
+                row.nature.push(str);
+            }
+        });
+
+        let nature = row.nature.join(' ').replace(/\s+/g, ' ').trim();
+
+        // Items merged by the PDF generator: the dates are still at the start of the text
+        if (!row.date) {
+            const first = nature.match(LEADING_DATE);
+            if (first) {
+                row.date = first[1];
+                nature = nature.slice(first[0].length);
+            }
+        }
+        if (row.date && !row.valeur) {
+            const second = nature.match(LEADING_DATE);
+            if (second) {
+                row.valeur = second[1];
+                nature = nature.slice(second[0].length);
+            }
+        }
+
+        row.nature = nature;
+        return row;
+    }
+
+    /**
+     * Walk the statement lines that sit below a table header
+     * On pages with a header only the lines after it count; pages without one reuse the previous page's columns.
+     * @param {Object} layout - PdfLayoutReader.read() result
+     * @param {Function} visit - Called with (line, columns, page) for every table line
+     * @returns {Array|null} Last detected columns, or null when no header row was found
+     */
+    forEachTableLine(layout, visit) {
+        let columns = null;
+
+        (layout.pages || []).forEach(page => {
+            const headers = page.lines.map(line => this.detectColumns(line));
+            const hasHeader = headers.some(Boolean);
+            let inTable = !hasHeader && columns !== null;
+
+            page.lines.forEach((line, index) => {
+                if (headers[index]) {
+                    columns = headers[index];
+                    inTable = true;
+                    visit(null, columns, page);
+                    return;
+                }
+                if (inTable) visit(line, columns, page);
+            });
+        });
+
+        return columns;
+    }
+
+    /**
+     * Extract the transaction rows of a statement from its layout
+     * @param {Object} layout - PdfLayoutReader.read() result
+     * @returns {Object} { columns, rows: [{ date, valeur, nature, debit, credit, type, page }] } - columns is null when no header row was found
+     */
+    parse(layout) {
+        const rows = [];
+        let current = null;
+        let lastY = null;
+        let lastPage = null;
+
+        const columns = this.forEachTableLine(layout, (line, pageColumns, page) => {
+            // A header (line === null) or a new page closes the open transaction
+            if (!line || page.pageNumber !== lastPage) {
+                current = null;
+                lastPage = page.pageNumber;
+                if (!line) return;
+            }
+
+            const row = this.splitLine(line, pageColumns);
+            const lineHeight = Math.max(...line.items.map(item => item.height || 0), 8);
+            const isContinuation = current && Math.abs(lastY - line.y) <= lineHeight * this.maxLineGap;
+            lastY = line.y;
+
+            if (SUMMARY_LINE.test(StatementColumnLayout.normalize(row.nature || line.text))) {
+                current = null;
+            } else if (row.date) {
+                current = {
+                    date: row.date,
+                    valeur: row.valeur || row.date,
+                    nature: row.nature,
+                    debit: row.debit,
+                    credit: row.credit,
+                    page: page.pageNumber
+                };
+                rows.push(current);
+            } else if (isContinuation) {
+                // Continuation line: more description, sometimes the amount itself
+                if (row.nature) current.nature = `${current.nature} ${row.nature}`.trim();
+                if (!current.debit && !current.credit) {
+                    current.debit = row.debit;
+                    current.credit = row.credit;
+                }
+            } else {
+                current = null;
+            }
+        });
+
+        return {
+            columns,
+            rows: rows
+                .filter(row => row.debit || row.credit)
+                .map(row => ({ ...row, type: row.debit ? 'debit' : 'credit' }))
+        };
+    }
+
+    /**
+     * Render each page's text with every table amount tagged by its column, for the AI extraction prompt
+     * @param {Object} layout - PdfLayoutReader.read() result
+     * @returns {Array|null} One text per page where amounts read "[DÉBIT 12,00]" / "[CRÉDIT 12,00]", or null when no header row was found
+     */
+    annotatePages(layout) {
+        const tagged = new Map();
+
+        const columns = this.forEachTableLine(layout, (line, pageColumns) => {
+            if (!line) return;
+            const text = line.items.map(item => {
+                const role = this.columnOf(item, pageColumns);
+                if (!AMOUNT_ITEM.test(item.str.trim())) return item.str;
+                if (role === 'debit') return `[DÉBIT ${item.str.trim()}]`;
+                if (role === 'credit') return `[CRÉDIT ${item.str.trim()}]`;
+                return item.str;
+            }).join(' ').replace(/\s+/g, ' ').trim();
+            tagged.set(line, text);
+        });
+        if (!columns) return null;
+
+        return layout.pages.map(page => page.lines.map(line => tagged.get(line) || line.text).join('\n'));
+    }
+
+    /**
+     * Render the statement text with every table amount tagged by its column
+     * @param {Object} layout - PdfLayoutReader.read() result
+     * @returns {string|null} Tagged text, or null when no header row was found
+     */
+    annotate(layout) {
+        const pages = this.annotatePages(layout);
+        return pages ? pages.join('\n') : null;
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatementColumnLayout;
+} else {
+    window.StatementColumnLayout = StatementColumnLayout;
+}
@@ -0,0 +1,190 @@
+/**
+ * Statement Reconciliation
+ * Reads the printed balances and movement totals of a statement (previous balance, new balance,
+ * TOTAUX DES MOUVEMENTS) and checks the extracted transactions against them, so a dropped or
+ * invented line shows up as a difference. All arithmetic is done in integer cents.
+ */
+
+// French amount not glued to a date or another number ("1 250,00", "1.250,00", "-12,00")
+const SUMMARY_AMOUNT = /(?:\[(DÉBIT|CRÉDIT)\s+)?(-)?(?<![\d,.])(\d{1,3}(?:[\s.]\d{3})*,\d{2})(?!\d)\]?/g;
+
+class StatementReconciler {
+    /**
+     * Convert a French amount string to integer cents
+     * @param {string|number} amount - "1 250,00", "1250,00€" or a number
+     * @returns {number} Amount in cents (NaN when unreadable)
+     */
+    static toCents(amount) {
+        if (typeof amount === 'number') return Math.round(amount * 100);
+        const cleaned = String(amount || '').replace(/[€\s]/g, '');
+        const match = cleaned.match(/^(-)?(\d+(?:\.\d{3})*),(\d{2})$/) || cleaned.match(/^(-)?(\d+)(?:\.(\d{1,2}))?$/);
+        if (!match) return NaN;
+        const [, sign, units, decimals = '0'] = match;
+        const cents = parseInt(units.replace(/\./g, ''), 10) * 100 + parseInt(decimals.padEnd(2, '0'), 10);
+        return sign ? -cents : cents;
+    }
+
+    /**
+     * Format cents as a French amount
+     * @param {number} cents - Amount in cents
+     * @returns {string} "1 250,00 €"
+     */
+    static formatCents(cents) {
+        const sign = cents < 0 ? '-' : '';
+        const absolute = Math.abs(cents);
+        const units = String(Math.floor(absolute / 100)).replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+        return `${sign}${units},${String(absolute % 100).padStart(2, '0')} €`;
+    }
+
+    /**
+     * Amounts printed on a summary line, with the column tag when the text was annotated by position
+     * @param {string} line - Statement line
+     * @returns {Array} [{ cents, column: 'debit' | 'credit' | null }]
+     */
+    readAmounts(line) {
+        return [...line.matchAll(SUMMARY_AMOUNT)].map(([, tag, minus, amount]) => ({
+            cents: StatementReconciler.toCents(amount) * (minus ? -1 : 1),
+            column: tag === 'DÉBIT' ? 'debit' : tag === 'CRÉDIT' ? 'credit' : null
+        }));
+    }
+
+    /**
+     * Parse the balance and totals lines of a statement
+     * @param {string} text - Statement text (plain or annotated with [DÉBIT]/[CRÉDIT] tags)
+     * @param {Object} profile - Bank profile with summaryPatterns
+     * @returns {Object} { previousBalance, newBalance, totalDebit, totalCredit } in cents, null when not printed
+     */
+    readSummary(text, profile) {
+        const patterns = (profile && profile.summaryPatterns) || {};
+        const summary = { previousBalance: null, newBalance: null, totalDebit: null, totalCredit: null };
+        const lines = String(text || '').split('\n');
+
+        // A debit balance (overdraft) is printed in the Débit column or labelled DEBITEUR
+        const readBalance = line => {
+            const amounts = this.readAmounts(line);
+            if (amounts.length === 0) return null;
+            const { cents, column } = amounts[amounts.length - 1];
+            const isDebitBalance = column === 'debit' || /D[ÉE]BITEUR/i.test(line);
+            return isDebitBalance ? -Math.abs(cents) : cents;
+        };
+
+        if (patterns.previousBalance) {
+            const line = lines.find(l => patterns.previousBalance.test(l) && this.readAmounts(l).length > 0);
+            if (line) summary.previousBalance = readBalance(line);
+        }
+        if (patterns.newBalance) {
+            const matching = lines.filter(l => patterns.newBalance.test(l) && this.readAmounts(l).length > 0);
+            // The closing balance is the last one printed; when both balances share a label the first one is the opening balance
+            const sharesLabel = patterns.previousBalance && patterns.previousBalance.source === patterns.newBalance.source;
+            if (matching.length > (sharesLabel ? 1 : 0)) {
+                summary.newBalance = readBalance(matching[matching.length - 1]);
+            }
+        }
+        if (patterns.totals) {
+            const line = lines.find(l => patterns.totals.test(l) && this.readAmounts(l).length > 0);
+            if (line) {
+                const amounts = this.readAmounts(line);
+                const tagged = amounts.some(amount => amount.column);
+                if (tagged) {
+                    const debit = amounts.find(amount => amount.column === 'debit');
+                    const credit = amounts.find(amount => amount.column === 'credit');
+                    summary.totalDebit = debit ? debit.cents : 0;
+                    summary.totalCredit = credit ? credit.cents : 0;
+                } else if (amounts.length >= 2) {
+                    // Untagged text: Débit is printed before Crédit
+                    summary.totalDebit = amounts[amounts.length - 2].cents;
+                    summary.totalCredit = amounts[amounts.length - 1].cents;
+                }
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Sum extracted transactions per column
+     * @param {Array} transactions - { debit, credit } (regex extractor) or { amount, type } (AI extractor)
+     * @returns {Object} { debit, credit } in cents
+     */
+    sumTransactions(transactions) {
+        return (transactions || []).reduce((totals, tx) => {
+            const isCredit = tx.type ? tx.type === 'credit' : !tx.debit && !!tx.credit;
+            const cents = StatementReconciler.toCents(tx.amount || (isCredit ? tx.credit : tx.debit));
+            if (!Number.isNaN(cents)) {
+                totals[isCredit ? 'credit' : 'debit'] += Math.abs(cents);
+            }
+            return totals;
+        }, { debit: 0, credit: 0 });
+    }
+
+    /**
+     * Check the extracted transactions against the printed totals and balances
+     * @param {Array} transactions - Extracted transactions
+     * @param {Object} summary - From readSummary
+     * @param {string} mode - Extraction mode; only the columns that were extracted can be checked
+     * @returns {Object} { status: 'matched' | 'mismatch' | 'unavailable', checks: [{ name, label, expected, actual, difference, matched }], summary, message } - amounts in euros
+     */
+    reconcile(transactions, summary, mode = 'both') {
+        const sums = this.sumTransactions(transactions);
+        const checks = [];
+        const addCheck = (name, label, expected, actual) => {
+            if (expected === null || expected === undefined) return;
+            checks.push({
+                name,
+                label,
+                expected: expected / 100,
+                actual: actual / 100,
+                difference: (actual - expected) / 100,
+                matched: actual === expected
+            });
+        };
+
+        if (mode !== 'credit') {
+            addCheck('debits', 'Débit total', summary.totalDebit, sums.debit);
+        }
+        if (mode !== 'debit') {
+            addCheck('credits', 'Crédit total', summary.totalCredit, sums.credit);
+        }
+        if (mode === 'both' && summary.previousBalance !== null && summary.newBalance !== null) {
+            addCheck('balance', 'Closing balance', summary.newBalance, summary.previousBalance + sums.credit - sums.debit);
+        }
+
+        if (checks.length === 0) {
+            return {
+                status: 'unavailable',
+                checks,
+                summary: this.describeSummary(summary),
+                message: 'No balance or total lines found on the statement - reconciliation skipped'
+            };
+        }
+
+        const failed = checks.filter(check => !check.matched);
+        const message = failed.length === 0
+            ? `Reconciled: ${checks.map(check => check.label.toLowerCase()).join(', ')} match the statement`
+            : failed.map(check => `${check.label} off by ${StatementReconciler.formatCents(Math.round(check.difference * 100))} ` +
+                `(extracted ${StatementReconciler.formatCents(Math.round(check.actual * 100))}, statement ${StatementReconciler.formatCents(Math.round(check.expected * 100))})`).join('; ');
+
+        return {
+            status: failed.length === 0 ? 'matched' : 'mismatch',
+            checks,
+            summary: this.describeSummary(summary),
+            message
+        };
+    }
+
+    /**
+     * Summary in euros for API responses
+     * @param {Object} summary - From readSummary
+     * @returns {Object} Same keys, amounts in euros
+     */
+    describeSummary(summary) {
+        return Object.fromEntries(Object.entries(summary).map(([key, cents]) => [key, cents === null ? null : cents / 100]));
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatementReconciler;
+} else {
+    window.StatementReconciler = StatementReconciler;
+}
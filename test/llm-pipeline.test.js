@@ -0,0 +1,78 @@
+/**
+ * Extraction and categorization through the mock LLM provider
+ * Replays recorded answers (llm-recordings.sample.json or inline ones), so no API key or network is needed
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MockLLMProvider, createLLMProvider } = require('../llm-provider');
+const AITransactionExtractor = require('../ai-extractor');
+const ChunkedExtractor = require('../chunked-extraction');
+const LLMPromptBuilder = require('../llm-prompts');
+const AIResponseValidator = require('../ai-response-schema');
+const BankProfileRegistry = require('../bank-profiles');
+const CategorizationRulesEngine = require('../categorization-engine');
+
+const STATEMENT_TEXT = [
+    'SOCIETE GENERALE - RELEVE DES OPERATIONS du 01/01/2025 au 31/01/2025',
+    '06/01/2025 06/01/2025 PRELEVEMENT EUROPEEN 031906338 DE: GG CORPORATE 186,39',
+    '08/01/2025 08/01/2025 VIR INSTANTANE EMIS NET POUR: M. JORGE GOENAGA PEREZ 2 000,00',
+    '15/01/2025 15/01/2025 VIR RECU DE: CPAM PARIS 1 250,00',
+    '24/01/2025 24/01/2025 CARTE X2148 23/01 CARREFOUR CITY 11,24'
+].join('\n');
+
+const extractionAnswer = transactions => JSON.stringify({ transactions });
+
+test('the sample recordings extract and categorize a statement', async () => {
+    const extractor = new AITransactionExtractor({ provider: createLLMProvider({ LLM_PROVIDER: 'mock' }) });
+
+    const transactions = await extractor.extractTransactions(STATEMENT_TEXT, { mode: 'both' });
+    assert.deepStrictEqual(transactions.map(tx => [tx.date, tx.type, tx.debit || tx.credit]), [
+        ['06/01/2025', 'debit', '186,39'],
+        ['08/01/2025', 'debit', '2 000,00'],
+        ['15/01/2025', 'credit', '1 250,00'],
+        ['24/01/2025', 'debit', '11,24']
+    ]);
+    assert.strictEqual(transactions[0].source, 'AI');
+
+    const categorized = await extractor.categorizeTransactions(transactions.slice(0, 2));
+    assert.deepStrictEqual(categorized.map(tx => [tx.category, tx.confidence]), [
+        ['MATERIEL CABINET', 'medium'],
+        ['AUTRES', 'low']
+    ]);
+});
+
+test('chunked extraction merges the pages in order and flags a repeat across a page break', async () => {
+    const bankProfiles = new BankProfileRegistry();
+    const rulesEngine = new CategorizationRulesEngine(require('../categorization-rules.json'));
+    const prompts = new LLMPromptBuilder({ bankProfiles, rulesEngine });
+    const subscription = { date: '06/01/2025', valeur: '06/01/2025', description: 'PRELEVEMENT ABONNEMENT', amount: '29,90', type: 'debit' };
+    const llm = new MockLLMProvider({
+        recordings: [
+            { task: 'extraction', response: extractionAnswer([subscription]) },
+            { task: 'extraction', response: extractionAnswer([subscription, { ...subscription, description: 'CARTE X2148 CARREFOUR CITY', amount: '11,24' }]) }
+        ]
+    });
+    const extractor = new ChunkedExtractor({ llm, prompts, concurrency: 1, validator: new AIResponseValidator({ prompts, llm }) });
+
+    const profile = bankProfiles.get('societe-generale');
+    const result = await extractor.extract({ text: STATEMENT_TEXT, pages: ['page one', 'page two'] }, profile, 'debit');
+
+    assert.deepStrictEqual(result.chunks.map(chunk => [chunk.pages, chunk.status, chunk.transactionCount]), [
+        [[1], 'ok', 1],
+        [[2], 'ok', 2]
+    ]);
+    assert.strictEqual(result.transactions.length, 3);
+    assert.strictEqual(result.possibleDuplicates, 1);
+    assert.deepStrictEqual(result.transactions.map(tx => Boolean(tx.possibleDuplicate)), [false, true, false]);
+});
+
+test('a request without a recording fails with 502', async () => {
+    const llm = new MockLLMProvider({ recordings: [], source: 'empty' });
+
+    await assert.rejects(
+        llm.complete({ task: 'categorization', system: '', prompt: '' }),
+        error => error.status === 502 && /No recorded response for task "categorization"/.test(error.message)
+    );
+});
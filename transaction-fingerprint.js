@@ -0,0 +1,78 @@
+/**
+ * Transaction Fingerprint
+ * Identity of a bank line across statements: date, value date, amount, normalized description and account.
+ * The same line found in an overlapping or re-uploaded statement gets the same fingerprint, so it can be
+ * flagged or skipped instead of being imported (and sent to GoGain) twice.
+ */
+
+const isFingerprintNodeModule = typeof module !== 'undefined' && module.exports;
+const FingerprintReconciler = isFingerprintNodeModule ? require('./statement-reconciliation') : window.StatementReconciler;
+
+class TransactionFingerprint {
+    /**
+     * Description reduced to what every export of the same line shares (case, accents, punctuation and spacing dropped)
+     * @param {string} description - Transaction description
+     * @returns {string} Normalized description
+     */
+    static normalizeDescription(description) {
+        return String(description || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Fields the fingerprint is built from
+     * @param {Object} tx - Transaction (backend, extractor or tracker field names)
+     * @param {string|null} account - Statement account (IBAN or account number)
+     * @returns {Array} [date, valeur, cents, description, account]
+     */
+    static components(tx, account = null) {
+        const amount = tx.amount || tx.amountWithTaxes || tx.debit || tx.credit || '';
+        const cents = Math.abs(FingerprintReconciler.toCents(amount));
+        return [
+            tx.date || '',
+            tx.valeur || tx.date || '',
+            isNaN(cents) ? String(amount) : String(cents),
+            TransactionFingerprint.normalizeDescription(tx.description || tx.nature),
+            account || ''
+        ];
+    }
+
+    /**
+     * 53-bit string hash (cyrb53) - short, stable in Node and the browser, collisions negligible at statement scale
+     * @param {string} text - Text to hash
+     * @returns {string} 14-character hex hash
+     */
+    static hash(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+    }
+
+    /**
+     * Fingerprint of a transaction
+     * @param {Object} tx - Transaction
+     * @param {string|null} account - Statement account
+     * @returns {string} Fingerprint
+     */
+    static compute(tx, account = null) {
+        return TransactionFingerprint.hash(TransactionFingerprint.components(tx, account).join('|'));
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransactionFingerprint;
+} else {
+    window.TransactionFingerprint = TransactionFingerprint;
+}
@@ -0,0 +1,1012 @@
+/**
+ * Transaction Store
+ * SQLite database behind server.js: statements, their transactions, the category list, the
+ * edit history of every transaction, the categories learned from corrections, the budgets, the
+ * GoGain service of each category per GoGain tenant and the daily API usage of each tenant, so a month can be worked on across sessions and past months queried.
+ * Statements (with their transactions), learned categories and budgets belong to the tenant that saved them
+ * (api-auth.js); every method reading or changing them takes the tenant first and never sees another tenant's rows.
+ * Dates are kept as printed (DD/MM/YYYY) plus an ISO copy for range queries; amounts as printed plus integer cents.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const StatementReconciler = require('./statement-reconciliation');
+const TransactionFingerprint = require('./transaction-fingerprint');
+const VatCalculator = require('./vat-calculator');
+const BudgetTracker = require('./budget-tracker');
+
+// Schema versions, applied in order and recorded in PRAGMA user_version
+const MIGRATIONS = [
+    `
+    CREATE TABLE statements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_name TEXT,
+        bank_profile TEXT,
+        mode TEXT NOT NULL DEFAULT 'debit',
+        reconciliation_status TEXT,
+        reconciliation TEXT,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE categories (
+        name TEXT PRIMARY KEY,
+        source TEXT NOT NULL DEFAULT 'rules'
+    );
+
+    CREATE TABLE transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        statement_id INTEGER NOT NULL REFERENCES statements(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        date TEXT NOT NULL,
+        date_iso TEXT,
+        valeur TEXT,
+        description TEXT NOT NULL,
+        amount TEXT NOT NULL,
+        amount_cents INTEGER,
+        type TEXT NOT NULL DEFAULT 'debit',
+        client TEXT,
+        category TEXT,
+        confidence TEXT,
+        category_source TEXT,
+        validation TEXT,
+        center TEXT,
+        worker TEXT,
+        amount_without_taxes TEXT,
+        taxes TEXT,
+        movement_type TEXT,
+        frequency TEXT,
+        client_type TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX transactions_statement ON transactions(statement_id);
+    CREATE INDEX transactions_date ON transactions(date_iso);
+    CREATE INDEX transactions_category ON transactions(category);
+
+    CREATE TABLE transaction_edits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        field TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        edited_at TEXT NOT NULL
+    );
+    CREATE INDEX transaction_edits_transaction ON transaction_edits(transaction_id);
+    `,
+    // Cross-statement duplicate detection (transaction-fingerprint.js)
+    `
+    ALTER TABLE statements ADD COLUMN account TEXT;
+    ALTER TABLE transactions ADD COLUMN fingerprint TEXT;
+    ALTER TABLE transactions ADD COLUMN duplicate_of INTEGER REFERENCES transactions(id) ON DELETE SET NULL;
+    CREATE INDEX transactions_fingerprint ON transactions(fingerprint);
+    `,
+    // Where the frequency column comes from: 'history' (recurrence-detector.js) or 'user'; null for keyword guesses
+    `
+    ALTER TABLE transactions ADD COLUMN frequency_source TEXT;
+    `,
+    // VAT rate of the HT/VAT split and where it comes from: 'rules' (vat-calculator.js) or 'user'
+    `
+    ALTER TABLE transactions ADD COLUMN vat_rate REAL;
+    ALTER TABLE transactions ADD COLUMN vat_source TEXT;
+    UPDATE transactions SET vat_source = 'user' WHERE amount_without_taxes IS NOT NULL OR taxes IS NOT NULL;
+    `,
+    // Categories learned from user corrections, by merchant key (CategorizationRulesEngine.merchantKey)
+    `
+    CREATE TABLE category_overrides (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        merchant_key TEXT NOT NULL UNIQUE,
+        category TEXT NOT NULL REFERENCES categories(name),
+        example TEXT,
+        transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    `,
+    // Budgets per category, center ('' for every center) and period (budget-tracker.js)
+    `
+    CREATE TABLE budgets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        category TEXT NOT NULL REFERENCES categories(name),
+        center TEXT NOT NULL DEFAULT '',
+        period TEXT NOT NULL DEFAULT 'monthly',
+        amount_cents INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (category, center, period)
+    );
+    `,
+    // GoGain services fetched per tenant and the category → service mapping of each tenant (gogain-service-mapping.js)
+    `
+    CREATE TABLE gogain_services (
+        tenant TEXT NOT NULL,
+        service_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        refreshed_at TEXT NOT NULL,
+        PRIMARY KEY (tenant, service_id)
+    );
+
+    CREATE TABLE gogain_service_mappings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tenant TEXT NOT NULL,
+        category TEXT NOT NULL REFERENCES categories(name),
+        service_id TEXT NOT NULL,
+        service_name TEXT,
+        source TEXT NOT NULL DEFAULT 'manual',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (tenant, category)
+    );
+    `,
+    // Calls per tenant, day and kind ('ai'), for the daily AI quota (api-auth.js)
+    `
+    CREATE TABLE api_usage (
+        tenant TEXT NOT NULL,
+        day TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (tenant, day, kind)
+    );
+    `,
+    // Tenant of the saved data ('' for rows saved before authentication, or on an open server); the learned categories
+    // and budgets are rebuilt to be unique per tenant instead of across all tenants
+    `
+    ALTER TABLE statements ADD COLUMN tenant TEXT NOT NULL DEFAULT '';
+    CREATE INDEX statements_tenant ON statements(tenant);
+
+    CREATE TABLE tenant_category_overrides (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tenant TEXT NOT NULL DEFAULT '',
+        merchant_key TEXT NOT NULL,
+        category TEXT NOT NULL REFERENCES categories(name),
+        example TEXT,
+        transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (tenant, merchant_key)
+    );
+    INSERT INTO tenant_category_overrides (id, merchant_key, category, example, transaction_id, created_at, updated_at)
+        SELECT id, merchant_key, category, example, transaction_id, created_at, updated_at FROM category_overrides;
+    DROP TABLE category_overrides;
+    ALTER TABLE tenant_category_overrides RENAME TO category_overrides;
+
+    CREATE TABLE tenant_budgets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tenant TEXT NOT NULL DEFAULT '',
+        category TEXT NOT NULL REFERENCES categories(name),
+        center TEXT NOT NULL DEFAULT '',
+        period TEXT NOT NULL DEFAULT 'monthly',
+        amount_cents INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (tenant, category, center, period)
+    );
+    INSERT INTO tenant_budgets (id, category, center, period, amount_cents, created_at, updated_at)
+        SELECT id, category, center, period, amount_cents, created_at, updated_at FROM budgets;
+    DROP TABLE budgets;
+    ALTER TABLE tenant_budgets RENAME TO budgets;
+    `
+];
+
+// API field → column, for the fields a client may change with PATCH
+const EDITABLE_FIELDS = {
+    date: 'date',
+    valeur: 'valeur',
+    description: 'description',
+    amount: 'amount',
+    type: 'type',
+    client: 'client',
+    category: 'category',
+    confidence: 'confidence',
+    center: 'center',
+    worker: 'worker',
+    amountWithoutTaxes: 'amount_without_taxes',
+    taxes: 'taxes',
+    typeOfMovement: 'movement_type',
+    frequency: 'frequency',
+    typeOfClient: 'client_type'
+};
+
+class TransactionStore {
+    /**
+     * @param {string} file - SQLite file (created with its directory if missing), or ':memory:'
+     */
+    constructor(file = ':memory:') {
+        if (file !== ':memory:') {
+            fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        }
+        this.file = file;
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.migrate();
+    }
+
+    /**
+     * Apply the migrations the database has not seen yet
+     */
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+        MIGRATIONS.slice(version).forEach((sql, i) => {
+            this.db.transaction(() => {
+                this.db.exec(sql);
+                this.db.pragma(`user_version = ${version + i + 1}`);
+            })();
+            console.log(`🗄️ Database migrated to version ${version + i + 1}`);
+        });
+    }
+
+    /**
+     * Error carrying an HTTP status for the API
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message
+     * @returns {Error} Error with .status
+     */
+    static error(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    /**
+     * DD/MM/YYYY (or YYYY-MM-DD) → YYYY-MM-DD
+     * @param {string} date - Date text
+     * @returns {string|null} ISO date, null when the text is not a date
+     */
+    static toISODate(date) {
+        const text = String(date || '').trim();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+        const match = text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+        return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+    }
+
+    /**
+     * Reject a missing GoGain tenant
+     * @param {string} tenant - GoGain tenant
+     */
+    static requireTenant(tenant) {
+        if (!tenant) throw TransactionStore.error(400, 'A GoGain tenant is required');
+    }
+
+    /**
+     * Keep the configured categories in the categories table
+     * @param {Array} names - Category names
+     * @param {string} source - Where they come from
+     */
+    syncCategories(names, source = 'rules') {
+        const insert = this.db.prepare('INSERT OR IGNORE INTO categories (name, source) VALUES (?, ?)');
+        this.db.transaction(() => names.forEach(name => insert.run(name, source)))();
+    }
+
+    /**
+     * All known categories
+     * @returns {Array} [{ name, source }]
+     */
+    listCategories() {
+        return this.db.prepare('SELECT name, source FROM categories ORDER BY name').all();
+    }
+
+    /**
+     * Learned merchant → category overrides of a tenant, by merchant
+     * @param {string} tenant - Tenant
+     * @returns {Array} [{ id, merchantKey, category, example, transactionId, createdAt, updatedAt }]
+     */
+    listOverrides(tenant) {
+        return this.db.prepare('SELECT * FROM category_overrides WHERE tenant = ? ORDER BY merchant_key').all(tenant).map(row => ({
+            id: row.id,
+            merchantKey: row.merchant_key,
+            category: row.category,
+            example: row.example,
+            transactionId: row.transaction_id,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        }));
+    }
+
+    /**
+     * Remember the category a user gave a merchant (replaces the tenant's earlier correction for the same merchant)
+     * @param {string} tenant - Tenant
+     * @param {string} merchantKey - Merchant key of the corrected transaction
+     * @param {string} category - Category chosen by the user
+     * @param {Object} transaction - Corrected transaction ({ id, description }), kept as the example
+     * @returns {Object} The override
+     */
+    learnOverride(tenant, merchantKey, category, transaction = {}) {
+        if (!merchantKey) {
+            throw TransactionStore.error(400, 'A merchant key is required');
+        }
+        if (!this.db.prepare('SELECT 1 FROM categories WHERE name = ?').get(category)) {
+            throw TransactionStore.error(400, `Unknown category "${category}"`);
+        }
+
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO category_overrides (tenant, merchant_key, category, example, transaction_id, created_at, updated_at)
+            VALUES (@tenant, @merchantKey, @category, @example, @transactionId, @now, @now)
+            ON CONFLICT (tenant, merchant_key) DO UPDATE SET
+                category = excluded.category, example = excluded.example,
+                transaction_id = excluded.transaction_id, updated_at = excluded.updated_at`).run({
+            tenant,
+            merchantKey,
+            category,
+            example: transaction.description || null,
+            transactionId: transaction.id || null,
+            now
+        });
+        return this.listOverrides(tenant).find(override => override.merchantKey === merchantKey);
+    }
+
+    /**
+     * Forget a learned override of a tenant
+     * @param {string} tenant - Tenant
+     * @param {number} id - Override id
+     * @returns {Object} Deleted override
+     */
+    deleteOverride(tenant, id) {
+        const override = this.listOverrides(tenant).find(entry => entry.id === id);
+        if (!override) throw TransactionStore.error(404, `Override ${id} not found`);
+        this.db.prepare('DELETE FROM category_overrides WHERE id = ?').run(id);
+        return override;
+    }
+
+    /**
+     * Budgets of a tenant, by category, center and period
+     * @param {string} tenant - Tenant
+     * @returns {Array} [{ id, category, center (null for every center), period, amount (euros), createdAt, updatedAt }]
+     */
+    listBudgets(tenant) {
+        return this.db.prepare('SELECT * FROM budgets WHERE tenant = ? ORDER BY category, center, period').all(tenant).map(row => ({
+            id: row.id,
+            category: row.category,
+            center: row.center || null,
+            period: row.period,
+            amount: row.amount_cents / 100,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        }));
+    }
+
+    /**
+     * Set the budget of a category, center and period for a tenant (replaces the amount of an existing one)
+     * @param {string} tenant - Tenant
+     * @param {Object} budget - { category, center (optional), period (default 'monthly'), amount ("1 200,00" or 1200) }
+     * @returns {Object} The budget
+     */
+    saveBudget(tenant, budget = {}) {
+        const period = budget.period || 'monthly';
+        const cents = StatementReconciler.toCents(budget.amount);
+        if (!this.db.prepare('SELECT 1 FROM categories WHERE name = ?').get(budget.category)) {
+            throw TransactionStore.error(400, `Unknown category "${budget.category}"`);
+        }
+        if (!BudgetTracker.periods[period]) {
+            throw TransactionStore.error(400, `Invalid period "${period}" (expected ${Object.keys(BudgetTracker.periods).join(', ')})`);
+        }
+        if (!(cents > 0)) {
+            throw TransactionStore.error(400, `Invalid budget amount "${budget.amount}" (expected a positive amount)`);
+        }
+
+        const center = String(budget.center || '').trim();
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO budgets (tenant, category, center, period, amount_cents, created_at, updated_at)
+            VALUES (@tenant, @category, @center, @period, @cents, @now, @now)
+            ON CONFLICT (tenant, category, center, period) DO UPDATE SET
+                amount_cents = excluded.amount_cents, updated_at = excluded.updated_at`).run({
+            tenant,
+            category: budget.category,
+            center,
+            period,
+            cents,
+            now
+        });
+        return this.listBudgets(tenant).find(entry => entry.category === budget.category &&
+            (entry.center || '') === center && entry.period === period);
+    }
+
+    /**
+     * Delete a budget of a tenant
+     * @param {string} tenant - Tenant
+     * @param {number} id - Budget id
+     * @returns {Object} Deleted budget
+     */
+    deleteBudget(tenant, id) {
+        const budget = this.listBudgets(tenant).find(entry => entry.id === id);
+        if (!budget) throw TransactionStore.error(404, `Budget ${id} not found`);
+        this.db.prepare('DELETE FROM budgets WHERE id = ?').run(id);
+        return budget;
+    }
+
+    /**
+     * GoGain services of a tenant, as last fetched from GoGain
+     * @param {string} tenant - GoGain tenant
+     * @returns {Array} [{ id, name, refreshedAt }]
+     */
+    listGoGainServices(tenant) {
+        return this.db.prepare('SELECT * FROM gogain_services WHERE tenant = ? ORDER BY name').all(tenant).map(row => ({
+            id: row.service_id,
+            name: row.name,
+            refreshedAt: row.refreshed_at
+        }));
+    }
+
+    /**
+     * Replace the GoGain services of a tenant with a freshly fetched list
+     * @param {string} tenant - GoGain tenant
+     * @param {Array} services - [{ id, name }]
+     * @returns {Array} The services
+     */
+    replaceGoGainServices(tenant, services) {
+        TransactionStore.requireTenant(tenant);
+        const now = new Date().toISOString();
+        const insert = this.db.prepare('INSERT OR REPLACE INTO gogain_services (tenant, service_id, name, refreshed_at) VALUES (?, ?, ?, ?)');
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM gogain_services WHERE tenant = ?').run(tenant);
+            services.forEach(service => insert.run(tenant, service.id, service.name, now));
+            // Keep the names shown with the mappings in step with GoGain
+            this.db.prepare(`
+                UPDATE gogain_service_mappings SET service_name = (
+                    SELECT name FROM gogain_services s WHERE s.tenant = gogain_service_mappings.tenant AND s.service_id = gogain_service_mappings.service_id
+                ) WHERE tenant = ? AND service_id IN (SELECT service_id FROM gogain_services WHERE tenant = ?)`).run(tenant, tenant);
+        })();
+        return this.listGoGainServices(tenant);
+    }
+
+    /**
+     * Category → GoGain service mappings of a tenant
+     * @param {string} tenant - GoGain tenant
+     * @returns {Array} [{ id, tenant, category, serviceId, serviceName, source ('manual' or 'auto'), createdAt, updatedAt }]
+     */
+    listGoGainMappings(tenant) {
+        return this.db.prepare('SELECT * FROM gogain_service_mappings WHERE tenant = ? ORDER BY category').all(tenant).map(row => ({
+            id: row.id,
+            tenant: row.tenant,
+            category: row.category,
+            serviceId: row.service_id,
+            serviceName: row.service_name,
+            source: row.source,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        }));
+    }
+
+    /**
+     * Set the GoGain service of a category for a tenant (replaces its earlier mapping)
+     * @param {string} tenant - GoGain tenant
+     * @param {Object} mapping - { category, serviceId, source (default 'manual') }
+     * @returns {Object} The mapping
+     */
+    saveGoGainMapping(tenant, mapping = {}) {
+        TransactionStore.requireTenant(tenant);
+        if (!this.db.prepare('SELECT 1 FROM categories WHERE name = ?').get(mapping.category)) {
+            throw TransactionStore.error(400, `Unknown category "${mapping.category}"`);
+        }
+        const serviceId = String(mapping.serviceId || '').trim();
+        if (!serviceId) {
+            throw TransactionStore.error(400, 'A GoGain service id is required');
+        }
+        // Once the services are known, only those can be chosen
+        const services = this.listGoGainServices(tenant);
+        const service = services.find(entry => entry.id === serviceId);
+        if (services.length > 0 && !service) {
+            throw TransactionStore.error(400, `Unknown GoGain service "${serviceId}" - refresh the services from GoGain`);
+        }
+
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO gogain_service_mappings (tenant, category, service_id, service_name, source, created_at, updated_at)
+            VALUES (@tenant, @category, @serviceId, @serviceName, @source, @now, @now)
+            ON CONFLICT (tenant, category) DO UPDATE SET
+                service_id = excluded.service_id, service_name = excluded.service_name,
+                source = excluded.source, updated_at = excluded.updated_at`).run({
+            tenant,
+            category: mapping.category,
+            serviceId,
+            serviceName: service ? service.name : null,
+            source: mapping.source || 'manual',
+            now
+        });
+        return this.listGoGainMappings(tenant).find(entry => entry.category === mapping.category);
+    }
+
+    /**
+     * Delete a mapping of a tenant
+     * @param {string} tenant - GoGain tenant
+     * @param {number} id - Mapping id
+     * @returns {Object} Deleted mapping
+     */
+    deleteGoGainMapping(tenant, id) {
+        const mapping = this.listGoGainMappings(tenant).find(entry => entry.id === id);
+        if (!mapping) throw TransactionStore.error(404, `GoGain mapping ${id} not found`);
+        this.db.prepare('DELETE FROM gogain_service_mappings WHERE id = ?').run(id);
+        return mapping;
+    }
+
+    /**
+     * Calls of a kind a tenant made on a day
+     * @param {string} tenant - API tenant
+     * @param {string} day - YYYY-MM-DD (UTC)
+     * @param {string} kind - Kind of call ('ai')
+     * @returns {number} Count
+     */
+    countApiUsage(tenant, day, kind) {
+        const row = this.db.prepare('SELECT count FROM api_usage WHERE tenant = ? AND day = ? AND kind = ?').get(tenant, day, kind);
+        return row ? row.count : 0;
+    }
+
+    /**
+     * Count one more call of a kind for a tenant on a day
+     * @param {string} tenant - API tenant
+     * @param {string} day - YYYY-MM-DD (UTC)
+     * @param {string} kind - Kind of call ('ai')
+     * @returns {number} Count including this call
+     */
+    recordApiUsage(tenant, day, kind) {
+        return this.db.prepare(`
+            INSERT INTO api_usage (tenant, day, kind, count) VALUES (?, ?, ?, 1)
+            ON CONFLICT (tenant, day, kind) DO UPDATE SET count = count + 1
+            RETURNING count`).get(tenant, day, kind).count;
+    }
+
+    /**
+     * Hand the data of one tenant to another: statements (with their transactions), learned categories and budgets.
+     * Used once to give what was saved before authentication (tenant '') to the tenant it belongs to; a learned
+     * category or budget the target already has for the same merchant or category, center and period is kept
+     * and the old one stays behind
+     * @param {string} from - Tenant the data belongs to now
+     * @param {string} to - Tenant to give it to
+     * @returns {Object} { statements, overrides, budgets } - rows moved
+     */
+    assignTenant(from, to) {
+        TransactionStore.requireTenant(to);
+        return this.db.transaction(() => ({
+            statements: this.db.prepare('UPDATE statements SET tenant = ? WHERE tenant = ?').run(to, from).changes,
+            overrides: this.db.prepare('UPDATE OR IGNORE category_overrides SET tenant = ? WHERE tenant = ?').run(to, from).changes,
+            budgets: this.db.prepare('UPDATE OR IGNORE budgets SET tenant = ? WHERE tenant = ?').run(to, from).changes
+        }))();
+    }
+
+    /**
+     * Find transactions that were already imported from another statement of the tenant
+     * The n-th copy of a fingerprint in the list matches the n-th stored original, so two equal card
+     * payments on the same day only count as duplicates if both were imported before
+     * @param {string} tenant - Tenant
+     * @param {Array} transactions - Transactions to check
+     * @param {string|null} account - Account of their statement
+     * @returns {Array} Per transaction: { fingerprint, duplicateOf: { transactionId, statementId, fileName } | null }
+     */
+    findDuplicates(tenant, transactions, account = null) {
+        const fingerprints = transactions.map(tx => TransactionFingerprint.compute(tx, account));
+        const unique = [...new Set(fingerprints)];
+        const originals = new Map();
+
+        if (unique.length > 0) {
+            this.db.prepare(`
+                SELECT t.id, t.statement_id, t.fingerprint, s.file_name FROM transactions t
+                JOIN statements s ON s.id = t.statement_id
+                WHERE s.tenant = ? AND t.duplicate_of IS NULL AND t.fingerprint IN (SELECT value FROM json_each(?))
+                ORDER BY t.id`).all(tenant, JSON.stringify(unique)).forEach(row => {
+                if (!originals.has(row.fingerprint)) originals.set(row.fingerprint, []);
+                originals.get(row.fingerprint).push({ transactionId: row.id, statementId: row.statement_id, fileName: row.file_name });
+            });
+        }
+
+        const seen = new Map();
+        return fingerprints.map(fingerprint => {
+            const occurrence = seen.get(fingerprint) || 0;
+            seen.set(fingerprint, occurrence + 1);
+            return { fingerprint, duplicateOf: (originals.get(fingerprint) || [])[occurrence] || null };
+        });
+    }
+
+    /**
+     * Save a statement with its transactions for a tenant
+     * @param {string} tenant - Tenant
+     * @param {Object} statement - { fileName, bankProfile, mode, reconciliation, account }
+     * @param {Array} transactions - Extracted (and usually categorized) transactions
+     * @param {Object} options - { duplicates: 'skip' (default) leaves out rows already imported, 'keep' saves them flagged }
+     * @returns {Object} { statement, transactions, duplicates: [{ position, fingerprint, duplicateOf }] } -
+     *   statement is null when every row was a skipped duplicate; position is the row's index in `transactions`
+     */
+    saveStatement(tenant, statement, transactions, options = {}) {
+        const { duplicates = 'skip' } = options;
+        if (!['skip', 'keep'].includes(duplicates)) {
+            throw TransactionStore.error(400, 'duplicates must be "skip" or "keep"');
+        }
+
+        const now = new Date().toISOString();
+        const insertStatement = this.db.prepare(`
+            INSERT INTO statements (tenant, file_name, bank_profile, mode, reconciliation_status, reconciliation, account, created_at)
+            VALUES (@tenant, @fileName, @bankProfile, @mode, @reconciliationStatus, @reconciliation, @account, @createdAt)`);
+        const insertTransaction = this.db.prepare(`
+            INSERT INTO transactions (statement_id, position, date, date_iso, valeur, description, amount, amount_cents, type,
+                client, category, confidence, category_source, validation, center, worker, amount_without_taxes, taxes,
+                vat_rate, vat_source, movement_type, frequency, client_type, fingerprint, duplicate_of, created_at, updated_at)
+            VALUES (@statementId, @position, @date, @dateISO, @valeur, @description, @amount, @amountCents, @type,
+                @client, @category, @confidence, @categorySource, @validation, @center, @worker, @amountWithoutTaxes, @taxes,
+                @vatRate, @vatSource, @typeOfMovement, @frequency, @typeOfClient, @fingerprint, @duplicateOf, @now, @now)`);
+
+        const rows = transactions.map((tx, position) => {
+            const row = this.toRow(tx);
+            if (!row.date || !row.description || !row.amount) {
+                throw TransactionStore.error(400, `Transaction ${position + 1} needs a date, a description and an amount`);
+            }
+            // Same checks as a PATCH, so no row is stored without its ISO date or its cents
+            if (!row.dateISO) {
+                throw TransactionStore.error(400, `Transaction ${position + 1}: invalid date "${row.date}" (expected DD/MM/YYYY or YYYY-MM-DD)`);
+            }
+            if (isNaN(StatementReconciler.toCents(row.amount))) {
+                throw TransactionStore.error(400, `Transaction ${position + 1}: invalid amount "${row.amount}" (expected e.g. "1 250,00")`);
+            }
+            return row;
+        });
+        const checks = this.findDuplicates(tenant, transactions, statement.account || null);
+        const found = checks
+            .map((check, position) => ({ position, ...check }))
+            .filter(check => check.duplicateOf);
+        const toSave = rows
+            .map((row, position) => ({ row, position, ...checks[position] }))
+            .filter(entry => duplicates === 'keep' || !entry.duplicateOf);
+
+        if (found.length > 0) {
+            console.log(`🔁 ${found.length} transaction(s) already imported - ${duplicates === 'skip' ? 'skipped' : 'saved as duplicates'}`);
+        }
+        if (toSave.length === 0) {
+            return { statement: null, transactions: [], duplicates: found };
+        }
+
+        const statementId = this.db.transaction(() => {
+            const { lastInsertRowid } = insertStatement.run({
+                tenant,
+                fileName: statement.fileName || null,
+                bankProfile: statement.bankProfile || null,
+                mode: statement.mode || 'debit',
+                reconciliationStatus: statement.reconciliation ? statement.reconciliation.status : null,
+                reconciliation: statement.reconciliation ? JSON.stringify(statement.reconciliation) : null,
+                account: statement.account || null,
+                createdAt: now
+            });
+
+            toSave.forEach(({ row, position, fingerprint, duplicateOf }) => {
+                insertTransaction.run({
+                    ...row,
+                    statementId: lastInsertRowid,
+                    position,
+                    fingerprint,
+                    duplicateOf: duplicateOf ? duplicateOf.transactionId : null,
+                    now
+                });
+            });
+            return lastInsertRowid;
+        })();
+
+        return {
+            statement: this.getStatement(tenant, statementId),
+            transactions: this.listTransactions(tenant, { statementId }),
+            duplicates: found
+        };
+    }
+
+    /**
+     * Insert parameters for a transaction (backend or tracker field names)
+     * @param {Object} tx - Transaction
+     * @returns {Object} Named parameters
+     */
+    toRow(tx) {
+        const amount = tx.amount || tx.amountWithTaxes || tx.debit || tx.credit || null;
+        const date = tx.date || null;
+        return {
+            date,
+            dateISO: TransactionStore.toISODate(date),
+            valeur: tx.valeur || date,
+            description: tx.description || tx.nature || null,
+            amount,
+            amountCents: amount ? Math.abs(StatementReconciler.toCents(amount)) || null : null,
+            type: tx.type === 'credit' || tx.typeOfTransaction === 'income' ? 'credit' : 'debit',
+            client: tx.client || null,
+            category: tx.category || tx.service || null,
+            confidence: tx.confidence || null,
+            categorySource: tx.categorySource || null,
+            validation: tx.validation ? JSON.stringify(tx.validation) : null,
+            center: tx.center || null,
+            worker: tx.worker || null,
+            amountWithoutTaxes: tx.amountWithoutTaxes || null,
+            taxes: tx.taxes || null,
+            vatRate: typeof tx.vatRate === 'number' ? tx.vatRate : null,
+            vatSource: tx.vatSource || null,
+            typeOfMovement: tx.typeOfMovement || null,
+            frequency: tx.frequency || null,
+            typeOfClient: tx.typeOfClient || null
+        };
+    }
+
+    /**
+     * API shape of a transactions row
+     * @param {Object} row - Database row
+     * @returns {Object} Transaction
+     */
+    static fromRow(row) {
+        return {
+            id: row.id,
+            statementId: row.statement_id,
+            position: row.position,
+            date: row.date,
+            valeur: row.valeur,
+            description: row.description,
+            amount: row.amount,
+            type: row.type,
+            client: row.client,
+            category: row.category,
+            confidence: row.confidence,
+            categorySource: row.category_source,
+            validation: row.validation ? JSON.parse(row.validation) : null,
+            center: row.center,
+            worker: row.worker,
+            amountWithoutTaxes: row.amount_without_taxes,
+            taxes: row.taxes,
+            vatRate: row.vat_rate,
+            vatSource: row.vat_source,
+            typeOfMovement: row.movement_type,
+            frequency: row.frequency,
+            frequencySource: row.frequency_source,
+            typeOfClient: row.client_type,
+            account: row.account,
+            statementFileName: row.statement_file_name,
+            fingerprint: row.fingerprint,
+            duplicateOf: row.duplicate_of,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * API shape of a statements row
+     * @param {Object} row - Database row (with transaction_count)
+     * @returns {Object} Statement
+     */
+    static statementFromRow(row) {
+        return {
+            id: row.id,
+            fileName: row.file_name,
+            bankProfile: row.bank_profile,
+            mode: row.mode,
+            account: row.account,
+            reconciliation: row.reconciliation ? JSON.parse(row.reconciliation) : null,
+            transactionCount: row.transaction_count,
+            firstDate: row.first_date,
+            lastDate: row.last_date,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Saved statements of a tenant, newest first
+     * @param {string} tenant - Tenant
+     * @returns {Array} Statements with transaction count and date range
+     */
+    listStatements(tenant) {
+        return this.db.prepare(`
+            SELECT s.*, COUNT(t.id) AS transaction_count, MIN(t.date_iso) AS first_date, MAX(t.date_iso) AS last_date
+            FROM statements s LEFT JOIN transactions t ON t.statement_id = s.id
+            WHERE s.tenant = ? GROUP BY s.id ORDER BY s.id DESC`).all(tenant).map(TransactionStore.statementFromRow);
+    }
+
+    /**
+     * One statement of a tenant
+     * @param {string} tenant - Tenant
+     * @param {number} id - Statement id
+     * @returns {Object} Statement (throws 404 when missing or another tenant's)
+     */
+    getStatement(tenant, id) {
+        const row = this.db.prepare(`
+            SELECT s.*, COUNT(t.id) AS transaction_count, MIN(t.date_iso) AS first_date, MAX(t.date_iso) AS last_date
+            FROM statements s LEFT JOIN transactions t ON t.statement_id = s.id
+            WHERE s.id = ? AND s.tenant = ? GROUP BY s.id`).get(id, tenant);
+        if (!row) throw TransactionStore.error(404, `Statement ${id} not found`);
+        return TransactionStore.statementFromRow(row);
+    }
+
+    /**
+     * Delete a statement of a tenant with its transactions and their edit history
+     * @param {string} tenant - Tenant
+     * @param {number} id - Statement id
+     * @returns {Object} { id, transactionsDeleted } (throws 404 when missing)
+     */
+    deleteStatement(tenant, id) {
+        const statement = this.getStatement(tenant, id);
+        this.db.prepare('DELETE FROM statements WHERE id = ?').run(id);
+        return { id: statement.id, transactionsDeleted: statement.transactionCount };
+    }
+
+    /**
+     * Query the transactions of a tenant
+     * @param {string} tenant - Tenant
+     * @param {Object} filters - { from, to (DD/MM/YYYY or YYYY-MM-DD, inclusive), category, type, statementId, excludeDuplicates }
+     * @returns {Array} Transactions in date order
+     */
+    listTransactions(tenant, filters = {}) {
+        const where = ['s.tenant = @tenant'];
+        const params = { tenant };
+
+        ['from', 'to'].forEach(bound => {
+            if (!filters[bound]) return;
+            const date = TransactionStore.toISODate(filters[bound]);
+            if (!date) throw TransactionStore.error(400, `Invalid "${bound}" date "${filters[bound]}" (expected DD/MM/YYYY or YYYY-MM-DD)`);
+            where.push(`date_iso ${bound === 'from' ? '>=' : '<='} @${bound}`);
+            params[bound] = date;
+        });
+        if (filters.category) {
+            where.push('category = @category');
+            params.category = filters.category;
+        }
+        if (filters.type) {
+            where.push('type = @type');
+            params.type = filters.type;
+        }
+        if (filters.statementId) {
+            where.push('statement_id = @statementId');
+            params.statementId = Number(filters.statementId);
+        }
+
+        if (filters.excludeDuplicates) {
+            where.push('duplicate_of IS NULL');
+        }
+
+        return this.db.prepare(`
+            SELECT t.*, s.account, s.file_name AS statement_file_name FROM transactions t JOIN statements s ON s.id = t.statement_id
+            WHERE ${where.join(' AND ')}
+            ORDER BY date_iso, statement_id, position`).all(params).map(TransactionStore.fromRow);
+    }
+
+    /**
+     * One transaction of a tenant
+     * @param {string} tenant - Tenant
+     * @param {number} id - Transaction id
+     * @returns {Object} Transaction (throws 404 when missing or another tenant's)
+     */
+    getTransaction(tenant, id) {
+        const row = this.db.prepare(`
+            SELECT t.*, s.account, s.file_name AS statement_file_name FROM transactions t JOIN statements s ON s.id = t.statement_id
+            WHERE t.id = ? AND s.tenant = ?`).get(id, tenant);
+        if (!row) throw TransactionStore.error(404, `Transaction ${id} not found`);
+        return TransactionStore.fromRow(row);
+    }
+
+    /**
+     * Change fields of a transaction of a tenant, recording each change in the edit history
+     * @param {string} tenant - Tenant
+     * @param {number} id - Transaction id
+     * @param {Object} changes - { field: value } with fields from EDITABLE_FIELDS
+     * @returns {Object} Updated transaction
+     */
+    updateTransaction(tenant, id, changes) {
+        const current = this.getTransaction(tenant, id);
+        const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS[field]);
+        if (unknown.length > 0) {
+            throw TransactionStore.error(400, `Fields cannot be edited: ${unknown.join(', ')}. Editable: ${Object.keys(EDITABLE_FIELDS).join(', ')}`);
+        }
+        const notText = Object.keys(changes).filter(field => changes[field] !== null && typeof changes[field] !== 'string');
+        if (notText.length > 0) {
+            throw TransactionStore.error(400, `Values must be strings or null: ${notText.join(', ')}`);
+        }
+        ['date', 'description', 'amount', 'type'].forEach(field => {
+            if (changes[field] === null || changes[field] === '') throw TransactionStore.error(400, `${field} cannot be empty`);
+        });
+        if (changes.date !== undefined && !TransactionStore.toISODate(changes.date)) {
+            throw TransactionStore.error(400, `Invalid date "${changes.date}" (expected DD/MM/YYYY)`);
+        }
+        if (changes.amount !== undefined && isNaN(StatementReconciler.toCents(changes.amount))) {
+            throw TransactionStore.error(400, `Invalid amount "${changes.amount}" (expected e.g. "1 250,00")`);
+        }
+        if (changes.type !== undefined && !['debit', 'credit'].includes(changes.type)) {
+            throw TransactionStore.error(400, 'type must be "debit" or "credit"');
+        }
+        if (changes.category !== undefined && !this.db.prepare('SELECT 1 FROM categories WHERE name = ?').get(changes.category)) {
+            throw TransactionStore.error(400, `Unknown category "${changes.category}"`);
+        }
+
+        const edited = Object.keys(changes).filter(field => String(changes[field] ?? '') !== String(current[field] ?? ''));
+        if (edited.length === 0) return current;
+
+        const now = new Date().toISOString();
+        const assignments = edited.map(field => `${EDITABLE_FIELDS[field]} = @${field}`);
+        const params = { id, now };
+        edited.forEach(field => { params[field] = changes[field] === '' ? null : changes[field]; });
+        if (edited.includes('date')) {
+            assignments.push('date_iso = @dateISO');
+            params.dateISO = TransactionStore.toISODate(changes.date);
+        }
+        if (edited.includes('amount')) {
+            assignments.push('amount_cents = @amountCents');
+            params.amountCents = Math.abs(StatementReconciler.toCents(changes.amount));
+        }
+        // A category picked by hand is no longer the rules' or the AI's
+        if (edited.includes('category')) {
+            assignments.push("category_source = 'user'", "confidence = 'high'");
+        }
+        // Same for a frequency: recurrence detection no longer overrides it
+        if (edited.includes('frequency')) {
+            assignments.push("frequency_source = 'user'");
+        }
+        // HT or VAT typed by hand: keep it, with the rate it implies
+        if (edited.includes('amountWithoutTaxes') || edited.includes('taxes')) {
+            assignments.push("vat_source = 'user'", 'vat_rate = @vatRate');
+            params.vatRate = VatCalculator.rateOf(
+                edited.includes('amountWithoutTaxes') ? changes.amountWithoutTaxes : current.amountWithoutTaxes,
+                edited.includes('taxes') ? changes.taxes : current.taxes
+            );
+        }
+
+        const insertEdit = this.db.prepare(`
+            INSERT INTO transaction_edits (transaction_id, field, old_value, new_value, edited_at)
+            VALUES (?, ?, ?, ?, ?)`);
+        this.db.transaction(() => {
+            this.db.prepare(`UPDATE transactions SET ${assignments.join(', ')}, updated_at = @now WHERE id = @id`).run(params);
+            edited.forEach(field => insertEdit.run(id, field, current[field] ?? null, params[field] ?? null, now));
+        })();
+
+        console.log(`✏️ Transaction ${id} edited: ${edited.join(', ')}`);
+        return this.getTransaction(tenant, id);
+    }
+
+    /**
+     * Store a computed HT/VAT split (not an edit - it is not recorded in the history)
+     * @param {string} tenant - Tenant
+     * @param {number} id - Transaction id
+     * @param {Object} vat - { vatRate, amountWithoutTaxes, taxes, vatSource } from VatCalculator.apply()
+     * @returns {Object} Updated transaction
+     */
+    setVat(tenant, id, vat) {
+        this.getTransaction(tenant, id);
+        this.db.prepare(`
+            UPDATE transactions SET vat_rate = ?, amount_without_taxes = ?, taxes = ?, vat_source = ?, updated_at = ?
+            WHERE id = ?`).run(vat.vatRate, vat.amountWithoutTaxes || null, vat.taxes || null, vat.vatSource, new Date().toISOString(), id);
+        return this.getTransaction(tenant, id);
+    }
+
+    /**
+     * Fill the frequency column of a tenant's transactions from detected recurring series (recurrence-detector.js)
+     * Frequencies set by hand are kept; rows that no longer belong to a series lose their detected frequency
+     * @param {string} tenant - Tenant
+     * @param {Array} series - Series from RecurrenceDetector.detect() with transactionIds
+     * @returns {number} Number of rows changed
+     */
+    applyFrequencies(tenant, series) {
+        const setFrequency = this.db.prepare(`
+            UPDATE transactions SET frequency = ?, frequency_source = 'history'
+            WHERE id = ? AND (frequency_source IS NULL OR frequency_source = 'history') AND (frequency IS NOT ? OR frequency_source IS NULL)`);
+        const detected = new Set(series.flatMap(entry => entry.transactionIds));
+
+        return this.db.transaction(() => {
+            let changes = 0;
+            series.forEach(entry => entry.transactionIds.forEach(id => {
+                changes += setFrequency.run(entry.frequency, id, entry.frequency).changes;
+            }));
+            this.db.prepare(`
+                SELECT t.id FROM transactions t JOIN statements s ON s.id = t.statement_id
+                WHERE s.tenant = ? AND t.frequency_source = 'history'`).all(tenant)
+                .filter(row => !detected.has(row.id))
+                .forEach(row => {
+                    changes += this.db.prepare('UPDATE transactions SET frequency = NULL, frequency_source = NULL WHERE id = ?').run(row.id).changes;
+                });
+            return changes;
+        })();
+    }
+
+    /**
+     * Edit history of a transaction of a tenant, oldest first
+     * @param {string} tenant - Tenant
+     * @param {number} id - Transaction id
+     * @returns {Array} [{ field, oldValue, newValue, editedAt }]
+     */
+    getHistory(tenant, id) {
+        this.getTransaction(tenant, id);
+        return this.db.prepare('SELECT * FROM transaction_edits WHERE transaction_id = ? ORDER BY id').all(id)
+            .map(row => ({ field: row.field, oldValue: row.old_value, newValue: row.new_value, editedAt: row.edited_at }));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = TransactionStore;
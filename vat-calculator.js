@@ -0,0 +1,82 @@
+/**
+ * VAT Calculator
+ * Splits an amount with taxes (TTC) into the amount without taxes (HT) and the VAT, using the rate
+ * from vatRules in categorization-rules.json (merchant keyword, then category).
+ * HT is rounded to the cent and the VAT is the remainder, so HT + VAT always equals the bank amount.
+ * Values typed by hand (vatSource 'user') are never recomputed.
+ */
+
+const isVatNodeModule = typeof module !== 'undefined' && module.exports;
+const VatReconciler = isVatNodeModule ? require('./statement-reconciliation') : window.StatementReconciler;
+
+class VatCalculator {
+    /**
+     * @param {Object} options - Calculator dependencies
+     * @param {CategorizationRulesEngine} options.rulesEngine - VAT rates (vatRules)
+     */
+    constructor(options = {}) {
+        if (!options.rulesEngine) {
+            throw new Error('VatCalculator requires rulesEngine');
+        }
+        this.rulesEngine = options.rulesEngine;
+    }
+
+    /**
+     * Split an amount with taxes at a VAT rate
+     * @param {string|number} amountWithTaxes - TTC amount ("1 200,00", "49.90€", 49.9)
+     * @param {number} rate - VAT rate in percent (20, 10, 5.5, 0)
+     * @returns {Object|null} { amountWithoutTaxes, taxes } as French amounts, null when the amount cannot be read
+     */
+    static split(amountWithTaxes, rate) {
+        const cents = Math.abs(VatReconciler.toCents(amountWithTaxes));
+        if (isNaN(cents) || rate === null || rate === undefined || isNaN(rate)) return null;
+
+        // Rate in basis points keeps 5.5% exact in integer arithmetic
+        const basisPoints = Math.round(rate * 100);
+        const withoutTaxes = Math.round(cents * 10000 / (10000 + basisPoints));
+        return {
+            amountWithoutTaxes: VatReconciler.formatCents(withoutTaxes),
+            taxes: VatReconciler.formatCents(cents - withoutTaxes)
+        };
+    }
+
+    /**
+     * VAT rate implied by an HT amount and a VAT amount (for values typed by hand)
+     * @param {string|number} amountWithoutTaxes - HT amount
+     * @param {string|number} taxes - VAT amount
+     * @returns {number|null} Rate in percent rounded to 0.1, null when it cannot be computed
+     */
+    static rateOf(amountWithoutTaxes, taxes) {
+        const base = Math.abs(VatReconciler.toCents(amountWithoutTaxes));
+        const vat = Math.abs(VatReconciler.toCents(taxes));
+        if (isNaN(base) || isNaN(vat) || base === 0) return null;
+        return Math.round(vat / base * 1000) / 10;
+    }
+
+    /**
+     * Fill amountWithoutTaxes, taxes and vatRate of a transaction from its category and description
+     * Transactions whose VAT was entered by hand (vatSource 'user') are returned unchanged
+     * @param {Object} tx - Transaction (tracker or store field names)
+     * @returns {Object} The same transaction
+     */
+    apply(tx) {
+        if (tx.vatSource === 'user') return tx;
+
+        const description = tx.description || tx.nature || tx.rawNature;
+        const { rate } = this.rulesEngine.determineVatRate(tx.service || tx.category, description);
+        const split = VatCalculator.split(tx.amountWithTaxes || tx.amount || tx.debit || tx.credit, rate);
+
+        tx.vatRate = split ? rate : null;
+        tx.amountWithoutTaxes = split ? split.amountWithoutTaxes : '';
+        tx.taxes = split ? split.taxes : '';
+        tx.vatSource = split ? 'rules' : null;
+        return tx;
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VatCalculator;
+} else {
+    window.VatCalculator = VatCalculator;
+}
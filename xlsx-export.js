@@ -0,0 +1,500 @@
+/**
+ * XLSX Export
+ * Writes the transactions as an Excel workbook, without any library (SpreadsheetML parts in a stored zip):
+ *   Transactions - one row per transaction, real dates and numeric amounts, filter and frozen header,
+ *                  the confidence column coloured by conditional formatting (confidenceLevels colours)
+ *   Summary      - amounts with taxes by category × month with row and column totals, income and net
+ * Amounts are added up in cents; duplicates (duplicateOf) are left out.
+ */
+
+const isXLSXNodeModule = typeof module !== 'undefined' && module.exports;
+const XLSXReconciler = isXLSXNodeModule ? require('./statement-reconciliation') : window.StatementReconciler;
+
+// confidenceLevels colour → fill / text, the same shades as the tracker table (Tailwind 100 / 800)
+const XLSX_COLORS = {
+    green: { fill: 'FFDCFCE7', font: 'FF166534' },
+    yellow: { fill: 'FFFEF9C3', font: 'FF854D0E' },
+    red: { fill: 'FFFEE2E2', font: 'FF991B1B' },
+    blue: { fill: 'FFDBEAFE', font: 'FF1E40AF' },
+    gray: { fill: 'FFF3F4F6', font: 'FF1F2937' }
+};
+
+// Cell styles (cellXfs indexes in styles.xml)
+const XLSX_STYLE = { text: 0, header: 1, date: 2, money: 3, percent: 4, totalMoney: 5 };
+
+const XLSX_TRANSACTION_COLUMNS = [
+    { title: 'Date', width: 12 },
+    { title: 'Value date', width: 12 },
+    { title: 'Description', width: 50 },
+    { title: 'Client', width: 28 },
+    { title: 'Center', width: 16 },
+    { title: 'Service', width: 22 },
+    { title: 'Type of transaction', width: 12 },
+    { title: 'Type of movement', width: 14 },
+    { title: 'Frequency', width: 12 },
+    { title: 'Type of client', width: 12 },
+    { title: 'Amount with taxes', width: 14 },
+    { title: 'Amount without taxes', width: 14 },
+    { title: 'Taxes', width: 12 },
+    { title: 'VAT rate', width: 9 },
+    { title: 'Worker', width: 16 },
+    { title: 'Confidence', width: 11 }
+];
+
+class XLSXExporter {
+    /**
+     * @param {Object} options - Exporter dependencies
+     * @param {CategorizationRulesEngine} options.rulesEngine - Confidence colours (confidenceLevels)
+     */
+    constructor(options = {}) {
+        if (!options.rulesEngine) {
+            throw new Error('XLSXExporter requires rulesEngine');
+        }
+        this.confidenceLevels = options.rulesEngine.rules.confidenceLevels || {};
+    }
+
+    /**
+     * Escape text for XML, dropping characters XML 1.0 does not allow
+     * @param {*} value - Text
+     * @returns {string} Escaped text
+     */
+    static escapeXML(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Column letters of a 0-based column index
+     * @param {number} index - Column index
+     * @returns {string} e.g. 0 → "A", 27 → "AB"
+     */
+    static columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    /**
+     * DD/MM/YYYY → Excel date serial (days since 30/12/1899)
+     * @param {string} date - Date text
+     * @returns {number|null} Serial, null when the text is not a date
+     */
+    static dateSerial(date) {
+        const match = String(date || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+        if (!match) return null;
+        return Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1])) / 86400000 + 25569;
+    }
+
+    /**
+     * Amount in cents of a transaction field ("1 250,00", "49.90€", 49.9)
+     * @param {*} amount - Amount
+     * @returns {number|null} Absolute cents, null when empty or unreadable
+     */
+    static cents(amount) {
+        if (amount === undefined || amount === null || amount === '') return null;
+        const cents = XLSXReconciler.toCents(amount);
+        return isNaN(cents) ? null : Math.abs(cents);
+    }
+
+    /**
+     * One cell
+     * @param {string} ref - Cell reference (A1)
+     * @param {*} value - Number, text, or { formula, value }; null / '' gives an empty cell
+     * @param {number} style - XLSX_STYLE index
+     * @returns {string} <c> element ('' for empty unstyled cells)
+     */
+    static cell(ref, value, style = XLSX_STYLE.text) {
+        const styleAttribute = style ? ` s="${style}"` : '';
+        if (value === null || value === undefined || value === '') {
+            return style ? `<c r="${ref}"${styleAttribute}/>` : '';
+        }
+        if (typeof value === 'object') {
+            return `<c r="${ref}"${styleAttribute}><f>${XLSXExporter.escapeXML(value.formula)}</f><v>${value.value}</v></c>`;
+        }
+        if (typeof value === 'number') {
+            return `<c r="${ref}"${styleAttribute}><v>${value}</v></c>`;
+        }
+        return `<c r="${ref}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${XLSXExporter.escapeXML(value)}</t></is></c>`;
+    }
+
+    /**
+     * Worksheet XML
+     * @param {Array} rows - Rows of [{ value, style }] (row 1 is the header)
+     * @param {Object} options - { widths, autoFilter (range), conditionalFormatting (XML) }
+     * @returns {string} Worksheet part
+     */
+    static worksheet(rows, options = {}) {
+        const rowsXML = rows.map((cells, rowIndex) => {
+            const cellsXML = cells
+                .map((cell, columnIndex) => XLSXExporter.cell(`${XLSXExporter.columnName(columnIndex)}${rowIndex + 1}`, cell.value, cell.style))
+                .join('');
+            return `<row r="${rowIndex + 1}">${cellsXML}</row>`;
+        }).join('');
+        const cols = (options.widths || [])
+            .map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`)
+            .join('');
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+            '<sheetViews><sheetView workbookViewId="0">' +
+                '<pane xSplit="1" ySplit="1" topLeftCell="B2" activePane="bottomRight" state="frozen"/>' +
+                '<selection pane="bottomRight"/></sheetView></sheetViews>',
+            cols ? `<cols>${cols}</cols>` : '',
+            `<sheetData>${rowsXML}</sheetData>`,
+            options.autoFilter ? `<autoFilter ref="${options.autoFilter}"/>` : '',
+            options.conditionalFormatting || '',
+            '<pageMargins left="0.7" right="0.7" top="0.75" bottom="0.75" header="0.3" footer="0.3"/>',
+            '</worksheet>'
+        ].join('');
+    }
+
+    /**
+     * Transactions sheet rows
+     * @param {Array} transactions - Transactions without duplicates
+     * @returns {Array} Rows of [{ value, style }]
+     */
+    transactionRows(transactions) {
+        const money = amount => {
+            const cents = XLSXExporter.cents(amount);
+            return { value: cents === null ? null : cents / 100, style: XLSX_STYLE.money };
+        };
+
+        return [
+            XLSX_TRANSACTION_COLUMNS.map(column => ({ value: column.title, style: XLSX_STYLE.header })),
+            ...transactions.map(tx => [
+                { value: XLSXExporter.dateSerial(tx.date), style: XLSX_STYLE.date },
+                { value: XLSXExporter.dateSerial(tx.valeur || tx.date), style: XLSX_STYLE.date },
+                { value: tx.description || tx.nature },
+                { value: tx.client },
+                { value: tx.center },
+                { value: tx.service || tx.category },
+                { value: tx.typeOfTransaction || (tx.type === 'credit' ? 'income' : 'cost') },
+                { value: tx.typeOfMovement },
+                { value: tx.frequency },
+                { value: tx.typeOfClient },
+                money(tx.amountWithTaxes || tx.amount || tx.debit || tx.credit),
+                money(tx.amountWithoutTaxes),
+                money(tx.taxes),
+                {
+                    value: tx.vatRate === null || tx.vatRate === undefined || tx.vatRate === '' ? null : Number(tx.vatRate) / 100,
+                    style: XLSX_STYLE.percent
+                },
+                { value: tx.worker },
+                { value: tx.confidence }
+            ])
+        ];
+    }
+
+    /**
+     * Conditional formatting of the confidence column, one rule per confidence level
+     * @param {number} rowCount - Rows including the header
+     * @returns {string} conditionalFormatting XML ('' without levels)
+     */
+    confidenceFormatting(rowCount) {
+        const column = XLSXExporter.columnName(XLSX_TRANSACTION_COLUMNS.length - 1);
+        const rules = Object.keys(this.confidenceLevels).map((level, index) =>
+            `<cfRule type="cellIs" dxfId="${index}" priority="${index + 1}" operator="equal">` +
+            `<formula>"${XLSXExporter.escapeXML(level)}"</formula></cfRule>`);
+        return rules.length > 0 && rowCount > 1
+            ? `<conditionalFormatting sqref="${column}2:${column}${rowCount}">${rules.join('')}</conditionalFormatting>`
+            : '';
+    }
+
+    /**
+     * Totals by category × month (amounts with taxes, in cents)
+     * @param {Array} transactions - Transactions without duplicates
+     * @returns {Object} { months: ['YYYY-MM'], costs: { category: { month: cents } }, income: { month: cents } }
+     */
+    summarize(transactions) {
+        const months = new Set();
+        const costs = {};
+        const income = {};
+
+        transactions.forEach(tx => {
+            const date = String(tx.date || '').match(/^\d{2}\/(\d{2})\/(\d{4})$/);
+            const cents = XLSXExporter.cents(tx.amountWithTaxes || tx.amount || tx.debit || tx.credit);
+            if (!date || cents === null) return;
+
+            const month = `${date[2]}-${date[1]}`;
+            months.add(month);
+            const isIncome = tx.typeOfTransaction === 'income' || tx.type === 'credit';
+            const totals = isIncome ? income : (costs[tx.service || tx.category || 'AUTRES'] = costs[tx.service || tx.category || 'AUTRES'] || {});
+            totals[month] = (totals[month] || 0) + cents;
+        });
+
+        return { months: [...months].sort(), costs, income };
+    }
+
+    /**
+     * Summary sheet rows: one row per cost category, total costs, income and net, a total column
+     * @param {Array} transactions - Transactions without duplicates
+     * @returns {Array} Rows of [{ value, style }]
+     */
+    summaryRows(transactions) {
+        const { months, costs, income } = this.summarize(transactions);
+        const lastMonthColumn = XLSXExporter.columnName(months.length);
+        const sumOf = values => values.reduce((total, cents) => total + cents, 0);
+        const euros = cents => cents / 100;
+
+        // Totals are formulas (so edits in Excel add up) with the value computed here for viewers that do not recalculate
+        const row = (label, centsByMonth, rowNumber, style = XLSX_STYLE.money) => [
+            { value: label, style: style === XLSX_STYLE.money ? XLSX_STYLE.text : XLSX_STYLE.header },
+            ...months.map(month => ({ value: euros(centsByMonth[month] || 0), style })),
+            {
+                value: months.length > 0
+                    ? { formula: `SUM(B${rowNumber}:${lastMonthColumn}${rowNumber})`, value: euros(sumOf(months.map(month => centsByMonth[month] || 0))) }
+                    : 0,
+                style: XLSX_STYLE.totalMoney
+            }
+        ];
+
+        const categories = Object.keys(costs).sort();
+        const costTotals = Object.fromEntries(months.map(month => [month, sumOf(categories.map(category => costs[category][month] || 0))]));
+        const netTotals = Object.fromEntries(months.map(month => [month, (income[month] || 0) - costTotals[month]]));
+        const firstCategoryRow = 2;
+        const totalRow = firstCategoryRow + categories.length;
+
+        const rows = [
+            [
+                { value: 'Category', style: XLSX_STYLE.header },
+                ...months.map(month => ({ value: month, style: XLSX_STYLE.header })),
+                { value: 'Total', style: XLSX_STYLE.header }
+            ],
+            ...categories.map((category, index) => row(category, costs[category], firstCategoryRow + index)),
+            row('Total costs', costTotals, totalRow, XLSX_STYLE.totalMoney),
+            row('Income', income, totalRow + 1),
+            row('Net', netTotals, totalRow + 2, XLSX_STYLE.totalMoney)
+        ];
+
+        // Column totals of the cost categories are formulas as well
+        if (categories.length > 0) {
+            months.forEach((month, index) => {
+                const column = XLSXExporter.columnName(index + 1);
+                rows[totalRow - 1][index + 1].value = {
+                    formula: `SUM(${column}${firstCategoryRow}:${column}${totalRow - 1})`,
+                    value: euros(costTotals[month])
+                };
+                rows[totalRow + 1][index + 1].value = {
+                    formula: `${column}${totalRow + 1}-${column}${totalRow}`,
+                    value: euros(netTotals[month])
+                };
+            });
+        }
+        return rows;
+    }
+
+    /**
+     * Styles part: number formats, bold header, one differential format per confidence level
+     * @returns {string} styles.xml
+     */
+    styles() {
+        const dxfs = Object.values(this.confidenceLevels).map(level => {
+            const colors = XLSX_COLORS[level.color] || XLSX_COLORS.gray;
+            return `<dxf><font><color rgb="${colors.font}"/></font>` +
+                `<fill><patternFill patternType="solid"><bgColor rgb="${colors.fill}"/></patternFill></fill></dxf>`;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+            '<numFmts count="3">',
+            '<numFmt numFmtId="164" formatCode="dd/mm/yyyy"/>',
+            '<numFmt numFmtId="165" formatCode="#,##0.00\\ &quot;€&quot;"/>',
+            '<numFmt numFmtId="166" formatCode="0.0%"/>',
+            '</numFmts>',
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>',
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>',
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>',
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+            '<cellXfs count="6">',
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>',
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+            '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+            '<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+            '<xf numFmtId="165" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>',
+            '</cellXfs>',
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>',
+            `<dxfs count="${dxfs.length}">${dxfs.join('')}</dxfs>`,
+            '</styleSheet>'
+        ].join('');
+    }
+
+    /**
+     * Build the workbook
+     * @param {Array} transactions - Transactions (store or tracker field names)
+     * @returns {Uint8Array} .xlsx file content
+     */
+    export(transactions) {
+        const kept = transactions.filter(tx => !tx.duplicateOf);
+        const transactionRows = this.transactionRows(kept);
+        const lastColumn = XLSXExporter.columnName(XLSX_TRANSACTION_COLUMNS.length - 1);
+        const filterRange = `A1:${lastColumn}${transactionRows.length}`;
+        const summaryRows = this.summaryRows(kept);
+
+        const sheets = [
+            {
+                name: 'Transactions',
+                xml: XLSXExporter.worksheet(transactionRows, {
+                    widths: XLSX_TRANSACTION_COLUMNS.map(column => column.width),
+                    autoFilter: filterRange,
+                    conditionalFormatting: this.confidenceFormatting(transactionRows.length)
+                })
+            },
+            {
+                name: 'Summary',
+                xml: XLSXExporter.worksheet(summaryRows, { widths: [24, ...summaryRows[0].slice(1).map(() => 14)] })
+            }
+        ];
+
+        const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ` +
+                        'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationships}">` +
+                    '<sheets>' + sheets.map((sheet, index) =>
+                        `<sheet name="${sheet.name}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') + '</sheets>' +
+                    '<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">' +
+                    `Transactions!$A$1:$${lastColumn}$${transactionRows.length}</definedName></definedNames>` +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    sheets.map((sheet, index) =>
+                        `<Relationship Id="rId${index + 1}" Type="${relationships}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                    `<Relationship Id="rId${sheets.length + 1}" Type="${relationships}/styles" Target="styles.xml"/>` +
+                    '</Relationships>'
+            },
+            { name: 'xl/styles.xml', content: this.styles() },
+            ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: sheet.xml }))
+        ];
+
+        return XLSXExporter.zip(files);
+    }
+
+    /**
+     * CRC-32 of bytes (zip checksum)
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned CRC
+     */
+    static crc32(bytes) {
+        if (!XLSXExporter.crcTable) {
+            XLSXExporter.crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                return c >>> 0;
+            });
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = XLSXExporter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Zip archive with uncompressed (stored) entries
+     * @param {Array} files - [{ name, content (text) }]
+     * @returns {Uint8Array} Archive
+     */
+    static zip(files) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        const header = (size, fill) => {
+            const bytes = new Uint8Array(size);
+            fill(new DataView(bytes.buffer));
+            return bytes;
+        };
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = XLSXExporter.crc32(data);
+            // Version 2.0, UTF-8 names (flag bit 11), stored, fixed DOS date 01/01/1980
+            const common = view => {
+                view.setUint16(0, 20, true);
+                view.setUint16(2, 0x0800, true);
+                view.setUint16(4, 0, true);
+                view.setUint16(6, 0, true);
+                view.setUint16(8, 0x21, true);
+                view.setUint32(10, crc, true);
+                view.setUint32(14, data.length, true);
+                view.setUint32(18, data.length, true);
+                view.setUint16(22, name.length, true);
+                view.setUint16(24, 0, true);
+            };
+
+            const local = header(30, view => {
+                view.setUint32(0, 0x04034B50, true);
+                common(new DataView(view.buffer, 4));
+            });
+            central.push(header(46, view => {
+                view.setUint32(0, 0x02014B50, true);
+                view.setUint16(4, 20, true);
+                common(new DataView(view.buffer, 6));
+                view.setUint32(42, offset, true);
+            }), name);
+
+            chunks.push(local, name, data);
+            offset += local.length + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((size, bytes) => size + bytes.length, 0);
+        const end = header(22, view => {
+            view.setUint32(0, 0x06054B50, true);
+            view.setUint16(8, files.length, true);
+            view.setUint16(10, files.length, true);
+            view.setUint32(12, centralSize, true);
+            view.setUint32(16, offset, true);
+        });
+
+        const parts = [...chunks, ...central, end];
+        const archive = new Uint8Array(parts.reduce((size, bytes) => size + bytes.length, 0));
+        let position = 0;
+        parts.forEach(bytes => {
+            archive.set(bytes, position);
+            position += bytes.length;
+        });
+        return archive;
+    }
+}
+
+// Export for use in HTML file and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XLSXExporter;
+} else {
+    window.XLSXExporter = XLSXExporter;
+}